@@ -0,0 +1,16 @@
+import { initializeApp } from 'firebase-admin/app';
+
+initializeApp();
+
+export { commitDrawSeed, drawWinner } from './src/draw.js';
+export { createTicketPaymentIntent, stripeWebhook } from './src/payments.js';
+export { enterForFree } from './src/freeEntry.js';
+export { reconcileTicketCounts } from './src/reconcile.js';
+export { advanceRaffleLifecycle } from './src/lifecycle.js';
+export { runLiveDraws, scheduleLiveDraw, startLiveDraw } from './src/liveDraw.js';
+export { deleteRaffle } from './src/cancellation.js';
+export { refundCancelledRaffle } from './src/refunds.js';
+export { notifyPurchaseUpdates, notifyRaffleUpdates } from './src/notifications.js';
+export { deliverEmail } from './src/mailer.js';
+export { processUploadedImage } from './src/images.js';
+export { assignProfileHandle } from './src/profiles.js';
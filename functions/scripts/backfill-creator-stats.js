@@ -0,0 +1,44 @@
+// Builds each creator's public track record (tickets sold and refunded) from the sales ledger booked
+// before the record existed. Run it after migrate:ledger. Safe to re-run: the counts are recomputed
+// from every ledger line, not added to.
+//
+//   GOOGLE_APPLICATION_CREDENTIALS=service-account.json npm run migrate:creator-stats
+//   npm run migrate:creator-stats -- --dry-run
+import { initializeApp } from 'firebase-admin/app';
+import { getFirestore, FieldValue } from 'firebase-admin/firestore';
+import { creatorStatsRef } from '../src/paths.js';
+
+const dryRun = process.argv.includes('--dry-run');
+
+initializeApp();
+const db = getFirestore();
+
+// artifacts/{appId}/users/{creatorId}/ledger/{lineId}
+const creatorFromLine = (lineSnap) => {
+    const [, appId, , creatorId] = lineSnap.ref.path.split('/');
+    return { appId, creatorId };
+};
+
+const lines = await db.collectionGroup('ledger').get();
+const stats = new Map();
+lines.docs.forEach((lineSnap) => {
+    const { appId, creatorId } = creatorFromLine(lineSnap);
+    const key = `${appId}/${creatorId}`;
+    const totals = stats.get(key) || { appId, creatorId, ticketsSold: 0, ticketsRefunded: 0 };
+    const quantity = Math.abs(lineSnap.get('quantity') || 0);
+    if (lineSnap.get('type') === 'refund') totals.ticketsRefunded += quantity;
+    else totals.ticketsSold += quantity;
+    stats.set(key, totals);
+});
+console.log(`${lines.size} ledger lines across ${stats.size} creators.`);
+
+const writer = db.bulkWriter();
+for (const { appId, creatorId, ticketsSold, ticketsRefunded } of stats.values()) {
+    if (dryRun) {
+        console.log(`would set ${appId}/${creatorId}: ${ticketsSold} sold, ${ticketsRefunded} refunded`);
+        continue;
+    }
+    writer.set(creatorStatsRef(db, appId, creatorId), { ticketsSold, ticketsRefunded, updatedAt: FieldValue.serverTimestamp() }, { merge: true });
+}
+await writer.close();
+if (!dryRun) console.log(`updated ${stats.size} creators`);
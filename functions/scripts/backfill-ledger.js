@@ -0,0 +1,46 @@
+// Books sales and refunds settled before the creator ledger existed. Safe to re-run: lines that
+// are already in a creator's ledger are skipped.
+//
+//   GOOGLE_APPLICATION_CREDENTIALS=service-account.json npm run migrate:ledger
+//   npm run migrate:ledger -- --dry-run
+import { initializeApp } from 'firebase-admin/app';
+import { getFirestore } from 'firebase-admin/firestore';
+import { ledgerLineRef, recordRefund, recordSale } from '../src/ledger.js';
+import { raffleRef } from '../src/paths.js';
+
+const dryRun = process.argv.includes('--dry-run');
+
+initializeApp();
+const db = getFirestore();
+
+// artifacts/{appId}/users/{userId}/purchases/{paymentIntentId}
+const purchaseFromSnap = (purchaseSnap) => {
+    const [, appId, , userId] = purchaseSnap.ref.path.split('/');
+    return { appId, userId, raffleId: purchaseSnap.get('raffleId'), paymentIntentId: purchaseSnap.id };
+};
+
+const backfillSale = (purchaseSnap) => db.runTransaction(async (tx) => {
+    const { appId, raffleId, paymentIntentId } = purchaseFromSnap(purchaseSnap);
+    const raffleSnap = await tx.get(raffleRef(db, appId, raffleId));
+    if (!raffleSnap.exists) return false;
+    const line = { appId, creatorId: raffleSnap.get('creatorId'), raffleId, raffleName: raffleSnap.get('name'), paymentIntentId };
+    if ((await tx.get(ledgerLineRef(db, line, 'sale'))).exists) return false;
+    recordSale(tx, db, line, purchaseSnap.data());
+    return true;
+});
+
+const purchases = await db.collectionGroup('purchases').get();
+const sales = purchases.docs.filter((purchaseSnap) => purchaseSnap.get('status') === 'succeeded');
+console.log(`${sales.length} of ${purchases.size} purchases were paid.`);
+
+let booked = 0;
+let refunded = 0;
+for (const purchaseSnap of sales) {
+    if (dryRun) {
+        console.log(`would book ${purchaseSnap.ref.path}${purchaseSnap.get('refundStatus') === 'succeeded' ? ' and its refund' : ''}`);
+        continue;
+    }
+    if (await backfillSale(purchaseSnap)) booked += 1;
+    if (purchaseSnap.get('refundStatus') === 'succeeded' && await recordRefund(db, purchaseFromSnap(purchaseSnap))) refunded += 1;
+}
+if (!dryRun) console.log(`booked ${booked} sales and ${refunded} refunds`);
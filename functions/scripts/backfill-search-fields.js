@@ -0,0 +1,37 @@
+// Adds the `searchTerms` and `ticketPriceCents` fields the raffle list filters and sorts on.
+// Raffles without them are missing from search, price filters and price sorts. Safe to re-run.
+//
+//   GOOGLE_APPLICATION_CREDENTIALS=service-account.json npm run migrate:search
+//   npm run migrate:search -- --dry-run
+import { initializeApp } from 'firebase-admin/app';
+import { getFirestore } from 'firebase-admin/firestore';
+import { searchTermsFor } from '../shared/raffleSearch.js';
+import { ticketPriceCents } from '../shared/ticketPricing.js';
+
+const dryRun = process.argv.includes('--dry-run');
+
+initializeApp();
+const db = getFirestore();
+
+const searchFieldsFor = (raffle) => ({
+    searchTerms: searchTermsFor(raffle.name),
+    ticketPriceCents: ticketPriceCents(raffle),
+});
+
+const isCurrent = (raffle, fields) => raffle.ticketPriceCents === fields.ticketPriceCents
+    && raffle.searchTerms?.join('\n') === fields.searchTerms.join('\n');
+
+const raffles = await db.collectionGroup('raffles').get();
+const stale = raffles.docs.filter((raffleSnap) => !isCurrent(raffleSnap.data(), searchFieldsFor(raffleSnap.data())));
+console.log(`${stale.length} of ${raffles.size} raffles need search fields.`);
+
+const writer = db.bulkWriter();
+for (const raffleSnap of stale) {
+    if (dryRun) {
+        console.log(`would update ${raffleSnap.ref.path}`);
+        continue;
+    }
+    writer.update(raffleSnap.ref, searchFieldsFor(raffleSnap.data()));
+}
+await writer.close();
+if (!dryRun) console.log(`updated ${stale.length} raffles`);
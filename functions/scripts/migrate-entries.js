@@ -0,0 +1,43 @@
+// Moves each raffle's inline `entries` array into its `entries` subcollection and sets the
+// `entryCount`/`ticketsSold` counters. Safe to re-run: entries that already exist are kept.
+//
+//   GOOGLE_APPLICATION_CREDENTIALS=service-account.json npm run migrate:entries
+//   npm run migrate:entries -- --dry-run
+import { initializeApp } from 'firebase-admin/app';
+import { getFirestore, FieldValue, Timestamp } from 'firebase-admin/firestore';
+
+const dryRun = process.argv.includes('--dry-run');
+
+initializeApp();
+const db = getFirestore();
+
+const migrateRaffle = async (raffleSnap) => {
+    const { entries, createdAt } = raffleSnap.data();
+    const writer = db.bulkWriter();
+    entries.forEach((entry, index) => {
+        const { id, ...fields } = entry;
+        // Legacy entries have no timestamp; keep their original order behind the raffle's creation time.
+        const entryCreatedAt = fields.createdAt || Timestamp.fromMillis((createdAt?.toMillis() || 0) + index);
+        writer.create(raffleSnap.ref.collection('entries').doc(id), { ...fields, createdAt: entryCreatedAt })
+            .catch((error) => {
+                if (error.code !== 6) throw error; // ALREADY_EXISTS: migrated on an earlier run
+            });
+    });
+    await writer.close();
+
+    const entryCount = (await raffleSnap.ref.collection('entries').count().get()).data().count;
+    await raffleSnap.ref.update({ entries: FieldValue.delete(), entryCount, ticketsSold: entryCount });
+    return entryCount;
+};
+
+const raffles = await db.collectionGroup('raffles').get();
+const legacy = raffles.docs.filter((raffleSnap) => Array.isArray(raffleSnap.get('entries')));
+console.log(`${legacy.length} of ${raffles.size} raffles still store entries inline.`);
+
+for (const raffleSnap of legacy) {
+    if (dryRun) {
+        console.log(`would migrate ${raffleSnap.ref.path} (${raffleSnap.get('entries').length} entries)`);
+        continue;
+    }
+    console.log(`migrated ${raffleSnap.ref.path} (${await migrateRaffle(raffleSnap)} entries)`);
+}
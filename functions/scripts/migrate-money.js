@@ -0,0 +1,37 @@
+// Rewrites raffles from before multi-currency support, which stored prices as decimal strings
+// (`ticketPrice: '5.00'`, bundle `price: '20.00'`), to integer `ticketPriceCents`, bundle
+// `priceCents` and `currency: 'USD'`. Safe to re-run: raffles that have a currency are skipped.
+//
+//   GOOGLE_APPLICATION_CREDENTIALS=service-account.json npm run migrate:money
+//   npm run migrate:money -- --dry-run
+import { initializeApp } from 'firebase-admin/app';
+import { getFirestore, FieldValue } from 'firebase-admin/firestore';
+import { bundleOptions, raffleCurrency, ticketPriceCents } from '../shared/ticketPricing.js';
+
+const dryRun = process.argv.includes('--dry-run');
+
+initializeApp();
+const db = getFirestore();
+
+const moneyFieldsFor = (raffle) => ({
+    currency: raffleCurrency(raffle),
+    ticketPriceCents: ticketPriceCents(raffle),
+    bundles: bundleOptions(raffle).map((bundle) => ({ quantity: bundle.size, priceCents: bundle.cents })),
+    ticketPrice: FieldValue.delete(),
+});
+
+const raffles = await db.collectionGroup('raffles').get();
+const legacy = raffles.docs.filter((raffleSnap) => !raffleSnap.get('currency'));
+console.log(`${legacy.length} of ${raffles.size} raffles have decimal prices.`);
+
+const writer = db.bulkWriter();
+for (const raffleSnap of legacy) {
+    if (dryRun) {
+        const { currency, ticketPriceCents: cents } = moneyFieldsFor(raffleSnap.data());
+        console.log(`would update ${raffleSnap.ref.path}: ${raffleSnap.get('ticketPrice')} -> ${cents} (${currency})`);
+        continue;
+    }
+    writer.update(raffleSnap.ref, moneyFieldsFor(raffleSnap.data()));
+}
+await writer.close();
+if (!dryRun) console.log(`updated ${legacy.length} raffles`);
@@ -0,0 +1,104 @@
+// Removes buyers' emails from the public raffle tree. Entries and winners used to carry the buyer's
+// email as their `name`, and profiles defaulted to the email as their display name. Each email is
+// moved to the creator's private roster of the raffle's entrants, then dropped from the entries, the
+// winners and any display name that is an email (which becomes the masked handle). The single
+// `winner` of raffles drawn before prize tiers is rewritten as `winners`, without its name. Safe to re-run:
+// raffles with nothing left to scrub are skipped, and roster counts are recomputed, not added to.
+//
+// Run `npm run migrate:entries` first; raffles that still keep their entries inline are skipped.
+//
+//   GOOGLE_APPLICATION_CREDENTIALS=service-account.json npm run migrate:privacy
+//   npm run migrate:privacy -- --dry-run
+import { initializeApp } from 'firebase-admin/app';
+import { getFirestore, FieldValue } from 'firebase-admin/firestore';
+import { prizesFor } from '../shared/prizes.js';
+import { DEFAULT_PUBLIC_NAME_MODE, looksLikeEmail, maskEmail } from '../shared/privacy.js';
+import { raffleStatus } from '../shared/raffleLifecycle.js';
+import { raffleEntrantRef, raffleIdsFromRef } from '../src/paths.js';
+
+const dryRun = process.argv.includes('--dry-run');
+
+initializeApp();
+const db = getFirestore();
+
+// One roster document per entrant, counted over all of the raffle's entries.
+const rosterFor = (entryDocs) => {
+    const roster = new Map();
+    entryDocs.forEach((entryDoc) => {
+        const { userId, name, freeEntry, createdAt } = entryDoc.data();
+        const entrant = roster.get(userId) || { userId, tickets: 0, freeEntries: 0 };
+        entrant.tickets += 1;
+        if (freeEntry) entrant.freeEntries += 1;
+        if (looksLikeEmail(name)) entrant.email = name.trim();
+        if (createdAt && (!entrant.lastEntryAt || createdAt.toMillis() > entrant.lastEntryAt.toMillis())) entrant.lastEntryAt = createdAt;
+        roster.set(userId, entrant);
+    });
+    return [...roster.values()];
+};
+
+const scrubRaffle = async (raffleSnap, writer) => {
+    const raffle = raffleSnap.data();
+    if (Array.isArray(raffle.entries)) {
+        console.warn(`skipped ${raffleSnap.ref.path}: its entries are still inline; run migrate:entries first`);
+        return 0;
+    }
+    const entries = await raffleSnap.ref.collection('entries').get();
+    const named = entries.docs.filter((entryDoc) => entryDoc.get('name') !== undefined);
+    const winners = raffle.winners || [];
+    const namedWinners = winners.some((winner) => 'name' in winner);
+    const legacyWinner = raffle.winner?.name !== undefined;
+    const creatorName = raffle.creatorProfile?.displayName;
+    if (!named.length && !namedWinners && !legacyWinner && !looksLikeEmail(creatorName)) return 0;
+
+    if (dryRun) {
+        const scrubbedWinners = namedWinners || legacyWinner ? ', winners' : '';
+        console.log(`would scrub ${raffleSnap.ref.path}: ${named.length} entries${scrubbedWinners}${looksLikeEmail(creatorName) ? ', creator name' : ''}`);
+        return named.length;
+    }
+    const { appId, raffleId } = raffleIdsFromRef(raffleSnap.ref);
+    rosterFor(entries.docs).forEach((entrant) => writer.set(raffleEntrantRef(db, appId, raffle.creatorId, raffleId, entrant.userId), entrant, { merge: true }));
+    named.forEach((entryDoc) => writer.update(entryDoc.ref, { name: FieldValue.delete() }));
+    const raffleFields = {
+        ...(namedWinners && { winners: winners.map(({ name, ...winner }) => winner) }),
+        ...(legacyWinner && {
+            winner: FieldValue.delete(),
+            // Raffles from before `status` read as drawn because of their `winner`.
+            ...(!raffle.status && { status: raffleStatus(raffle) }),
+            ...(!raffle.winners && {
+                winners: [{ prizeIndex: 0, prizeName: prizesFor(raffle)[0].name, entryId: raffle.winner.id, userId: raffle.winner.userId ?? null }],
+            }),
+        }),
+        ...(looksLikeEmail(creatorName) && { 'creatorProfile.displayName': maskEmail(creatorName) }),
+    };
+    if (Object.keys(raffleFields).length) writer.update(raffleSnap.ref, raffleFields);
+    return named.length;
+};
+
+const scrubProfile = (profileSnap, writer) => {
+    const { displayName, handle, publicNameMode } = profileSnap.data();
+    if (!looksLikeEmail(displayName)) return false;
+    if (dryRun) {
+        console.log(`would rename ${profileSnap.ref.path} to ${maskEmail(displayName)}`);
+        return true;
+    }
+    writer.update(profileSnap.ref, {
+        displayName: maskEmail(displayName),
+        handle: handle || maskEmail(displayName),
+        publicNameMode: publicNameMode || DEFAULT_PUBLIC_NAME_MODE,
+    });
+    return true;
+};
+
+const writer = db.bulkWriter();
+
+const raffles = await db.collectionGroup('raffles').get();
+let scrubbedEntries = 0;
+for (const raffleSnap of raffles.docs) {
+    scrubbedEntries += await scrubRaffle(raffleSnap, writer);
+}
+
+const profiles = await db.collectionGroup('profiles').get();
+const renamedProfiles = profiles.docs.filter((profileSnap) => scrubProfile(profileSnap, writer)).length;
+
+await writer.close();
+console.log(`${dryRun ? 'would scrub' : 'scrubbed'} ${scrubbedEntries} entries across ${raffles.size} raffles and ${renamedProfiles} of ${profiles.size} profiles`);
@@ -0,0 +1,42 @@
+// Sets the platform fee for one currency, or the default for all others, in
+// artifacts/{appId}/public/data/config/pricing. Checkout quotes and PaymentIntents pick it up at once.
+// Amounts are in the currency's minor unit: --min 30 is $0.30 for USD, 30 yen for JPY.
+//
+//   GOOGLE_APPLICATION_CREDENTIALS=service-account.json npm run config:fee -- --app <appId> --percent 3 --min 30 --cap 500
+//   npm run config:fee -- --app <appId> --currency JPY --fixed 50
+import { parseArgs } from 'node:util';
+import { initializeApp } from 'firebase-admin/app';
+import { getFirestore } from 'firebase-admin/firestore';
+import { SUPPORTED_CURRENCIES, describeFee, isValidFeeRule } from '../shared/ticketPricing.js';
+import { pricingConfigRef } from '../src/paths.js';
+
+const { values } = parseArgs({
+    options: {
+        app: { type: 'string' },
+        currency: { type: 'string', default: 'default' },
+        percent: { type: 'string' },
+        min: { type: 'string' },
+        cap: { type: 'string' },
+        fixed: { type: 'string' },
+    },
+});
+
+const amount = (value) => (value === undefined ? undefined : Number(value));
+const rule = {
+    ...(values.fixed !== undefined
+        ? { type: 'fixed', amountCents: amount(values.fixed) }
+        : { type: 'percentage', rate: amount(values.percent) / 100 }),
+    ...(values.min !== undefined && { minCents: amount(values.min) }),
+    ...(values.cap !== undefined && { capCents: amount(values.cap) }),
+};
+const currency = values.currency === 'default' ? 'default' : values.currency.toUpperCase();
+
+if (!values.app || (currency !== 'default' && !SUPPORTED_CURRENCIES.includes(currency)) || !isValidFeeRule(rule)) {
+    console.error('Usage: --app <appId> [--currency <code>] (--percent <rate> | --fixed <amount>) [--min <amount>] [--cap <amount>]');
+    console.error(`Currencies: ${SUPPORTED_CURRENCIES.join(', ')}. Amounts are whole minor units; the rate is below 100.`);
+    process.exit(1);
+}
+
+initializeApp();
+await pricingConfigRef(getFirestore(), values.app).set({ platformFee: { [currency]: rule } }, { merge: true });
+console.log(`platform fee for ${currency}: ${describeFee(rule, currency === 'default' ? 'USD' : currency)}`);
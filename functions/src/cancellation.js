@@ -0,0 +1,43 @@
+// --- Cancellation ---
+// Deleting a raffle that has sold tickets would keep the buyers' money and lose their entries, so it
+// becomes a cancellation instead: the raffle stays behind as a tombstone in buyers' history and
+// refundCancelledRaffle refunds every entry. Only raffles with no entries are really deleted.
+import { getFirestore, FieldValue } from 'firebase-admin/firestore';
+import { logger } from 'firebase-functions';
+import { HttpsError, onCall } from 'firebase-functions/v2/https';
+import { RAFFLE_STATUS, raffleStatus } from '../shared/raffleLifecycle.js';
+import { drawSeedRef, entriesRef, raffleRef } from './paths.js';
+
+export const deleteRaffle = onCall(async (request) => {
+    if (!request.auth) throw new HttpsError('unauthenticated', 'Sign in to delete a raffle.');
+    const { appId, raffleId } = request.data || {};
+    if (!appId || !raffleId) throw new HttpsError('invalid-argument', 'appId and raffleId are required.');
+
+    const db = getFirestore();
+    const ref = raffleRef(db, appId, raffleId);
+    const outcome = await db.runTransaction(async (tx) => {
+        const [snap, entryCountSnap] = await Promise.all([tx.get(ref), tx.get(entriesRef(db, appId, raffleId).count())]);
+        if (!snap.exists) throw new HttpsError('not-found', 'Raffle not found.');
+        if (snap.get('creatorId') !== request.auth.uid) {
+            throw new HttpsError('permission-denied', 'Only the raffle creator can delete a raffle.');
+        }
+        const status = raffleStatus(snap.data());
+        if (status === RAFFLE_STATUS.DRAWN) throw new HttpsError('failed-precondition', 'A drawn raffle can no longer be cancelled.');
+        if (status === RAFFLE_STATUS.CANCELLED) return 'cancelled';
+
+        if (entryCountSnap.data().count === 0) {
+            tx.delete(ref);
+            tx.delete(drawSeedRef(db, appId, raffleId));
+            return 'deleted';
+        }
+        tx.update(ref, {
+            status: RAFFLE_STATUS.CANCELLED,
+            cancelledAt: FieldValue.serverTimestamp(),
+            cancelledBy: request.auth.uid,
+        });
+        return 'cancelled';
+    });
+
+    logger.info('Raffle removed by creator', { appId, raffleId, outcome });
+    return { outcome };
+});
@@ -0,0 +1,146 @@
+import { randomBytes } from 'node:crypto';
+import { getFirestore, FieldValue } from 'firebase-admin/firestore';
+import { logger } from 'firebase-functions';
+import { onDocumentCreated } from 'firebase-functions/v2/firestore';
+import { HttpsError, onCall } from 'firebase-functions/v2/https';
+import { eligibilityProblem, hasEligibilityRules } from '../shared/eligibility.js';
+import { DRAW_ALGORITHM, drawPrizesFromSeed, sha256Hex } from '../shared/fairDraw.js';
+import { prizesFor } from '../shared/prizes.js';
+import { DRAWABLE_STATUSES, RAFFLE_STATUS, STATUS_LABELS, raffleStatus } from '../shared/raffleLifecycle.js';
+import { RAFFLE_PATH, drawSeedRef, eligibilityRef, entriesRef, raffleRef } from './paths.js';
+
+// Commits to a fresh secret seed for the raffle unless one already exists. The seed stays in
+// the private collection until the draw; only its hash is published on the raffle document.
+export const ensureSeedCommitment = async (db, appId, raffleId) => {
+    const seedRef = drawSeedRef(db, appId, raffleId);
+    const seed = randomBytes(32).toString('hex');
+    const seedHash = await sha256Hex(seed);
+
+    return db.runTransaction(async (tx) => {
+        const existing = await tx.get(seedRef);
+        if (existing.exists) return existing.data();
+
+        const commitment = { seed, seedHash, committedAt: FieldValue.serverTimestamp() };
+        tx.create(seedRef, commitment);
+        tx.update(raffleRef(db, appId, raffleId), { seedHash, seedCommittedAt: FieldValue.serverTimestamp() });
+        return commitment;
+    });
+};
+
+export const commitDrawSeed = onDocumentCreated(RAFFLE_PATH, async (event) => {
+    const { appId, raffleId } = event.params;
+    await ensureSeedCommitment(getFirestore(), appId, raffleId);
+    logger.info('Committed draw seed', { appId, raffleId });
+});
+
+// Draws until every winner meets the raffle's eligibility rules: an ineligible winner's entry is
+// disqualified and the draw rerun, which passes over that pick and fills its slot with the next one.
+// The disqualified entries are published with the audit record, so the result stays reproducible.
+const drawEligibleWinners = async (tx, db, appId, raffle, { seed, entries, entriesById, prizes, allowMultipleWins }) => {
+    const disqualifiedEntryIds = [];
+    const problems = new Map();
+    const problemFor = async (userId) => {
+        if (!problems.has(userId)) {
+            const eligibilitySnap = await tx.get(eligibilityRef(db, appId, userId));
+            problems.set(userId, eligibilityProblem(raffle, eligibilitySnap.data()));
+        }
+        return problems.get(userId);
+    };
+
+    for (;;) {
+        const result = await drawPrizesFromSeed(seed, entries, prizes, { allowMultipleWins, disqualifiedEntryIds });
+        if (!hasEligibilityRules(raffle)) return { ...result, disqualifiedEntryIds };
+
+        let ineligible = null;
+        for (const winner of result.winners) {
+            if (await problemFor(entriesById.get(winner.entryId).userId)) {
+                ineligible = winner;
+                break;
+            }
+        }
+        if (!ineligible) return { ...result, disqualifiedEntryIds };
+        disqualifiedEntryIds.push(ineligible.entryId);
+    }
+};
+
+// Draws every prize tier over the raffle's frozen entry list and publishes the audit record. `drawnBy` is the
+// creator's uid, or 'system' for the scheduled auto-draw.
+export const performDraw = async (db, appId, raffleId, drawnBy) => {
+    const ref = raffleRef(db, appId, raffleId);
+    // Raffles created before commit–reveal draws get their commitment when entries close.
+    await ensureSeedCommitment(db, appId, raffleId);
+
+    return db.runTransaction(async (tx) => {
+        const seedRef = drawSeedRef(db, appId, raffleId);
+        // Reading the entries inside the transaction freezes the list the draw is computed over.
+        const [snap, seedSnap, entriesSnap] = await Promise.all([tx.get(ref), tx.get(seedRef), tx.get(entriesRef(db, appId, raffleId))]);
+        const raffle = snap.data();
+        const status = raffleStatus(raffle);
+        if (!DRAWABLE_STATUSES.includes(status)) {
+            throw new HttpsError('failed-precondition', `A ${STATUS_LABELS[status].toLowerCase()} raffle can't be drawn.`);
+        }
+        if (Array.isArray(raffle.entries)) {
+            throw new HttpsError('failed-precondition', 'This raffle still stores its entries inline; run the entries migration first.');
+        }
+        if (entriesSnap.empty) throw new HttpsError('failed-precondition', 'This raffle has no entries.');
+
+        const entries = entriesSnap.docs.map((entryDoc) => ({ id: entryDoc.id, ...entryDoc.data() }));
+        const entriesById = new Map(entries.map((entry) => [entry.id, entry]));
+        const prizes = prizesFor(raffle).map(({ name, winnerCount }) => ({ name, winnerCount }));
+        const allowMultipleWins = Boolean(raffle.allowMultipleWins);
+        const { seed, seedHash, committedAt } = seedSnap.data();
+        const result = await drawEligibleWinners(tx, db, appId, raffle, { seed, entries, entriesById, prizes, allowMultipleWins });
+        const winners = result.winners.map(({ prizeIndex, entryId }) => {
+            // Winners are named by uid only; the raffle page shows each under the name they chose to appear as.
+            const { userId } = entriesById.get(entryId);
+            return { prizeIndex, prizeName: prizes[prizeIndex].name, entryId, userId };
+        });
+        const auditRef = ref.collection('draws').doc();
+        const drawnAt = FieldValue.serverTimestamp();
+
+        tx.set(auditRef, {
+            algorithm: DRAW_ALGORITHM,
+            seed,
+            seedHash,
+            committedAt,
+            entriesHash: result.entriesHash,
+            entryCount: result.entryIds.length,
+            prizes,
+            allowMultipleWins,
+            disqualifiedEntryIds: result.disqualifiedEntryIds,
+            winners: result.winners,
+            drawnBy,
+            drawnAt,
+        });
+        tx.update(ref, {
+            status: RAFFLE_STATUS.DRAWN,
+            closedAt: raffle.closedAt || drawnAt,
+            winners,
+            drawId: auditRef.id,
+            drawSeed: seed,
+            drawnAt,
+            ...(raffle.liveDraw?.pending && { 'liveDraw.pending': false }),
+        });
+        tx.update(seedRef, { revealedAt: drawnAt });
+
+        logger.info('Drew winners', { appId, raffleId, drawId: auditRef.id, winners: winners.length, disqualified: result.disqualifiedEntryIds.length, drawnBy });
+        return { drawId: auditRef.id, winners };
+    });
+};
+
+export const drawWinner = onCall(async (request) => {
+    if (!request.auth) throw new HttpsError('unauthenticated', 'Sign in to draw a winner.');
+    const { appId, raffleId } = request.data || {};
+    if (!appId || !raffleId) throw new HttpsError('invalid-argument', 'appId and raffleId are required.');
+
+    const db = getFirestore();
+    const raffleSnap = await raffleRef(db, appId, raffleId).get();
+    if (!raffleSnap.exists) throw new HttpsError('not-found', 'Raffle not found.');
+    if (raffleSnap.get('creatorId') !== request.auth.uid) {
+        throw new HttpsError('permission-denied', 'Only the raffle creator can draw a winner.');
+    }
+    if (raffleSnap.get('liveDraw.pending')) {
+        throw new HttpsError('failed-precondition', 'A live draw is scheduled for this raffle; cancel it to draw now.');
+    }
+    return performDraw(db, appId, raffleId, request.auth.uid);
+});
@@ -0,0 +1,136 @@
+// --- Raffle Entries ---
+// Each entry is a document in the raffle's `entries` subcollection; the raffle document only
+// carries the `entryCount` and `ticketsSold` counters. Entries are only ever written here, inside a
+// transaction that also settles the purchase, so concurrent buyers can't overwrite each other and a
+// replayed webhook can't add a second ticket. Free entries are the same kind of document, without a
+// PaymentIntent. An entry names its holder only by uid; their email goes to the creator's private
+// roster of entrants instead (see shared/privacy.js).
+import { FieldValue } from 'firebase-admin/firestore';
+import { logger } from 'firebase-functions';
+import { eligibilityProblem, freeEntryWindow } from '../shared/eligibility.js';
+import { RAFFLE_STATUS, purchaseBlockReason } from '../shared/raffleLifecycle.js';
+import { raffleCurrency } from '../shared/ticketPricing.js';
+import { recordSale } from './ledger.js';
+import { eligibilityRef, entriesRef, purchaseRef, raffleEntrantRef, raffleRef } from './paths.js';
+
+const addEntries = (tx, db, { appId, raffleId, raffle }, entryIds, fields, email) => {
+    entryIds.forEach((entryId) => tx.create(entriesRef(db, appId, raffleId).doc(entryId), { ...fields, createdAt: FieldValue.serverTimestamp() }));
+    tx.set(raffleEntrantRef(db, appId, raffle.creatorId, raffleId, fields.userId), {
+        userId: fields.userId,
+        email: email || null,
+        tickets: FieldValue.increment(entryIds.length),
+        ...(fields.freeEntry && { freeEntries: FieldValue.increment(entryIds.length) }),
+        lastEntryAt: FieldValue.serverTimestamp(),
+    }, { merge: true });
+    const soldOut = raffle.maxTickets && (raffle.ticketsSold || 0) + entryIds.length >= raffle.maxTickets;
+    tx.update(raffleRef(db, appId, raffleId), {
+        entryCount: FieldValue.increment(entryIds.length),
+        ticketsSold: FieldValue.increment(entryIds.length),
+        ...(soldOut && { status: RAFFLE_STATUS.SOLD_OUT }),
+    });
+};
+
+// Resolves to { outcome: 'recorded' | 'duplicate' | 'rejected', reason }. A purchase is rejected
+// when the raffle stopped accepting it between checkout and payment (it closed, sold out, or the
+// buyer hit the per-user cap), or when checkout left no purchase record to say what was bought;
+// the caller refunds rejected purchases.
+export const recordPaidEntry = (db, { appId, raffleId, userId, paymentIntentId }) => db.runTransaction(async (tx) => {
+    const purchaseDocRef = purchaseRef(db, appId, userId, paymentIntentId);
+    const raffleDocRef = raffleRef(db, appId, raffleId);
+    const userEntries = entriesRef(db, appId, raffleId).where('userId', '==', userId).count();
+    const [purchaseSnap, raffleSnap, userEntriesSnap] = await Promise.all([tx.get(purchaseDocRef), tx.get(raffleDocRef), tx.get(userEntries)]);
+    const settledStatus = purchaseSnap.get('status');
+    if (settledStatus === 'succeeded') return { outcome: 'duplicate' };
+    if (settledStatus === 'rejected') {
+        // Replays keep asking for the refund until one has been issued.
+        return purchaseSnap.get('refundStatus') === 'pending'
+            ? { outcome: 'rejected', reason: purchaseSnap.get('rejectionReason') }
+            : { outcome: 'duplicate' };
+    }
+
+    const raffle = raffleSnap.exists ? raffleSnap.data() : null;
+    if (!purchaseSnap.exists) {
+        // The quantity and the fee split come from the purchase, so rather than guess at them the payment goes back.
+        const reason = 'This payment has no matching checkout.';
+        tx.set(purchaseDocRef, {
+            raffleId,
+            raffleName: raffle?.name ?? null,
+            status: 'rejected',
+            rejectionReason: reason,
+            refundStatus: 'pending',
+            createdAt: FieldValue.serverTimestamp(),
+        });
+        return { outcome: 'rejected', reason };
+    }
+
+    const quantity = purchaseSnap.get('quantity');
+    const reason = raffle
+        ? purchaseBlockReason(raffle, { quantity, userTicketCount: userEntriesSnap.data().count })
+        : 'This raffle no longer exists.';
+    if (reason) {
+        tx.set(purchaseDocRef, { status: 'rejected', rejectionReason: reason, refundStatus: 'pending' }, { merge: true });
+        return { outcome: 'rejected', reason };
+    }
+
+    // One entry per ticket, each a distinct chance to win, all paid for by the same PaymentIntent.
+    const entryIds = Array.from({ length: quantity }, (_, i) => `${paymentIntentId}-${i}`);
+    addEntries(tx, db, { appId, raffleId, raffle }, entryIds, { userId, paymentIntentId }, purchaseSnap.get('buyerEmail'));
+    tx.set(purchaseDocRef, { status: 'succeeded', entryIds, paidAt: FieldValue.serverTimestamp() }, { merge: true });
+    recordSale(tx, db, { appId, creatorId: raffle.creatorId, raffleId, raffleName: raffle.name, paymentIntentId }, purchaseSnap.data());
+    return { outcome: 'recorded' };
+});
+
+// The "no purchase necessary" entry: one ticket per person per raffle in each free-entry window,
+// bound by the same limits and eligibility rules as a paid one. It is keyed by the window, so a
+// second request in the same window finds it already there. Resolves to
+// { outcome: 'recorded' | 'duplicate' | 'rejected', entryId, reason }.
+export const recordFreeEntry = (db, { appId, raffleId, userId, email }, now = Date.now()) => db.runTransaction(async (tx) => {
+    const entryId = `free-${userId}-${freeEntryWindow(now)}`;
+    const purchaseDocRef = purchaseRef(db, appId, userId, `free-${raffleId}-${freeEntryWindow(now)}`);
+    const userEntries = entriesRef(db, appId, raffleId).where('userId', '==', userId).count();
+    const [purchaseSnap, raffleSnap, userEntriesSnap, eligibilitySnap] = await Promise.all([
+        tx.get(purchaseDocRef),
+        tx.get(raffleRef(db, appId, raffleId)),
+        tx.get(userEntries),
+        tx.get(eligibilityRef(db, appId, userId)),
+    ]);
+    if (purchaseSnap.exists) return { outcome: 'duplicate', entryId };
+    const raffle = raffleSnap.exists ? raffleSnap.data() : null;
+    const reason = raffle
+        ? purchaseBlockReason(raffle, { now, userTicketCount: userEntriesSnap.data().count }) || eligibilityProblem(raffle, eligibilitySnap.data(), now)
+        : 'This raffle no longer exists.';
+    if (reason) return { outcome: 'rejected', entryId, reason };
+
+    addEntries(tx, db, { appId, raffleId, raffle }, [entryId], { userId, paymentIntentId: null, freeEntry: true }, email);
+    // Listed with the user's purchases so it shows on their tickets page, but never charged or booked.
+    tx.create(purchaseDocRef, {
+        raffleId,
+        raffleName: raffle.name,
+        buyerEmail: email || null,
+        quantity: 1,
+        subtotalCents: 0,
+        feeCents: 0,
+        totalCents: 0,
+        currency: raffleCurrency(raffle),
+        freeEntry: true,
+        status: 'succeeded',
+        entryIds: [entryId],
+        rulesAcceptedAt: FieldValue.serverTimestamp(),
+        createdAt: FieldValue.serverTimestamp(),
+    });
+    return { outcome: 'recorded', entryId };
+});
+
+// Brings the raffle's counters back in line with the entry documents actually stored.
+// Returns the `ticketsSold` drift that was corrected (0 when the counters were already right).
+export const reconcileTicketCount = (db, raffleDocRef) => db.runTransaction(async (tx) => {
+    const [snap, countSnap] = await Promise.all([tx.get(raffleDocRef), tx.get(raffleDocRef.collection('entries').count())]);
+    if (!snap.exists) return 0;
+    const entryCount = countSnap.data().count;
+    const drift = (snap.get('ticketsSold') || 0) - entryCount;
+    if (drift !== 0 || snap.get('entryCount') !== entryCount) {
+        logger.warn('Raffle counters drifted from entries', { path: raffleDocRef.path, ticketsSold: snap.get('ticketsSold'), entryCount });
+        tx.update(raffleDocRef, { entryCount, ticketsSold: entryCount, ticketsSoldReconciledAt: FieldValue.serverTimestamp() });
+    }
+    return drift;
+});
@@ -0,0 +1,27 @@
+// --- Free Entry ---
+// Sweepstakes law in many places requires a way to enter without paying. Every raffle takes one free
+// entry per person in each FREE_ENTRY_INTERVAL_MS window; it is an ordinary entry with the same odds
+// as a paid ticket (see recordFreeEntry).
+import { getFirestore } from 'firebase-admin/firestore';
+import { logger } from 'firebase-functions';
+import { HttpsError, onCall } from 'firebase-functions/v2/https';
+import { nextFreeEntryAt } from '../shared/eligibility.js';
+import { recordFreeEntry } from './entries.js';
+
+export const enterForFree = onCall(async (request) => {
+    if (!request.auth) throw new HttpsError('unauthenticated', 'Sign in to enter.');
+    const { appId, raffleId, acceptedRules } = request.data || {};
+    if (!appId || !raffleId) throw new HttpsError('invalid-argument', 'appId and raffleId are required.');
+    if (acceptedRules !== true) throw new HttpsError('failed-precondition', 'Accept the official rules to enter.');
+
+    const now = Date.now();
+    const { uid } = request.auth;
+    const email = request.auth.token.email || null;
+    const { outcome, entryId, reason } = await recordFreeEntry(getFirestore(), { appId, raffleId, userId: uid, email }, now);
+    if (outcome === 'rejected') throw new HttpsError('failed-precondition', reason);
+    if (outcome === 'duplicate') {
+        throw new HttpsError('resource-exhausted', "You've already used your free entry for this raffle today.", { nextFreeEntryAt: nextFreeEntryAt(now) });
+    }
+    logger.info('Recorded free entry', { appId, raffleId, userId: uid, entryId });
+    return { entryId };
+});
@@ -0,0 +1,65 @@
+// --- Image Pipeline ---
+// Turns each upload under uploads/{appId}/{uid}/{uploadId} into resized WebP variants under
+// raffles/{appId}/images/{uploadId}/, records the outcome for the uploader, and deletes the original.
+// Re-encoding drops the EXIF block, GPS position included, after its orientation has been applied.
+import { randomUUID } from 'node:crypto';
+import { getFirestore, FieldValue } from 'firebase-admin/firestore';
+import { getStorage } from 'firebase-admin/storage';
+import { logger } from 'firebase-functions';
+import { onObjectFinalized } from 'firebase-functions/v2/storage';
+import sharp from 'sharp';
+import { ACCEPTED_IMAGE_TYPES, IMAGE_VARIANTS, MAX_IMAGE_BYTES } from '../shared/images.js';
+import { imageUploadRef } from './paths.js';
+
+const UPLOAD_PATH = /^uploads\/([^/]+)\/([^/]+)\/([^/]+)$/;
+
+// The same URL getDownloadURL() returns in the browser, which the Admin SDK has no helper for.
+const downloadUrl = (bucket, path, token) => {
+    const host = process.env.FIREBASE_STORAGE_EMULATOR_HOST ? `http://${process.env.FIREBASE_STORAGE_EMULATOR_HOST}` : 'https://firebasestorage.googleapis.com';
+    return `${host}/v0/b/${bucket}/o/${encodeURIComponent(path)}?alt=media&token=${token}`;
+};
+
+// Resolves to { thumbUrl, cardUrl, fullUrl }.
+export const writeVariants = async (bucket, basePath, original) => {
+    // Throws on anything that isn't a decodable image, whatever its declared content type.
+    const image = sharp(original, { failOn: 'error' }).rotate();
+    const urls = {};
+    for (const [variant, longestEdge] of Object.entries(IMAGE_VARIANTS)) {
+        const path = `${basePath}/${variant}.webp`;
+        const token = randomUUID();
+        const data = await image.clone()
+            .resize({ width: longestEdge, height: longestEdge, fit: 'inside', withoutEnlargement: true })
+            .webp({ quality: 82 })
+            .toBuffer();
+        await bucket.file(path).save(data, {
+            contentType: 'image/webp',
+            metadata: { cacheControl: 'public, max-age=31536000, immutable', metadata: { firebaseStorageDownloadTokens: token } },
+        });
+        urls[`${variant}Url`] = downloadUrl(bucket.name, path, token);
+    }
+    return urls;
+};
+
+export const processUploadedImage = onObjectFinalized({ memory: '1GiB', timeoutSeconds: 120 }, async (event) => {
+    const match = UPLOAD_PATH.exec(event.data.name);
+    if (!match) return;
+    const [, appId, userId, uploadId] = match;
+    const bucket = getStorage().bucket(event.data.bucket);
+    const original = bucket.file(event.data.name);
+    const resultRef = imageUploadRef(getFirestore(), appId, userId, uploadId);
+
+    try {
+        if (!ACCEPTED_IMAGE_TYPES.includes(event.data.contentType) || Number(event.data.size) > MAX_IMAGE_BYTES) {
+            throw new Error(`Unsupported upload: ${event.data.contentType}, ${event.data.size} bytes`);
+        }
+        const [data] = await original.download();
+        const urls = await writeVariants(bucket, `raffles/${appId}/images/${uploadId}`, data);
+        await resultRef.set({ status: 'ready', id: uploadId, ...urls, processedAt: FieldValue.serverTimestamp() });
+        logger.info('Processed uploaded image', { appId, userId, uploadId });
+    } catch (error) {
+        logger.warn('Rejected uploaded image', { appId, userId, uploadId, message: error.message });
+        await resultRef.set({ status: 'failed', error: 'This file could not be processed as an image.', processedAt: FieldValue.serverTimestamp() });
+    } finally {
+        await original.delete({ ignoreNotFound: true });
+    }
+});
@@ -0,0 +1,43 @@
+// --- Creator Sales Ledger ---
+// Every settled sale, and every refund of one, is a line in the creator's ledger, and each raffle
+// keeps running totals next to it, so the creator dashboard never reads buyers' purchases. Paid and
+// refunded ticket counts also go into the creator's public track record. What each line books is
+// worked out in shared/ledger.js.
+import { FieldValue } from 'firebase-admin/firestore';
+import { creatorStatsChange, ledgerAmounts, salesTotalsChange } from '../shared/ledger.js';
+import { creatorStatsRef, ledgerRef, purchaseRef, raffleRef, raffleSalesRef } from './paths.js';
+
+const increments = (change) => Object.fromEntries(Object.entries(change).map(([field, amount]) => [field, FieldValue.increment(amount)]));
+
+// Lines are keyed by type and PaymentIntent, so a sale or refund can only be booked once.
+export const ledgerLineRef = (db, { appId, creatorId, paymentIntentId }, type) => ledgerRef(db, appId, creatorId).doc(`${type}-${paymentIntentId}`);
+
+const addLedgerLine = (tx, db, line, type, amounts) => {
+    const { appId, creatorId, raffleId, raffleName, paymentIntentId } = line;
+    tx.create(ledgerLineRef(db, line, type), { type, raffleId, raffleName, paymentIntentId, ...amounts, createdAt: FieldValue.serverTimestamp() });
+    tx.set(raffleSalesRef(db, appId, creatorId, raffleId), {
+        raffleId,
+        raffleName,
+        currency: amounts.currency,
+        ...increments(salesTotalsChange(type, amounts)),
+        updatedAt: FieldValue.serverTimestamp(),
+    }, { merge: true });
+    tx.set(creatorStatsRef(db, appId, creatorId), { ...increments(creatorStatsChange(type, amounts)), updatedAt: FieldValue.serverTimestamp() }, { merge: true });
+};
+
+// Writes only, for use inside a transaction that has already read the raffle and the purchase.
+export const recordSale = (tx, db, line, purchase) => addLedgerLine(tx, db, line, 'sale', ledgerAmounts(purchase, 1));
+
+// Books a completed refund against the creator. Purchases that never became a sale (rejected
+// entries) were never booked, so there is nothing to reverse. Resolves to whether a line was added.
+export const recordRefund = (db, { appId, raffleId, userId, paymentIntentId }) => db.runTransaction(async (tx) => {
+    const [purchaseSnap, raffleSnap] = await Promise.all([
+        tx.get(purchaseRef(db, appId, userId, paymentIntentId)),
+        tx.get(raffleRef(db, appId, raffleId)),
+    ]);
+    if (purchaseSnap.get('status') !== 'succeeded' || !raffleSnap.exists) return false;
+    const line = { appId, creatorId: raffleSnap.get('creatorId'), raffleId, raffleName: raffleSnap.get('name'), paymentIntentId };
+    if ((await tx.get(ledgerLineRef(db, line, 'refund'))).exists) return false;
+    addLedgerLine(tx, db, line, 'refund', ledgerAmounts(purchaseSnap.data(), -1));
+    return true;
+});
@@ -0,0 +1,64 @@
+// --- Scheduled Lifecycle ---
+// Opens drafts whose start time has passed, flags raffles about to close so their entrants are
+// reminded, and closes and auto-draws raffles whose end time has passed. Creators can still draw
+// early from the detail page; this only catches the rest. Raffles with a live draw scheduled wait
+// for it (see liveDraw.js).
+import { getFirestore, FieldValue, Timestamp } from 'firebase-admin/firestore';
+import { logger } from 'firebase-functions';
+import { onSchedule } from 'firebase-functions/v2/scheduler';
+import { ENDING_SOON_WINDOW_MS, needsEndingSoonReminder } from '../shared/notifications.js';
+import { RAFFLE_STATUS } from '../shared/raffleLifecycle.js';
+import { ensureSeedCommitment, performDraw } from './draw.js';
+import { raffleIdsFromRef } from './paths.js';
+
+// Moves a raffle from one of `fromStatuses` to `toStatus`, unless something else got there first.
+const transition = (db, ref, fromStatuses, toStatus, fields = {}) => db.runTransaction(async (tx) => {
+    const snap = await tx.get(ref);
+    if (!fromStatuses.includes(snap.get('status'))) return false;
+    tx.update(ref, { status: toStatus, ...fields });
+    return true;
+});
+
+const drawClosedRaffle = async (db, ref) => {
+    const { appId, raffleId } = raffleIdsFromRef(ref);
+    try {
+        await performDraw(db, appId, raffleId, 'system');
+    } catch (error) {
+        // One bad raffle shouldn't hold up the rest; it stays closed and is retried on the next run.
+        logger.error('Failed to draw raffle', { appId, raffleId, message: error.message });
+    }
+};
+
+export const advanceRaffleLifecycle = onSchedule('every 5 minutes', async () => {
+    const db = getFirestore();
+    const now = Timestamp.now();
+    const raffles = db.collectionGroup('raffles');
+
+    const starting = await raffles.where('status', '==', RAFFLE_STATUS.DRAFT).where('startsAt', '<=', now).get();
+    for (const raffle of starting.docs) {
+        await transition(db, raffle.ref, [RAFFLE_STATUS.DRAFT], RAFFLE_STATUS.OPEN, { openedAt: FieldValue.serverTimestamp() });
+    }
+
+    // notifyRaffleUpdates reminds the entrants once this flag is set.
+    const endingSoon = await raffles.where('status', '==', RAFFLE_STATUS.OPEN).where('endsAt', '<=', Timestamp.fromMillis(now.toMillis() + ENDING_SOON_WINDOW_MS)).get();
+    const toRemind = endingSoon.docs.filter((raffle) => needsEndingSoonReminder(raffle.data(), now.toMillis()));
+    for (const raffle of toRemind) {
+        await raffle.ref.update({ endingSoonNotifiedAt: FieldValue.serverTimestamp() });
+    }
+
+    const ending = await raffles.where('status', 'in', [RAFFLE_STATUS.OPEN, RAFFLE_STATUS.SOLD_OUT]).where('endsAt', '<=', now).get();
+    for (const raffle of ending.docs) {
+        const closed = await transition(db, raffle.ref, [RAFFLE_STATUS.OPEN, RAFFLE_STATUS.SOLD_OUT], RAFFLE_STATUS.CLOSED, { closedAt: FieldValue.serverTimestamp() });
+        if (!closed) continue;
+        // The seed is committed the moment entries close, even if the draw itself fails below.
+        const { appId, raffleId } = raffleIdsFromRef(raffle.ref);
+        await ensureSeedCommitment(db, appId, raffleId);
+    }
+
+    const undrawn = (await raffles.where('status', '==', RAFFLE_STATUS.CLOSED).where('entryCount', '>', 0).get())
+        .docs.filter((raffle) => !raffle.get('liveDraw.pending'));
+    for (const raffle of undrawn) {
+        await drawClosedRaffle(db, raffle.ref);
+    }
+    logger.info('Advanced raffle lifecycle', { opened: starting.size, reminded: toRemind.length, closed: ending.size, drawn: undrawn.length });
+});
@@ -0,0 +1,90 @@
+// --- Live Draws ---
+// Creators schedule a raffle's draw for a set time with scheduleLiveDraw, which queues startLiveDraw
+// to draw it at that time; runLiveDraws sweeps up any the queue missed once a minute. Every viewer's
+// page then plays the same reveal (see shared/liveDraw.js). Until then the scheduled auto-draw and
+// the creator's Draw Winner button leave the raffle alone.
+import { getFirestore, FieldValue, Timestamp } from 'firebase-admin/firestore';
+import { getFunctions } from 'firebase-admin/functions';
+import { logger } from 'firebase-functions';
+import { HttpsError, onCall } from 'firebase-functions/v2/https';
+import { onSchedule } from 'firebase-functions/v2/scheduler';
+import { onTaskDispatched } from 'firebase-functions/v2/tasks';
+import { liveDrawScheduleProblem } from '../shared/liveDraw.js';
+import { toMillis } from '../shared/raffleLifecycle.js';
+import { performDraw } from './draw.js';
+import { raffleIdsFromRef, raffleRef } from './paths.js';
+
+// Schedules, moves or (with `startsAt: null`) cancels the live draw. `startsAt` is in milliseconds.
+export const scheduleLiveDraw = onCall(async (request) => {
+    if (!request.auth) throw new HttpsError('unauthenticated', 'Sign in to schedule a live draw.');
+    const { appId, raffleId, startsAt } = request.data || {};
+    if (!appId || !raffleId) throw new HttpsError('invalid-argument', 'appId and raffleId are required.');
+    if (startsAt !== null && !Number.isInteger(startsAt)) throw new HttpsError('invalid-argument', 'startsAt must be a time in milliseconds, or null to cancel.');
+
+    const db = getFirestore();
+    const ref = raffleRef(db, appId, raffleId);
+    const result = await db.runTransaction(async (tx) => {
+        const snap = await tx.get(ref);
+        if (!snap.exists) throw new HttpsError('not-found', 'Raffle not found.');
+        if (snap.get('creatorId') !== request.auth.uid) throw new HttpsError('permission-denied', 'Only the raffle creator can schedule a live draw.');
+        const liveDraw = snap.get('liveDraw');
+
+        if (startsAt === null) {
+            if (!liveDraw?.pending) throw new HttpsError('failed-precondition', 'No live draw is scheduled.');
+            if (toMillis(liveDraw.startsAt) <= Date.now()) throw new HttpsError('failed-precondition', 'The live draw has already started.');
+            tx.update(ref, { liveDraw: FieldValue.delete() });
+            logger.info('Cancelled live draw', { appId, raffleId });
+            return { startsAt: null };
+        }
+
+        const problem = liveDrawScheduleProblem(snap.data(), startsAt);
+        if (problem) throw new HttpsError('failed-precondition', problem);
+        tx.update(ref, {
+            liveDraw: { startsAt: Timestamp.fromMillis(startsAt), pending: true, scheduledBy: request.auth.uid, scheduledAt: FieldValue.serverTimestamp() },
+        });
+        logger.info('Scheduled live draw', { appId, raffleId, startsAt: new Date(startsAt).toISOString() });
+        return { startsAt };
+    });
+
+    if (result.startsAt !== null) {
+        // Without the task the draw still runs, up to a minute late, on the next runLiveDraws sweep.
+        await getFunctions().taskQueue('startLiveDraw').enqueue({ appId, raffleId, startsAt }, { scheduleTime: new Date(startsAt) })
+            .catch((error) => logger.warn('Failed to queue live draw', { appId, raffleId, message: error.message }));
+    }
+    return result;
+});
+
+// Draws a live draw whose time has come. A raffle that can't be drawn (no entries, cancelled) tells
+// its viewers why instead of counting down forever; any other failure is thrown, to be retried.
+const runLiveDraw = async (db, raffleSnap) => {
+    const { appId, raffleId } = raffleIdsFromRef(raffleSnap.ref);
+    try {
+        await performDraw(db, appId, raffleId, raffleSnap.get('liveDraw.scheduledBy'));
+    } catch (error) {
+        logger.error('Failed to run live draw', { appId, raffleId, message: error.message });
+        if (!(error instanceof HttpsError)) throw error;
+        // The task and the sweep can race; the loser must not mark the winner's draw as failed.
+        if ((await raffleSnap.ref.get()).get('liveDraw.pending')) {
+            await raffleSnap.ref.update({ 'liveDraw.pending': false, 'liveDraw.error': error.message });
+        }
+    }
+};
+
+export const startLiveDraw = onTaskDispatched({ retryConfig: { maxAttempts: 5, minBackoffSeconds: 10 } }, async (request) => {
+    const { appId, raffleId, startsAt } = request.data;
+    const db = getFirestore();
+    const raffle = await raffleRef(db, appId, raffleId).get();
+    // A draw moved since has its own task; a cancelled or finished one needs none.
+    if (!raffle.get('liveDraw.pending') || toMillis(raffle.get('liveDraw.startsAt')) !== startsAt) return;
+    await runLiveDraw(db, raffle);
+});
+
+export const runLiveDraws = onSchedule('every 1 minutes', async () => {
+    const db = getFirestore();
+    const due = await db.collectionGroup('raffles').where('liveDraw.pending', '==', true).where('liveDraw.startsAt', '<=', Timestamp.now()).get();
+    for (const raffle of due.docs) {
+        // Logged by runLiveDraw, and retried on the next run.
+        await runLiveDraw(db, raffle).catch(() => {});
+    }
+    logger.info('Ran live draws', { due: due.size });
+});
@@ -0,0 +1,48 @@
+// --- Mailer ---
+// Notifications never talk to an email provider directly. They queue a message in the private
+// outbox, and `deliverEmail` hands it to a mailer: any object with `send({ to, subject, text })`.
+// MAILER_TRANSPORT picks the mailer:
+//   log  - writes each message to the function logs instead of sending it (the default).
+//   smtp - sends through nodemailer to SMTP_URL. In development, point it at a local catch-all
+//          such as Mailpit: MAILER_TRANSPORT=smtp in functions/.env.local and
+//          SMTP_URL=smtp://127.0.0.1:1025 in functions/.secret.local.
+import { getAuth } from 'firebase-admin/auth';
+import { FieldValue } from 'firebase-admin/firestore';
+import { logger } from 'firebase-functions';
+import { defineSecret, defineString } from 'firebase-functions/params';
+import { onDocumentCreated } from 'firebase-functions/v2/firestore';
+import nodemailer from 'nodemailer';
+import { OUTBOX_PATH } from './paths.js';
+
+export const mailerTransport = defineString('MAILER_TRANSPORT', { default: 'log' });
+export const mailFrom = defineString('MAIL_FROM', { default: 'RaffleHub <no-reply@rafflehub.app>' });
+export const smtpUrl = defineSecret('SMTP_URL');
+// Links in emails point here; notifications themselves store app-relative paths.
+export const appUrl = defineString('APP_URL', { default: 'http://localhost:3000' });
+
+const logMailer = {
+    send: async (message) => logger.info('Email not sent (MAILER_TRANSPORT=log)', message),
+};
+
+const smtpMailer = (url, from) => {
+    const transport = nodemailer.createTransport(url);
+    return { send: ({ to, subject, text }) => transport.sendMail({ from, to, subject, text }) };
+};
+
+export const createMailer = () => (mailerTransport.value() === 'smtp' ? smtpMailer(smtpUrl.value(), mailFrom.value()) : logMailer);
+
+export const deliverEmail = onDocumentCreated({ document: OUTBOX_PATH, secrets: [smtpUrl], retry: true }, async (event) => {
+    // Re-read rather than trust the event: a retry may follow a send that already went out.
+    const messageRef = event.data.ref;
+    const message = (await messageRef.get()).data();
+    if (message.status !== 'queued') return;
+
+    const { email } = await getAuth().getUser(message.userId).catch(() => ({}));
+    if (!email) {
+        await messageRef.update({ status: 'skipped', reason: 'The user has no email address.' });
+        return;
+    }
+    await createMailer().send({ to: email, subject: message.subject, text: `${message.text}\n\n${appUrl.value()}${message.link || ''}` });
+    await messageRef.update({ status: 'sent', sentAt: FieldValue.serverTimestamp() });
+    logger.info('Sent email', { path: messageRef.path, type: message.type });
+});
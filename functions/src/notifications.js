@@ -0,0 +1,79 @@
+// --- Notifications ---
+// Each notification lands in the user's in-app inbox and, through the outbox (see mailer.js), in
+// their email, as their preferences allow. They are raised by triggers on the documents whose
+// changes they report, and each has a deterministic id, so a retried trigger never notifies twice.
+import { getFirestore, FieldValue } from 'firebase-admin/firestore';
+import { logger } from 'firebase-functions';
+import { onDocumentUpdated } from 'firebase-functions/v2/firestore';
+import {
+    cancelledNotification, drawnNotification, endingSoonNotification, entrantIdsToNotify, notificationChannels, receiptNotification, refundNotification,
+} from '../shared/notifications.js';
+import { RAFFLE_STATUS } from '../shared/raffleLifecycle.js';
+import { PURCHASE_PATH, RAFFLE_PATH, entriesRef, notificationRef, notificationSettingsRef, outboxRef } from './paths.js';
+
+const ALREADY_EXISTS = 6; // gRPC status code returned by DocumentReference.create()
+const FAN_OUT_BATCH = 50;
+
+const ignoreExisting = (error) => {
+    if (error.code !== ALREADY_EXISTS) throw error;
+};
+
+// `notification` is { id, type, title, body, link }, with `link` a path within the app.
+// Resolves to the channels it went out on.
+export const notify = async (db, appId, userId, { id, type, title, body, link }) => {
+    const prefs = (await notificationSettingsRef(db, appId, userId).get()).data();
+    const channels = notificationChannels(prefs, type);
+    await Promise.all([
+        channels.inApp && notificationRef(db, appId, userId, id)
+            .create({ type, title, body, link, read: false, createdAt: FieldValue.serverTimestamp() })
+            .catch(ignoreExisting),
+        channels.email && outboxRef(db, appId, `${userId}-${id}`)
+            .create({ userId, type, subject: title, text: body, link, status: 'queued', createdAt: FieldValue.serverTimestamp() })
+            .catch(ignoreExisting),
+    ]);
+    return channels;
+};
+
+const notifyEntrants = async (db, appId, raffleId, notificationFor) => {
+    const entries = await entriesRef(db, appId, raffleId).select('userId', 'refundStatus').get();
+    const userIds = entrantIdsToNotify(entries.docs.map((entryDoc) => entryDoc.data()));
+    for (let i = 0; i < userIds.length; i += FAN_OUT_BATCH) {
+        await Promise.all(userIds.slice(i, i + FAN_OUT_BATCH).map((userId) => notify(db, appId, userId, notificationFor(userId))));
+    }
+    return userIds.length;
+};
+
+const became = (before, after, field, value) => after[field] === value && before[field] !== value;
+
+export const notifyRaffleUpdates = onDocumentUpdated({ document: RAFFLE_PATH, retry: true }, async (event) => {
+    const before = event.data.before.data();
+    const raffle = event.data.after.data();
+    const { appId, raffleId } = event.params;
+    const db = getFirestore();
+
+    // Set by the lifecycle job a day before the raffle closes.
+    if (raffle.endingSoonNotifiedAt && !before.endingSoonNotifiedAt) {
+        const notified = await notifyEntrants(db, appId, raffleId, () => endingSoonNotification(raffleId, raffle));
+        logger.info('Notified entrants that a raffle ends soon', { appId, raffleId, notified });
+    }
+
+    if (became(before, raffle, 'status', RAFFLE_STATUS.DRAWN)) {
+        const notified = await notifyEntrants(db, appId, raffleId, (userId) => drawnNotification(raffleId, raffle, userId));
+        logger.info('Notified entrants of the draw', { appId, raffleId, notified });
+    }
+
+    if (became(before, raffle, 'status', RAFFLE_STATUS.CANCELLED)) {
+        const notified = await notifyEntrants(db, appId, raffleId, () => cancelledNotification(raffleId, raffle));
+        logger.info('Notified entrants of a cancellation', { appId, raffleId, notified });
+    }
+});
+
+export const notifyPurchaseUpdates = onDocumentUpdated({ document: PURCHASE_PATH, retry: true }, async (event) => {
+    const before = event.data.before.data();
+    const purchase = event.data.after.data();
+    const { appId, userId, paymentIntentId } = event.params;
+    const db = getFirestore();
+
+    if (became(before, purchase, 'status', 'succeeded')) await notify(db, appId, userId, receiptNotification(paymentIntentId, purchase));
+    if (became(before, purchase, 'refundStatus', 'succeeded')) await notify(db, appId, userId, refundNotification(paymentIntentId, purchase));
+});
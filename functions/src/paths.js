@@ -0,0 +1,51 @@
+// Firestore locations shared with the web client. Everything an entrant may read lives
+// under artifacts/{appId}/public/data; server-only state lives under artifacts/{appId}/private/data.
+
+export const RAFFLE_PATH = 'artifacts/{appId}/public/data/raffles/{raffleId}';
+
+export const raffleRef = (db, appId, raffleId) => db.doc(`artifacts/${appId}/public/data/raffles/${raffleId}`);
+
+export const entriesRef = (db, appId, raffleId) => raffleRef(db, appId, raffleId).collection('entries');
+
+export const drawSeedRef = (db, appId, raffleId) => db.doc(`artifacts/${appId}/private/data/drawSeeds/${raffleId}`);
+
+// Operator settings every signed-in user may read, such as the platform fee; see shared/ticketPricing.js.
+export const pricingConfigRef = (db, appId) => db.doc(`artifacts/${appId}/public/data/config/pricing`);
+
+// Public profiles; see profiles.js for the `handle` only the server sets.
+export const PROFILE_PATH = 'artifacts/{appId}/public/data/profiles/{uid}';
+
+// Each creator's public track record, kept up to date by the server; see ledger.js.
+export const creatorStatsRef = (db, appId, uid) => db.doc(`artifacts/${appId}/public/data/creatorStats/${uid}`);
+
+// Per-user records the user may read but only the server writes.
+export const PURCHASE_PATH = 'artifacts/{appId}/users/{userId}/purchases/{paymentIntentId}';
+
+export const purchaseRef = (db, appId, uid, paymentIntentId) => db.doc(`artifacts/${appId}/users/${uid}/purchases/${paymentIntentId}`);
+
+// The user's inbox (they may mark notifications read) and their notification preferences.
+export const notificationRef = (db, appId, uid, notificationId) => db.doc(`artifacts/${appId}/users/${uid}/notifications/${notificationId}`);
+
+export const notificationSettingsRef = (db, appId, uid) => db.doc(`artifacts/${appId}/users/${uid}/settings/notifications`);
+
+// The date of birth and region the user declared, checked against each raffle's eligibility rules.
+export const eligibilityRef = (db, appId, uid) => db.doc(`artifacts/${appId}/users/${uid}/settings/eligibility`);
+
+// The outcome of each image a user uploads; see images.js.
+export const imageUploadRef = (db, appId, uid, uploadId) => db.doc(`artifacts/${appId}/users/${uid}/imageUploads/${uploadId}`);
+
+// Emails waiting to be sent; see mailer.js.
+export const OUTBOX_PATH = 'artifacts/{appId}/private/data/outbox/{messageId}';
+
+export const outboxRef = (db, appId, messageId) => db.doc(`artifacts/${appId}/private/data/outbox/${messageId}`);
+
+// A creator's sales ledger and per-raffle totals, readable by the creator, written only by the server.
+export const ledgerRef = (db, appId, creatorId) => db.collection(`artifacts/${appId}/users/${creatorId}/ledger`);
+
+export const raffleSalesRef = (db, appId, creatorId, raffleId) => db.doc(`artifacts/${appId}/users/${creatorId}/raffleSales/${raffleId}`);
+
+// The creator's roster of who entered a raffle, with their email; the public entries carry only a uid.
+export const raffleEntrantRef = (db, appId, creatorId, raffleId, uid) => raffleSalesRef(db, appId, creatorId, raffleId).collection('entrants').doc(uid);
+
+// The inverse of raffleRef, for raffles found through collection group queries.
+export const raffleIdsFromRef = (ref) => ({ appId: ref.path.split('/')[1], raffleId: ref.id });
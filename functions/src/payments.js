@@ -0,0 +1,129 @@
+// --- Ticket Payments ---
+// A purchase is a Stripe PaymentIntent created here for the fee-inclusive total of one or more
+// tickets. The client only confirms it; the entries are recorded when Stripe reports
+// `payment_intent.succeeded` to the webhook, so tickets exist if and only if the charge went through.
+//
+// Local development: put STRIPE_SECRET_KEY and STRIPE_WEBHOOK_SECRET in functions/.secret.local,
+// run `npm run serve`, and forward events with
+//   stripe listen --forward-to http://127.0.0.1:5001/rafflehub-72627/us-central1/stripeWebhook
+import { getFirestore, FieldValue } from 'firebase-admin/firestore';
+import { logger } from 'firebase-functions';
+import { HttpsError, onCall, onRequest } from 'firebase-functions/v2/https';
+import { eligibilityProblem } from '../shared/eligibility.js';
+import { purchaseBlockReason } from '../shared/raffleLifecycle.js';
+import { MAX_TICKETS_PER_PURCHASE, feeRuleFor, isValidFeeRule, isValidQuantity, quoteTickets, raffleCurrency } from '../shared/ticketPricing.js';
+import { recordPaidEntry } from './entries.js';
+import { eligibilityRef, entriesRef, pricingConfigRef, purchaseRef, raffleRef } from './paths.js';
+import { recordRefundStatus, refundPayment } from './refunds.js';
+import { stripeClient, stripeSecretKey, stripeWebhookSecret } from './stripe.js';
+
+const ALREADY_EXISTS = 6; // gRPC status code returned by DocumentReference.create()
+
+export const createTicketPaymentIntent = onCall({ secrets: [stripeSecretKey] }, async (request) => {
+    if (!request.auth) throw new HttpsError('unauthenticated', 'Sign in to buy a ticket.');
+    const { appId, raffleId, idempotencyKey, quantity = 1, acceptedRules } = request.data || {};
+    if (!appId || !raffleId || !idempotencyKey) {
+        throw new HttpsError('invalid-argument', 'appId, raffleId and idempotencyKey are required.');
+    }
+    if (!isValidQuantity(quantity)) {
+        throw new HttpsError('invalid-argument', `You can buy between 1 and ${MAX_TICKETS_PER_PURCHASE} tickets at a time.`);
+    }
+    if (acceptedRules !== true) throw new HttpsError('failed-precondition', 'Accept the official rules to enter.');
+
+    const db = getFirestore();
+    const { uid } = request.auth;
+    const [raffleSnap, userEntriesSnap, pricingSnap, eligibilitySnap] = await Promise.all([
+        raffleRef(db, appId, raffleId).get(),
+        entriesRef(db, appId, raffleId).where('userId', '==', uid).count().get(),
+        pricingConfigRef(db, appId).get(),
+        eligibilityRef(db, appId, uid).get(),
+    ]);
+    if (!raffleSnap.exists) throw new HttpsError('not-found', 'Raffle not found.');
+    const raffle = raffleSnap.data();
+    const blockReason = purchaseBlockReason(raffle, { quantity, userTicketCount: userEntriesSnap.data().count })
+        || eligibilityProblem(raffle, eligibilitySnap.data());
+    if (blockReason) throw new HttpsError('failed-precondition', blockReason);
+
+    // The checkout quotes from the same config document, so the buyer is charged what they were shown.
+    const feeSchedule = pricingSnap.get('platformFee');
+    if (!isValidFeeRule(feeRuleFor(feeSchedule, raffleCurrency(raffle)))) {
+        logger.error('Invalid platform fee configuration', { appId, feeSchedule });
+        throw new HttpsError('unavailable', 'Ticket sales are temporarily unavailable. Please try again later.');
+    }
+    const { currency, subtotalCents, feeCents, totalCents } = quoteTickets(raffle, quantity, feeSchedule);
+    // Retrying with the same key (a double click, a flaky network) returns the same PaymentIntent.
+    const paymentIntent = await stripeClient().paymentIntents.create({
+        amount: totalCents,
+        currency: currency.toLowerCase(),
+        payment_method_types: ['card'],
+        description: `${quantity} ticket${quantity === 1 ? '' : 's'} for "${raffle.name}"`,
+        metadata: { appId, raffleId, userId: uid, quantity: String(quantity) },
+    }, { idempotencyKey: `ticket-${uid}-${idempotencyKey}` });
+
+    // A replayed key must not reset a purchase the webhook has already settled.
+    await purchaseRef(db, appId, uid, paymentIntent.id).create({
+        raffleId,
+        raffleName: raffle.name,
+        buyerEmail: request.auth.token.email || null,
+        quantity,
+        subtotalCents,
+        feeCents,
+        totalCents,
+        currency,
+        status: 'pending',
+        rulesAcceptedAt: FieldValue.serverTimestamp(),
+        createdAt: FieldValue.serverTimestamp(),
+    }).catch((error) => {
+        if (error.code !== ALREADY_EXISTS) throw error;
+    });
+
+    return { paymentIntentId: paymentIntent.id, clientSecret: paymentIntent.client_secret };
+});
+
+const recordFailedPayment = async (db, paymentIntent) => {
+    const { appId, userId } = paymentIntent.metadata;
+    await purchaseRef(db, appId, userId, paymentIntent.id).set({
+        status: 'failed',
+        failureMessage: paymentIntent.last_payment_error?.message || 'The payment failed.',
+    }, { merge: true });
+};
+
+export const stripeWebhook = onRequest({ secrets: [stripeSecretKey, stripeWebhookSecret] }, async (req, res) => {
+    let event;
+    try {
+        event = stripeClient().webhooks.constructEvent(req.rawBody, req.get('stripe-signature'), stripeWebhookSecret.value());
+    } catch (error) {
+        logger.warn('Rejected webhook with an invalid signature', { message: error.message });
+        res.status(400).send(`Webhook Error: ${error.message}`);
+        return;
+    }
+
+    // A PaymentIntent or, for refund events, a Refund; both carry our raffle metadata.
+    const object = event.data.object;
+    if (!object.metadata?.raffleId) {
+        // Not one of ours, e.g. a payment made from the Stripe dashboard.
+        res.json({ received: true });
+        return;
+    }
+
+    const db = getFirestore();
+    switch (event.type) {
+        case 'payment_intent.succeeded': {
+            // The raffle may have refused the entry (see recordPaidEntry); the buyer gets their money back.
+            const purchase = { ...object.metadata, paymentIntentId: object.id };
+            const { outcome, reason } = await recordPaidEntry(db, purchase);
+            if (outcome === 'recorded') logger.info('Recorded paid entry', purchase);
+            if (outcome === 'rejected') {
+                logger.warn('Refunding a payment the raffle could no longer accept', { ...purchase, reason });
+                await refundPayment(db, purchase, 'entry_rejected');
+            }
+            break;
+        }
+        case 'payment_intent.payment_failed': await recordFailedPayment(db, object); break;
+        case 'charge.refund.updated':
+            await recordRefundStatus(db, { ...object.metadata, paymentIntentId: object.payment_intent }, object);
+            break;
+        default: break;
+    }
+    res.json({ received: true });
+});
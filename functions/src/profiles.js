@@ -0,0 +1,25 @@
+// --- Profile Handles ---
+// A profile's `handle` is the masked form of its owner's sign-in email (see shared/privacy.js). Clients
+// may not write it (firestore.rules); it is filled in here from the email on the account whenever a
+// profile is written without the right one, so nobody can appear under someone else's handle.
+import { getAuth } from 'firebase-admin/auth';
+import { FieldValue } from 'firebase-admin/firestore';
+import { logger } from 'firebase-functions';
+import { onDocumentWritten } from 'firebase-functions/v2/firestore';
+import { maskEmail } from '../shared/privacy.js';
+import { PROFILE_PATH } from './paths.js';
+
+export const assignProfileHandle = onDocumentWritten(PROFILE_PATH, async (event) => {
+    const profile = event.data.after;
+    if (!profile.exists) return;
+    const { appId, uid } = event.params;
+    const { email } = await getAuth().getUser(uid).catch((error) => {
+        if (error.code === 'auth/user-not-found') return {};
+        throw error;
+    });
+    const handle = maskEmail(email);
+    if ((profile.get('handle') ?? null) === handle) return;
+
+    await profile.ref.update({ handle: handle ?? FieldValue.delete() });
+    logger.info('Assigned profile handle', { appId, uid });
+});
@@ -0,0 +1,14 @@
+import { getFirestore } from 'firebase-admin/firestore';
+import { logger } from 'firebase-functions';
+import { onSchedule } from 'firebase-functions/v2/scheduler';
+import { reconcileTicketCount } from './entries.js';
+
+export const reconcileTicketCounts = onSchedule('every day 03:00', async () => {
+    const db = getFirestore();
+    const raffles = await db.collectionGroup('raffles').select().get();
+    let corrected = 0;
+    for (const raffle of raffles.docs) {
+        if (await reconcileTicketCount(db, raffle.ref) !== 0) corrected += 1;
+    }
+    logger.info('Reconciled ticket counts', { checked: raffles.size, corrected });
+});
@@ -0,0 +1,84 @@
+// --- Refunds ---
+// Refunds are keyed by PaymentIntent and attempt (see shared/refunds.js), so issuing one twice (a
+// retried trigger, a replayed webhook) returns the original refund, while one that failed is tried
+// afresh. Stripe reports later status changes through `charge.refund.updated`.
+import { getFirestore, FieldValue } from 'firebase-admin/firestore';
+import { logger } from 'firebase-functions';
+import { onDocumentUpdated } from 'firebase-functions/v2/firestore';
+import { RAFFLE_STATUS } from '../shared/raffleLifecycle.js';
+import { SETTLED_REFUND_STATUSES, needsRefund, refundAttemptFor, refundIdempotencyKey } from '../shared/refunds.js';
+import { recordRefund } from './ledger.js';
+import { RAFFLE_PATH, entriesRef, purchaseRef, raffleRef } from './paths.js';
+import { stripeClient, stripeSecretKey } from './stripe.js';
+
+// Copies a refund's status onto the purchase and every entry it paid for, and books it in the
+// creator's ledger once it has gone through.
+export const recordRefundStatus = async (db, { appId, raffleId, userId, paymentIntentId }, refund) => {
+    const attempt = Number(refund.metadata?.attempt || 0);
+    const purchaseDocRef = purchaseRef(db, appId, userId, paymentIntentId);
+    // A late update about an attempt that has since been retried leaves the retry's status alone.
+    if ((await purchaseDocRef.get()).get('refundAttempt') > attempt) return;
+    const refundFields = { refundStatus: refund.status, refundId: refund.id, refundAttempt: attempt, refundUpdatedAt: FieldValue.serverTimestamp() };
+    const batch = db.batch();
+    batch.set(purchaseDocRef, refundFields, { merge: true });
+    const entries = await entriesRef(db, appId, raffleId).where('paymentIntentId', '==', paymentIntentId).get();
+    entries.docs.forEach((entryDoc) => batch.update(entryDoc.ref, refundFields));
+    await batch.commit();
+    if (refund.status === 'succeeded') await recordRefund(db, { appId, raffleId, userId, paymentIntentId });
+};
+
+export const refundPayment = async (db, purchase, reason) => {
+    const attempt = refundAttemptFor((await purchaseRef(db, purchase.appId, purchase.userId, purchase.paymentIntentId).get()).data());
+    const refund = await stripeClient().refunds.create({
+        payment_intent: purchase.paymentIntentId,
+        reason: 'requested_by_customer',
+        metadata: { appId: purchase.appId, raffleId: purchase.raffleId, userId: purchase.userId, reason, ...(attempt && { attempt: String(attempt) }) },
+    }, { idempotencyKey: refundIdempotencyKey(purchase.paymentIntentId, attempt) });
+    await recordRefundStatus(db, purchase, refund);
+    return refund;
+};
+
+// Refunds issued at once for a cancelled raffle: enough to get through a large raffle well inside
+// the timeout, few enough to stay clear of Stripe's rate limit.
+const REFUND_CONCURRENCY = 10;
+
+// Refunds every paid entry once a raffle is cancelled. A run that fails, times out or gets a refund
+// back as failed is retried and picks up where it stopped: purchases whose refund went through or is
+// pending are skipped, failed ones are tried again, and Stripe's idempotency covers a refund that
+// went out before a crash.
+export const refundCancelledRaffle = onDocumentUpdated({
+    document: RAFFLE_PATH,
+    secrets: [stripeSecretKey],
+    retry: true,
+    timeoutSeconds: 540,
+}, async (event) => {
+    const before = event.data.before.data();
+    const after = event.data.after.data();
+    if (after.status !== RAFFLE_STATUS.CANCELLED || before.status === RAFFLE_STATUS.CANCELLED) return;
+
+    const { appId, raffleId } = event.params;
+    const db = getFirestore();
+    const entries = await entriesRef(db, appId, raffleId).get();
+    const purchases = new Map();
+    entries.docs.forEach((entryDoc) => {
+        const entry = entryDoc.data();
+        if (!entry.paymentIntentId || !needsRefund(entry)) return;
+        purchases.set(entry.paymentIntentId, { appId, raffleId, userId: entry.userId, paymentIntentId: entry.paymentIntentId });
+    });
+
+    // Workers take purchases from one queue, so a slow refund holds up only its own worker. A worker
+    // that fails stops; the rest finish the queue before the run fails and is retried.
+    const queue = [...purchases.values()];
+    let unsettled = 0;
+    const worker = async () => {
+        for (let purchase = queue.shift(); purchase; purchase = queue.shift()) {
+            const refund = await refundPayment(db, purchase, 'raffle_cancelled');
+            if (!SETTLED_REFUND_STATUSES.includes(refund.status)) unsettled += 1;
+        }
+    };
+    const failure = (await Promise.allSettled(Array.from({ length: REFUND_CONCURRENCY }, worker))).find((result) => result.status === 'rejected');
+    if (failure) throw failure.reason;
+    if (unsettled) throw new Error(`${unsettled} of ${purchases.size} refunds failed; retrying them on the next run.`);
+    await raffleRef(db, appId, raffleId).update({ refundsIssuedAt: FieldValue.serverTimestamp() });
+    logger.info('Refunded cancelled raffle', { appId, raffleId, refunds: purchases.size });
+});
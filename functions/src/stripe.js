@@ -0,0 +1,7 @@
+import Stripe from 'stripe';
+import { defineSecret } from 'firebase-functions/params';
+
+export const stripeSecretKey = defineSecret('STRIPE_SECRET_KEY');
+export const stripeWebhookSecret = defineSecret('STRIPE_WEBHOOK_SECRET');
+
+export const stripeClient = () => new Stripe(stripeSecretKey.value());
@@ -0,0 +1,42 @@
+import assert from 'node:assert/strict';
+import { ageOn, eligibilityProblem, freeEntryWindow, parseRegions } from '../shared/eligibility.js';
+
+const now = Date.UTC(2026, 5, 15);
+const raffle = { eligibility: { minAge: 18, regions: ['US', 'GB'] } };
+
+describe('eligibilityProblem', () => {
+    it('lets anyone into a raffle without rules, declared or not', () => {
+        assert.equal(eligibilityProblem({}, null, now), null);
+        assert.equal(eligibilityProblem({ eligibility: { minAge: null, regions: [] } }, null, now), null);
+    });
+
+    it('needs declared details for a restricted raffle', () => {
+        assert.match(eligibilityProblem(raffle, null, now), /date of birth and region/);
+    });
+
+    it('checks the minimum age on the day', () => {
+        assert.equal(ageOn('2008-06-15', now), 18);
+        assert.equal(ageOn('2008-06-16', now), 17);
+        assert.equal(eligibilityProblem(raffle, { birthDate: '2008-06-15', region: 'US' }, now), null);
+        assert.match(eligibilityProblem(raffle, { birthDate: '2008-06-16', region: 'US' }, now), /18 or older/);
+    });
+
+    it('allows a country and all of its subdivisions', () => {
+        assert.equal(eligibilityProblem(raffle, { birthDate: '1990-01-01', region: 'US-NY' }, now), null);
+        assert.match(eligibilityProblem(raffle, { birthDate: '1990-01-01', region: 'CA-ON' }, now), /only open to entrants in US, GB/);
+        assert.match(eligibilityProblem(raffle, { birthDate: '1990-01-01', region: 'USA' }, now), /only open/);
+    });
+});
+
+describe('parseRegions', () => {
+    it('normalizes, dedupes and drops anything that is not a region code', () => {
+        assert.deepEqual(parseRegions('us-ca, gb  US-CA,,nowhere'), ['US-CA', 'GB']);
+    });
+});
+
+describe('freeEntryWindow', () => {
+    it('changes once a day', () => {
+        assert.equal(freeEntryWindow(now), freeEntryWindow(now + 23 * 60 * 60 * 1000));
+        assert.equal(freeEntryWindow(now) + 1, freeEntryWindow(now + 24 * 60 * 60 * 1000));
+    });
+});
@@ -0,0 +1,208 @@
+// Runs against the Firestore emulator: `npm test` starts it through `firebase emulators:exec`.
+import assert from 'node:assert/strict';
+import { initializeApp } from 'firebase-admin/app';
+import { getFirestore } from 'firebase-admin/firestore';
+import { reconcileTicketCount, recordFreeEntry, recordPaidEntry } from '../src/entries.js';
+import { ledgerLineRef, recordRefund } from '../src/ledger.js';
+import { creatorStatsRef, eligibilityRef, entriesRef, purchaseRef, raffleEntrantRef, raffleRef, raffleSalesRef } from '../src/paths.js';
+
+const appId = 'test-app';
+const raffleId = 'parallel-raffle';
+const creatorId = 'creator-0';
+const BUYERS = 25;
+
+initializeApp({ projectId: 'demo-rafflehub' });
+const db = getFirestore();
+
+const seedPendingPurchase = (userId, paymentIntentId, quantity = 1) => purchaseRef(db, appId, userId, paymentIntentId).set({
+    raffleId,
+    buyerEmail: `${userId}@example.com`,
+    quantity,
+    subtotalCents: quantity * 100,
+    feeCents: quantity * 3,
+    totalCents: quantity * 103,
+    currency: 'USD',
+    status: 'pending',
+});
+
+describe('recordPaidEntry', () => {
+    beforeEach(async () => {
+        await db.recursiveDelete(db.doc(`artifacts/${appId}`));
+        await raffleRef(db, appId, raffleId).set({ name: 'Parallel Raffle', ticketPriceCents: 100, currency: 'USD', status: 'open', creatorId, entryCount: 0, ticketsSold: 0 });
+    });
+
+    it('keeps every entry when many purchases settle at once', async () => {
+        const purchases = Array.from({ length: BUYERS }, (_, i) => ({ userId: `buyer-${i}`, paymentIntentId: `pi_${i}` }));
+        await Promise.all(purchases.map((p) => seedPendingPurchase(p.userId, p.paymentIntentId)));
+
+        const results = await Promise.all(purchases.map((p) => recordPaidEntry(db, { appId, raffleId, ...p })));
+
+        assert.ok(results.every((r) => r.outcome === 'recorded'));
+        const raffle = (await raffleRef(db, appId, raffleId).get()).data();
+        const entries = await entriesRef(db, appId, raffleId).get();
+        assert.equal(entries.size, BUYERS);
+        assert.equal(raffle.entryCount, BUYERS);
+        assert.equal(raffle.ticketsSold, BUYERS);
+        assert.deepEqual(entries.docs.map((e) => e.get('paymentIntentId')).sort(), purchases.map((p) => p.paymentIntentId).sort());
+    });
+
+    it('ignores a replayed webhook for a purchase that was already recorded', async () => {
+        await seedPendingPurchase('buyer-0', 'pi_replayed');
+        const purchase = { appId, raffleId, userId: 'buyer-0', paymentIntentId: 'pi_replayed' };
+
+        const results = await Promise.all([recordPaidEntry(db, purchase), recordPaidEntry(db, purchase), recordPaidEntry(db, purchase)]);
+
+        assert.deepEqual(results.map((r) => r.outcome).sort(), ['duplicate', 'duplicate', 'recorded']);
+        const raffle = (await raffleRef(db, appId, raffleId).get()).data();
+        assert.equal((await entriesRef(db, appId, raffleId).get()).size, 1);
+        assert.equal(raffle.ticketsSold, 1);
+        assert.equal((await purchaseRef(db, appId, 'buyer-0', 'pi_replayed').get()).get('status'), 'succeeded');
+    });
+
+    it('records one entry per ticket for a multi-ticket purchase', async () => {
+        await seedPendingPurchase('buyer-0', 'pi_bundle', 5);
+
+        const result = await recordPaidEntry(db, { appId, raffleId, userId: 'buyer-0', paymentIntentId: 'pi_bundle' });
+
+        assert.equal(result.outcome, 'recorded');
+        const entries = await entriesRef(db, appId, raffleId).get();
+        assert.equal(entries.size, 5);
+        assert.equal(new Set(entries.docs.map((e) => e.id)).size, 5);
+        assert.ok(entries.docs.every((e) => e.get('paymentIntentId') === 'pi_bundle'));
+        assert.equal((await raffleRef(db, appId, raffleId).get()).get('ticketsSold'), 5);
+        assert.equal((await purchaseRef(db, appId, 'buyer-0', 'pi_bundle').get()).get('entryIds').length, 5);
+    });
+
+    it('keeps the buyer\'s email out of the public entries and in the creator\'s roster', async () => {
+        await seedPendingPurchase('buyer-0', 'pi_first', 2);
+        await seedPendingPurchase('buyer-0', 'pi_second');
+
+        await recordPaidEntry(db, { appId, raffleId, userId: 'buyer-0', paymentIntentId: 'pi_first' });
+        await recordPaidEntry(db, { appId, raffleId, userId: 'buyer-0', paymentIntentId: 'pi_second' });
+
+        const entries = await entriesRef(db, appId, raffleId).get();
+        assert.ok(entries.docs.every((e) => !JSON.stringify(e.data()).includes('@')));
+        const entrant = (await raffleEntrantRef(db, appId, creatorId, raffleId, 'buyer-0').get()).data();
+        assert.equal(entrant.email, 'buyer-0@example.com');
+        assert.equal(entrant.tickets, 3);
+    });
+
+    it('rejects a multi-ticket purchase that would exceed the per-person cap', async () => {
+        await raffleRef(db, appId, raffleId).update({ maxTicketsPerUser: 4 });
+        await seedPendingPurchase('buyer-0', 'pi_too_many', 5);
+
+        const result = await recordPaidEntry(db, { appId, raffleId, userId: 'buyer-0', paymentIntentId: 'pi_too_many' });
+
+        assert.equal(result.outcome, 'rejected');
+        assert.equal((await entriesRef(db, appId, raffleId).get()).size, 0);
+    });
+
+    it('rejects purchases beyond the ticket cap and marks the raffle sold out', async () => {
+        await raffleRef(db, appId, raffleId).update({ maxTickets: 3 });
+        const purchases = Array.from({ length: 5 }, (_, i) => ({ userId: `buyer-${i}`, paymentIntentId: `pi_capped_${i}` }));
+        await Promise.all(purchases.map((p) => seedPendingPurchase(p.userId, p.paymentIntentId)));
+
+        const results = await Promise.all(purchases.map((p) => recordPaidEntry(db, { appId, raffleId, ...p })));
+
+        assert.equal(results.filter((r) => r.outcome === 'recorded').length, 3);
+        assert.equal(results.filter((r) => r.outcome === 'rejected').length, 2);
+        const raffle = (await raffleRef(db, appId, raffleId).get()).data();
+        assert.equal(raffle.ticketsSold, 3);
+        assert.equal(raffle.status, 'sold_out');
+        assert.equal((await entriesRef(db, appId, raffleId).get()).size, 3);
+    });
+
+    it('rejects a payment with no purchase instead of guessing what it bought', async () => {
+        const purchase = { appId, raffleId, userId: 'buyer-0', paymentIntentId: 'pi_unknown' };
+
+        const result = await recordPaidEntry(db, purchase);
+
+        assert.equal(result.outcome, 'rejected');
+        assert.equal((await entriesRef(db, appId, raffleId).get()).size, 0);
+        assert.equal((await ledgerLineRef(db, { appId, creatorId, paymentIntentId: 'pi_unknown' }, 'sale').get()).exists, false);
+        assert.equal((await purchaseRef(db, appId, 'buyer-0', 'pi_unknown').get()).get('refundStatus'), 'pending');
+        assert.equal((await recordPaidEntry(db, purchase)).outcome, 'rejected');
+    });
+});
+
+describe('recordFreeEntry', () => {
+    const entrant = { appId, raffleId, userId: 'entrant-0', email: 'entrant@example.com' };
+    const day = Date.UTC(2026, 5, 15, 12);
+
+    beforeEach(async () => {
+        await db.recursiveDelete(db.doc(`artifacts/${appId}`));
+        await raffleRef(db, appId, raffleId).set({
+            name: 'Free Raffle', ticketPriceCents: 100, currency: 'USD', status: 'open', creatorId, entryCount: 0, ticketsSold: 0,
+            eligibility: { minAge: 18, regions: ['US'] },
+        });
+        await eligibilityRef(db, appId, 'entrant-0').set({ birthDate: '1990-01-01', region: 'US-CA' });
+    });
+
+    it('adds one ordinary entry per day, without booking a sale', async () => {
+        const results = await Promise.all([recordFreeEntry(db, entrant, day), recordFreeEntry(db, entrant, day + 60 * 1000)]);
+        assert.deepEqual(results.map((r) => r.outcome).sort(), ['duplicate', 'recorded']);
+        assert.equal((await recordFreeEntry(db, entrant, day + 24 * 60 * 60 * 1000)).outcome, 'recorded');
+
+        const entries = await entriesRef(db, appId, raffleId).get();
+        assert.equal(entries.size, 2);
+        assert.ok(entries.docs.every((e) => e.get('userId') === 'entrant-0' && e.get('freeEntry') === true));
+        assert.equal((await raffleRef(db, appId, raffleId).get()).get('entryCount'), 2);
+        assert.equal((await raffleSalesRef(db, appId, creatorId, raffleId).get()).exists, false);
+        const roster = (await raffleEntrantRef(db, appId, creatorId, raffleId, 'entrant-0').get()).data();
+        assert.deepEqual([roster.email, roster.tickets, roster.freeEntries], ['entrant@example.com', 2, 2]);
+    });
+
+    it('turns away entrants who are not eligible', async () => {
+        await eligibilityRef(db, appId, 'entrant-0').set({ birthDate: '2015-01-01', region: 'US-CA' });
+        const { outcome, reason } = await recordFreeEntry(db, entrant, day);
+        assert.equal(outcome, 'rejected');
+        assert.match(reason, /18 or older/);
+        assert.equal((await entriesRef(db, appId, raffleId).get()).size, 0);
+    });
+});
+
+describe('creator ledger', () => {
+    const purchase = { appId, raffleId, userId: 'buyer-0', paymentIntentId: 'pi_ledger' };
+
+    beforeEach(async () => {
+        await db.recursiveDelete(db.doc(`artifacts/${appId}`));
+        await raffleRef(db, appId, raffleId).set({ name: 'Ledger Raffle', ticketPriceCents: 100, currency: 'USD', status: 'open', creatorId, entryCount: 0, ticketsSold: 0 });
+        await seedPendingPurchase('buyer-0', 'pi_ledger', 2);
+    });
+
+    it('books a sale once, however often the webhook is replayed', async () => {
+        await Promise.all([recordPaidEntry(db, purchase), recordPaidEntry(db, purchase)]);
+
+        const sale = (await ledgerLineRef(db, { appId, creatorId, paymentIntentId: 'pi_ledger' }, 'sale').get()).data();
+        assert.deepEqual([sale.quantity, sale.grossCents, sale.feeCents, sale.netCents, sale.currency], [2, 206, 6, 200, 'USD']);
+        const totals = (await raffleSalesRef(db, appId, creatorId, raffleId).get()).data();
+        assert.deepEqual([totals.ticketsSold, totals.grossCents, totals.feeCents, totals.netCents, totals.currency], [2, 206, 6, 200, 'USD']);
+    });
+
+    it('reverses a refunded sale once and ignores refunds of rejected purchases', async () => {
+        await recordPaidEntry(db, purchase);
+
+        assert.equal(await recordRefund(db, purchase), true);
+        assert.equal(await recordRefund(db, purchase), false);
+        const totals = (await raffleSalesRef(db, appId, creatorId, raffleId).get()).data();
+        assert.deepEqual([totals.ticketsSold, totals.grossCents, totals.netCents, totals.refundedCents, totals.refundCount], [0, 0, 0, 206, 1]);
+        const stats = (await creatorStatsRef(db, appId, creatorId).get()).data();
+        assert.deepEqual([stats.ticketsSold, stats.ticketsRefunded], [2, 2]);
+
+        await purchaseRef(db, appId, 'buyer-1', 'pi_rejected').set({ raffleId, status: 'rejected', totalCents: 103 });
+        assert.equal(await recordRefund(db, { appId, raffleId, userId: 'buyer-1', paymentIntentId: 'pi_rejected' }), false);
+    });
+});
+
+describe('reconcileTicketCount', () => {
+    it('resets a drifted ticketsSold to the number of stored entries', async () => {
+        const ref = raffleRef(db, appId, 'drifted-raffle');
+        await ref.set({ entryCount: 5, ticketsSold: 5 });
+        await Promise.all(['a', 'b'].map((id) => ref.collection('entries').doc(id).set({ userId: id })));
+
+        assert.equal(await reconcileTicketCount(db, ref), 3);
+        assert.equal((await ref.get()).get('ticketsSold'), 2);
+        assert.equal((await ref.get()).get('entryCount'), 2);
+        assert.equal(await reconcileTicketCount(db, ref), 0);
+    });
+});
@@ -0,0 +1,83 @@
+import assert from 'node:assert/strict';
+import { DRAW_ALGORITHM, drawPrizesFromSeed, sha256Hex, verifyDraw } from '../shared/fairDraw.js';
+
+const entries = Array.from({ length: 12 }, (_, i) => ({ id: `entry-${i}`, userId: `user-${i % 4}` }));
+const prizes = [{ name: 'Grand Prize', winnerCount: 1 }, { name: 'Runner-up', winnerCount: 2 }];
+const timestamp = (millis) => ({ toMillis: () => millis });
+
+const auditFor = async (seed, result, options = {}) => ({
+    algorithm: DRAW_ALGORITHM,
+    seed,
+    seedHash: await sha256Hex(seed),
+    committedAt: timestamp(1),
+    drawnAt: timestamp(2),
+    entriesHash: result.entriesHash,
+    entryCount: result.entryIds.length,
+    prizes,
+    allowMultipleWins: Boolean(options.allowMultipleWins),
+    winners: result.winners,
+});
+
+describe('drawPrizesFromSeed', () => {
+    it('is deterministic and independent of entry order', async () => {
+        const first = await drawPrizesFromSeed('seed', entries, prizes);
+        const second = await drawPrizesFromSeed('seed', [...entries].reverse(), prizes);
+        assert.deepEqual(first, second);
+    });
+
+    it('fills each prize tier in order without repeating a winner', async () => {
+        const { winners } = await drawPrizesFromSeed('seed', entries, prizes);
+        assert.deepEqual(winners.map((w) => w.prizeIndex), [0, 1, 1]);
+        const winningUsers = winners.map((w) => entries.find((e) => e.id === w.entryId).userId);
+        assert.equal(new Set(winningUsers).size, winners.length);
+    });
+
+    it('stops when the pool runs out of distinct people', async () => {
+        const { winners } = await drawPrizesFromSeed('seed', entries, [{ name: 'Everyone', winnerCount: 10 }]);
+        assert.equal(winners.length, 4);
+    });
+
+    it('lets one person win several prizes when allowed', async () => {
+        const { winners } = await drawPrizesFromSeed('seed', entries, [{ name: 'Everyone', winnerCount: 10 }], { allowMultipleWins: true });
+        assert.equal(winners.length, 10);
+        assert.equal(new Set(winners.map((w) => w.entryId)).size, 10);
+    });
+
+    it('passes over a disqualified pick and fills its slot from the rest of the pool', async () => {
+        const plain = await drawPrizesFromSeed('seed', entries, prizes);
+        const [first] = plain.winners;
+        const firstUser = entries.find((e) => e.id === first.entryId).userId;
+
+        const redrawn = await drawPrizesFromSeed('seed', entries, prizes, { disqualifiedEntryIds: [first.entryId] });
+        assert.deepEqual(redrawn.passedOver.map((p) => p.entryId), [first.entryId]);
+        assert.equal(redrawn.winners.length, 3);
+        assert.ok(redrawn.winners.every((w) => entries.find((e) => e.id === w.entryId).userId !== firstUser));
+    });
+});
+
+describe('verifyDraw', () => {
+    it('accepts an untampered draw', async () => {
+        const result = await drawPrizesFromSeed('seed', entries, prizes);
+        assert.equal((await verifyDraw(await auditFor('seed', result), entries)).valid, true);
+    });
+
+    it('rejects a draw whose published entries changed afterwards', async () => {
+        const result = await drawPrizesFromSeed('seed', entries, prizes);
+        const verification = await verifyDraw(await auditFor('seed', result), entries.slice(1));
+        assert.equal(verification.valid, false);
+    });
+
+    it('reproduces a draw that passed over disqualified entries', async () => {
+        const disqualifiedEntryIds = [(await drawPrizesFromSeed('seed', entries, prizes)).winners[0].entryId];
+        const result = await drawPrizesFromSeed('seed', entries, prizes, { disqualifiedEntryIds });
+        const audit = await auditFor('seed', result);
+        assert.equal((await verifyDraw({ ...audit, disqualifiedEntryIds }, entries)).valid, true);
+        assert.equal((await verifyDraw(audit, entries)).valid, false);
+    });
+
+    it('rejects a seed that does not match the commitment', async () => {
+        const result = await drawPrizesFromSeed('seed', entries, prizes);
+        const audit = { ...(await auditFor('seed', result)), seedHash: await sha256Hex('another seed') };
+        assert.equal((await verifyDraw(audit, entries)).valid, false);
+    });
+});
@@ -0,0 +1,52 @@
+import assert from 'node:assert/strict';
+import sharp from 'sharp';
+import { IMAGE_VARIANTS, MAX_IMAGE_BYTES, imageFileProblem } from '../shared/images.js';
+
+// Defining the storage trigger needs a default bucket, which the Functions runtime normally provides.
+process.env.FIREBASE_CONFIG ||= JSON.stringify({ projectId: 'demo-rafflehub', storageBucket: 'demo-rafflehub.appspot.com' });
+const { writeVariants } = await import('../src/images.js');
+
+// Stands in for a Storage bucket, keeping whatever is saved to it.
+const memoryBucket = () => {
+    const files = {};
+    return { name: 'demo-rafflehub.appspot.com', files, file: (path) => ({ save: async (data) => { files[path] = data; } }) };
+};
+
+const photo = (width, height) => sharp({ create: { width, height, channels: 3, background: '#8a6' } })
+    .jpeg()
+    .withMetadata({ exif: { IFD0: { Artist: 'Jane Doe' } } })
+    .toBuffer();
+
+describe('writeVariants', () => {
+    it('writes each variant as WebP within its size, without the original metadata', async () => {
+        const bucket = memoryBucket();
+        const urls = await writeVariants(bucket, 'raffles/app/images/upload-1', await photo(3000, 1500));
+
+        assert.deepEqual(Object.keys(urls).sort(), ['cardUrl', 'fullUrl', 'thumbUrl']);
+        for (const [variant, longestEdge] of Object.entries(IMAGE_VARIANTS)) {
+            const metadata = await sharp(bucket.files[`raffles/app/images/upload-1/${variant}.webp`]).metadata();
+            assert.equal(metadata.format, 'webp');
+            assert.equal(Math.max(metadata.width, metadata.height), longestEdge);
+            assert.equal(metadata.exif, undefined);
+        }
+    });
+
+    it('never enlarges a small image', async () => {
+        const bucket = memoryBucket();
+        await writeVariants(bucket, 'small', await photo(300, 200));
+
+        const metadata = await sharp(bucket.files['small/full.webp']).metadata();
+        assert.deepEqual([metadata.width, metadata.height], [300, 200]);
+    });
+
+    it('rejects files that are not images', async () => {
+        await assert.rejects(writeVariants(memoryBucket(), 'fake', Buffer.from('<script>alert(1)</script>')));
+    });
+});
+
+describe('imageFileProblem', () => {
+    it('accepts an image of exactly the size limit, as storage.rules does, and nothing bigger', () => {
+        assert.equal(imageFileProblem({ name: 'limit.png', type: 'image/png', size: MAX_IMAGE_BYTES }), null);
+        assert.match(imageFileProblem({ name: 'big.png', type: 'image/png', size: MAX_IMAGE_BYTES + 1 }), /larger than 5 MB/);
+    });
+});
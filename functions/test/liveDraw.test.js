@@ -0,0 +1,63 @@
+import assert from 'node:assert/strict';
+import {
+    LIVE_DRAW_PHASE, REVEAL_DELAY_MS, REVEAL_STEP_MS, formatCountdown, liveDrawPhase, liveDrawScheduleProblem, revealEndsAt, revealTimeline,
+} from '../shared/liveDraw.js';
+
+const now = Date.UTC(2026, 5, 15, 12);
+const drawnAt = now - 1000;
+
+const drawnRaffle = {
+    status: 'drawn',
+    prizes: [{ name: 'Car', winnerCount: 1 }, { name: 'Bike', winnerCount: 2 }],
+    winners: [
+        { prizeIndex: 0, entryId: 'e1', userId: 'u1' },
+        { prizeIndex: 1, entryId: 'e2', userId: 'u2' },
+        { prizeIndex: 1, entryId: 'e3', userId: 'u3' },
+    ],
+    drawnAt,
+    liveDraw: { startsAt: now - 60 * 1000, pending: false },
+};
+
+describe('revealTimeline', () => {
+    it('reveals the lowest prize first and the top prize last, one step apart', () => {
+        const timeline = revealTimeline(drawnRaffle);
+        assert.deepEqual(timeline.map((winner) => [winner.entryId, winner.prize.name]), [['e2', 'Bike'], ['e3', 'Bike'], ['e1', 'Car']]);
+        assert.deepEqual(timeline.map((winner) => winner.revealAt - drawnAt), [0, 1, 2].map((i) => REVEAL_DELAY_MS + i * REVEAL_STEP_MS));
+        assert.equal(revealEndsAt(drawnRaffle), drawnAt + REVEAL_DELAY_MS + 3 * REVEAL_STEP_MS);
+    });
+
+    it('replays from any start', () => {
+        assert.equal(revealTimeline(drawnRaffle, 0)[2].revealAt, 2 * REVEAL_STEP_MS);
+    });
+});
+
+describe('liveDrawPhase', () => {
+    it('follows the raffle from countdown to reveal', () => {
+        const scheduled = { status: 'open', liveDraw: { startsAt: now + 60 * 1000, pending: true } };
+        assert.equal(liveDrawPhase(scheduled, now), LIVE_DRAW_PHASE.SCHEDULED);
+        assert.equal(liveDrawPhase(scheduled, now + 60 * 1000), LIVE_DRAW_PHASE.DRAWING);
+        assert.equal(liveDrawPhase({ ...scheduled, liveDraw: { ...scheduled.liveDraw, pending: false, error: 'No entries.' } }, now), LIVE_DRAW_PHASE.FAILED);
+        assert.equal(liveDrawPhase(drawnRaffle, now), LIVE_DRAW_PHASE.REVEALING);
+        assert.equal(liveDrawPhase(drawnRaffle, revealEndsAt(drawnRaffle)), LIVE_DRAW_PHASE.DONE);
+    });
+});
+
+describe('liveDrawScheduleProblem', () => {
+    it('needs an undrawn raffle and a time a few minutes to 30 days ahead', () => {
+        const open = { status: 'open' };
+        assert.equal(liveDrawScheduleProblem(open, now + 10 * 60 * 1000, now), null);
+        assert.match(liveDrawScheduleProblem(open, now + 30 * 1000, now), /at least 2 minutes/);
+        assert.match(liveDrawScheduleProblem(open, now + 40 * 24 * 60 * 60 * 1000, now), /30 days/);
+        assert.match(liveDrawScheduleProblem(drawnRaffle, now + 10 * 60 * 1000, now), /already been drawn/);
+        assert.match(liveDrawScheduleProblem({ status: 'open', liveDraw: { startsAt: now - 1000, pending: true } }, now + 10 * 60 * 1000, now), /already started/);
+    });
+});
+
+describe('formatCountdown', () => {
+    it('rounds up to whole seconds and never goes negative', () => {
+        assert.equal(formatCountdown(65000), '1:05');
+        assert.equal(formatCountdown(3725000), '1:02:05');
+        assert.equal(formatCountdown(400), '0:01');
+        assert.equal(formatCountdown(-5000), '0:00');
+    });
+});
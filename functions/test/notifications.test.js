@@ -0,0 +1,38 @@
+// Runs against the Firestore emulator: `npm test` starts it through `firebase emulators:exec`.
+import assert from 'node:assert/strict';
+import { initializeApp } from 'firebase-admin/app';
+import { getFirestore } from 'firebase-admin/firestore';
+import { notify } from '../src/notifications.js';
+import { notificationRef, notificationSettingsRef, outboxRef } from '../src/paths.js';
+
+const appId = 'notifications-app';
+const db = getFirestore(initializeApp({ projectId: 'demo-rafflehub' }, 'notifications-test'));
+
+const receipt = { id: 'receipt-pi_1', type: 'receipt', title: 'Receipt', body: 'You paid $1.03.', link: '/tickets' };
+
+describe('notify', () => {
+    beforeEach(() => db.recursiveDelete(db.doc(`artifacts/${appId}`)));
+
+    it('sends to the inbox and the email outbox by default, once', async () => {
+        await notify(db, appId, 'buyer-0', receipt);
+        await notify(db, appId, 'buyer-0', receipt);
+
+        const inbox = (await notificationRef(db, appId, 'buyer-0', receipt.id).get()).data();
+        assert.equal(inbox.title, 'Receipt');
+        assert.equal(inbox.read, false);
+        const message = (await outboxRef(db, appId, `buyer-0-${receipt.id}`).get()).data();
+        assert.equal(message.status, 'queued');
+        assert.equal(message.subject, 'Receipt');
+        assert.equal((await db.collection(`artifacts/${appId}/users/buyer-0/notifications`).get()).size, 1);
+    });
+
+    it('skips the channels the user turned off', async () => {
+        await notificationSettingsRef(db, appId, 'buyer-1').set({ receipt: { inApp: true, email: false }, drawn: { inApp: false } });
+
+        assert.deepEqual(await notify(db, appId, 'buyer-1', receipt), { inApp: true, email: false });
+        assert.deepEqual(await notify(db, appId, 'buyer-1', { ...receipt, id: 'drawn-r1', type: 'drawn' }), { inApp: false, email: true });
+        assert.equal((await outboxRef(db, appId, `buyer-1-${receipt.id}`).get()).exists, false);
+        assert.equal((await notificationRef(db, appId, 'buyer-1', 'drawn-r1').get()).exists, false);
+        assert.equal((await outboxRef(db, appId, 'buyer-1-drawn-r1').get()).exists, true);
+    });
+});
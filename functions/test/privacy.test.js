@@ -0,0 +1,29 @@
+import assert from 'node:assert/strict';
+import { ANONYMOUS_NAME, HANDLE_PATTERN, maskEmail, publicNameFor } from '../shared/privacy.js';
+
+describe('maskEmail', () => {
+    it('keeps only the first letter and the first label of the domain', () => {
+        assert.equal(maskEmail('Jane.Doe@gmail.com'), 'j***@gmail');
+        assert.equal(maskEmail('x@mail.example.co.uk'), 'x***@mail');
+        assert.match(maskEmail('jane.doe@gmail.com'), HANDLE_PATTERN);
+    });
+
+    it('returns null for anything that is not an email', () => {
+        assert.equal(maskEmail('Jane Doe'), null);
+        assert.equal(maskEmail(null), null);
+    });
+});
+
+describe('publicNameFor', () => {
+    it('shows the name the entrant chose', () => {
+        assert.equal(publicNameFor({ publicNameMode: 'displayName', displayName: ' Jane ', handle: 'j***@gmail' }), 'Jane');
+        assert.equal(publicNameFor({ publicNameMode: 'handle', displayName: 'Jane', handle: 'j***@gmail' }), 'j***@gmail');
+        assert.equal(publicNameFor({ publicNameMode: 'anonymous', displayName: 'Jane' }), ANONYMOUS_NAME);
+    });
+
+    it('never shows an email, and names people who have not chosen anonymously', () => {
+        assert.equal(publicNameFor({ publicNameMode: 'displayName', displayName: 'jane@gmail.com' }), ANONYMOUS_NAME);
+        assert.equal(publicNameFor({ displayName: 'Jane' }), ANONYMOUS_NAME);
+        assert.equal(publicNameFor(undefined), ANONYMOUS_NAME);
+    });
+});
@@ -0,0 +1,24 @@
+import assert from 'node:assert/strict';
+import { needsRefund, refundAttemptFor, refundIdempotencyKey } from '../shared/refunds.js';
+
+describe('needsRefund', () => {
+    it('skips refunds that went through or are on their way, and retries the rest', () => {
+        assert.equal(needsRefund({}), true);
+        assert.equal(needsRefund({ refundStatus: 'succeeded' }), false);
+        assert.equal(needsRefund({ refundStatus: 'pending' }), false);
+        assert.equal(needsRefund({ refundStatus: 'failed', refundId: 're_1' }), true);
+        assert.equal(needsRefund({ refundStatus: 'canceled', refundId: 're_1' }), true);
+    });
+});
+
+describe('refundAttemptFor', () => {
+    it('asks under a new key after a failed refund, and the same key otherwise', () => {
+        assert.equal(refundAttemptFor(undefined), 0);
+        assert.equal(refundAttemptFor({ status: 'succeeded' }), 0);
+        assert.equal(refundAttemptFor({ refundStatus: 'pending', refundAttempt: 0 }), 0);
+        assert.equal(refundAttemptFor({ refundStatus: 'failed', refundAttempt: 0 }), 1);
+        assert.equal(refundAttemptFor({ refundStatus: 'canceled', refundAttempt: 2 }), 3);
+        assert.equal(refundIdempotencyKey('pi_1', refundAttemptFor({ refundStatus: 'failed' })), 'refund-pi_1-1');
+        assert.equal(refundIdempotencyKey('pi_1'), 'refund-pi_1');
+    });
+});
@@ -0,0 +1,249 @@
+// Runs against the Firestore and Storage emulators: `npm test` starts them through `firebase emulators:exec`.
+import { readFileSync } from 'node:fs';
+import { assertFails, assertSucceeds, initializeTestEnvironment } from '@firebase/rules-unit-testing';
+import { Timestamp, addDoc, collection, deleteDoc, doc, getDoc, serverTimestamp, setDoc, updateDoc } from 'firebase/firestore';
+import { ref, uploadBytes } from 'firebase/storage';
+import { MAX_IMAGE_BYTES } from '../shared/images.js';
+
+const appId = 'rules-app';
+const raffleId = 'existing-raffle';
+const rafflePath = `artifacts/${appId}/public/data/raffles`;
+
+const newRaffle = (overrides = {}) => ({
+    name: 'Gold Watch',
+    description: 'A very nice watch.',
+    images: [{ id: 'upload-1', thumbUrl: 'https://example.com/thumb.webp', cardUrl: 'https://example.com/card.webp', fullUrl: 'https://example.com/full.webp' }],
+    imageUrl: 'https://example.com/card.webp',
+    ticketPriceCents: 200,
+    currency: 'USD',
+    searchTerms: ['g', 'go', 'gol', 'gold'],
+    status: 'open',
+    startsAt: new Date(),
+    endsAt: new Date(Date.now() + 24 * 60 * 60 * 1000),
+    maxTickets: null,
+    maxTicketsPerUser: 5,
+    bundles: [],
+    prizes: [{ name: 'Gold Watch', imageUrl: null, winnerCount: 1 }],
+    allowMultipleWins: false,
+    officialRules: 'Open to US residents 18 and older. No purchase necessary.',
+    eligibility: { minAge: 18, regions: ['US'] },
+    entryCount: 0,
+    ticketsSold: 0,
+    winners: [],
+    createdAt: serverTimestamp(),
+    creatorId: 'alice',
+    ...overrides,
+});
+
+let testEnv;
+
+const firestoreAs = (uid) => (uid ? testEnv.authenticatedContext(uid) : testEnv.unauthenticatedContext()).firestore();
+const storageAs = (uid) => (uid ? testEnv.authenticatedContext(uid) : testEnv.unauthenticatedContext()).storage();
+
+describe('security rules', () => {
+    before(async () => {
+        testEnv = await initializeTestEnvironment({
+            projectId: 'demo-rafflehub',
+            firestore: { rules: readFileSync(new URL('../../firestore.rules', import.meta.url), 'utf8') },
+            storage: { rules: readFileSync(new URL('../../storage.rules', import.meta.url), 'utf8') },
+        });
+    });
+
+    after(() => testEnv.cleanup());
+
+    beforeEach(async () => {
+        await testEnv.clearFirestore();
+        await testEnv.withSecurityRulesDisabled(async (context) => {
+            const db = context.firestore();
+            await setDoc(doc(db, rafflePath, raffleId), newRaffle());
+            await setDoc(doc(db, rafflePath, raffleId, 'entries', 'pi_1-0'), { userId: 'bob', paymentIntentId: 'pi_1' });
+            await setDoc(doc(db, `artifacts/${appId}/public/data/profiles/alice`), { displayName: 'Alice', bio: '' });
+            await setDoc(doc(db, `artifacts/${appId}/users/bob/purchases/pi_1`), { raffleId, status: 'succeeded' });
+            await setDoc(doc(db, `artifacts/${appId}/users/bob/notifications/receipt-pi_1`), { type: 'receipt', title: 'Receipt', read: false });
+            await setDoc(doc(db, `artifacts/${appId}/private/data/drawSeeds/${raffleId}`), { seed: 'secret' });
+        });
+    });
+
+    describe('raffle rules', () => {
+        it('lets signed-in users read raffles and their entries, and nobody else', async () => {
+            await assertSucceeds(getDoc(doc(firestoreAs('bob'), rafflePath, raffleId)));
+            await assertSucceeds(getDoc(doc(firestoreAs('bob'), rafflePath, raffleId, 'entries', 'pi_1-0')));
+            await assertFails(getDoc(doc(firestoreAs(null), rafflePath, raffleId)));
+        });
+
+        it('lets a user create an empty raffle as its creator', async () => {
+            await assertSucceeds(addDoc(collection(firestoreAs('alice'), rafflePath), newRaffle()));
+        });
+
+        it('rejects raffles created for someone else or with forged state', async () => {
+            const db = firestoreAs('alice');
+            await assertFails(addDoc(collection(db, rafflePath), newRaffle({ creatorId: 'bob' })));
+            await assertFails(addDoc(collection(db, rafflePath), newRaffle({ winners: [{ prizeIndex: 0, entryId: 'x', userId: 'alice' }] })));
+            await assertFails(addDoc(collection(db, rafflePath), newRaffle({ entryCount: 10, ticketsSold: 10 })));
+            await assertFails(addDoc(collection(db, rafflePath), newRaffle({ status: 'drawn' })));
+            await assertFails(addDoc(collection(db, rafflePath), newRaffle({ drawId: 'forged' })));
+            await assertFails(addDoc(collection(db, rafflePath), newRaffle({ endsAt: new Date(Date.now() - 1000) })));
+            await assertFails(addDoc(collection(db, rafflePath), newRaffle({ currency: 'BTC' })));
+            await assertFails(addDoc(collection(db, rafflePath), newRaffle({ officialRules: '' })));
+            await assertFails(addDoc(collection(db, rafflePath), newRaffle({ eligibility: { minAge: 'adult', regions: [] } })));
+            await assertFails(addDoc(collection(db, rafflePath), newRaffle({ ticketPrice: '2.00' })));
+            await assertFails(addDoc(collection(db, rafflePath), newRaffle({ images: Array(9).fill(newRaffle().images[0]) })));
+            await assertFails(addDoc(collection(db, rafflePath), newRaffle({ creatorProfile: { displayName: 'Alice', bio: '' } })));
+        });
+
+        it('rejects raffles with a client-chosen creation time or malformed lists', async () => {
+            const db = firestoreAs('alice');
+            await assertFails(addDoc(collection(db, rafflePath), newRaffle({ createdAt: new Date(Date.now() - 24 * 60 * 60 * 1000) })));
+            await assertFails(addDoc(collection(db, rafflePath), newRaffle({ startsAt: 'tomorrow' })));
+            await assertFails(addDoc(collection(db, rafflePath), newRaffle({ status: 'draft', startsAt: null })));
+            await assertFails(addDoc(collection(db, rafflePath), newRaffle({ bundles: [{ quantity: 5, priceCents: 1000 }] })));
+            await assertFails(addDoc(collection(db, rafflePath), newRaffle({ bundles: [{ quantity: '5', priceCents: 800 }] })));
+            await assertFails(addDoc(collection(db, rafflePath), newRaffle({ prizes: [{ name: 'Gold Watch', imageUrl: null, winnerCount: 1000 }] })));
+            await assertFails(addDoc(collection(db, rafflePath), newRaffle({ prizes: [{ name: 'Gold Watch', winnerCount: 1, secret: true }] })));
+            await assertFails(addDoc(collection(db, rafflePath), newRaffle({ images: [{ id: 'upload-1', thumbUrl: 42, cardUrl: 'x', fullUrl: 'x' }] })));
+            await assertFails(addDoc(collection(db, rafflePath), newRaffle({ imageUrl: 'x'.repeat(3000) })));
+            await assertFails(addDoc(collection(db, rafflePath), newRaffle({ searchTerms: ['g', { forged: true }] })));
+            await assertFails(addDoc(collection(db, rafflePath), newRaffle({ searchTerms: Array(61).fill('g') })));
+            await assertFails(addDoc(collection(db, rafflePath), newRaffle({ eligibility: { minAge: 18, regions: ['US', 'somewhere'] } })));
+            await assertFails(addDoc(collection(db, rafflePath), newRaffle({ eligibility: { minAge: 18, regions: ['US', 42] } })));
+            await assertSucceeds(addDoc(collection(db, rafflePath), newRaffle({ eligibility: { minAge: 18, regions: ['US', 'CA-QC'] } })));
+            await assertSucceeds(addDoc(collection(db, rafflePath), newRaffle({ bundles: [{ quantity: 5, priceCents: 800 }] })));
+        });
+
+        it('leaves drawing and deleting to the server, even for the creator', async () => {
+            for (const uid of ['alice', 'bob']) {
+                const raffleDoc = doc(firestoreAs(uid), rafflePath, raffleId);
+                await assertFails(updateDoc(raffleDoc, { winners: [{ prizeIndex: 0, entryId: 'pi_1-0', userId: 'bob' }], status: 'drawn' }));
+                await assertFails(updateDoc(raffleDoc, { ticketPrice: '0.01' }));
+                await assertFails(deleteDoc(raffleDoc));
+            }
+        });
+
+        it('blocks client writes to entries and draw audits', async () => {
+            const db = firestoreAs('bob');
+            await assertFails(setDoc(doc(db, rafflePath, raffleId, 'entries', 'free-ticket'), { userId: 'bob' }));
+            await assertFails(deleteDoc(doc(db, rafflePath, raffleId, 'entries', 'pi_1-0')));
+            await assertFails(setDoc(doc(db, rafflePath, raffleId, 'draws', 'forged'), { winners: [] }));
+        });
+
+        it('lets viewers check in to a live draw only with the server\'s time', async () => {
+            const viewerRef = doc(firestoreAs('bob'), rafflePath, raffleId, 'viewers', 'tab-1');
+            const expiresAt = Timestamp.fromMillis(Date.now() + 60 * 60 * 1000);
+            await assertSucceeds(setDoc(viewerRef, { lastSeenAt: serverTimestamp(), expiresAt }));
+            await assertFails(setDoc(viewerRef, { lastSeenAt: Timestamp.fromMillis(Date.now() + 60 * 60 * 1000), expiresAt }));
+            await assertFails(setDoc(viewerRef, { lastSeenAt: serverTimestamp(), expiresAt, userId: 'bob' }));
+            await assertFails(setDoc(doc(firestoreAs(null), rafflePath, raffleId, 'viewers', 'tab-2'), { lastSeenAt: serverTimestamp(), expiresAt }));
+        });
+    });
+
+    describe('profile rules', () => {
+        const profilePath = (uid) => `artifacts/${appId}/public/data/profiles/${uid}`;
+
+        it('lets users write only their own profile', async () => {
+            await assertSucceeds(setDoc(doc(firestoreAs('bob'), profilePath('bob')), { displayName: 'Bob', bio: 'Hi' }));
+            await assertSucceeds(updateDoc(doc(firestoreAs('alice'), profilePath('alice')), { bio: 'Updated' }));
+            await assertFails(updateDoc(doc(firestoreAs('bob'), profilePath('alice')), { displayName: 'Not Alice' }));
+        });
+
+        it('rejects unexpected or oversized fields', async () => {
+            const db = firestoreAs('bob');
+            await assertFails(setDoc(doc(db, profilePath('bob')), { displayName: 'Bob', bio: '', isAdmin: true }));
+            await assertFails(setDoc(doc(db, profilePath('bob')), { displayName: 'Bob', bio: 'x'.repeat(501) }));
+            await assertFails(setDoc(doc(db, profilePath('bob')), { displayName: 'Bob', bio: '', avatarUrl: 42 }));
+        });
+
+        it('accepts an avatar, and removing it', async () => {
+            const db = firestoreAs('bob');
+            await assertSucceeds(setDoc(doc(db, profilePath('bob')), { displayName: 'Bob', bio: '', avatarUrl: 'https://example.com/thumb.webp' }));
+            await assertSucceeds(setDoc(doc(db, profilePath('bob')), { displayName: 'Bob', bio: '', avatarUrl: null }));
+        });
+
+        it('lets anyone signed in read a creator\'s track record, and only the server write it', async () => {
+            const statsPath = `artifacts/${appId}/public/data/creatorStats/alice`;
+            await assertSucceeds(getDoc(doc(firestoreAs('bob'), statsPath)));
+            await assertFails(setDoc(doc(firestoreAs('alice'), statsPath), { ticketsSold: 1000, ticketsRefunded: 0 }));
+        });
+
+        it('accepts a public name choice but leaves the handle to the server', async () => {
+            const db = firestoreAs('bob');
+            await assertFails(setDoc(doc(db, profilePath('bob')), { displayName: 'Bob', bio: '', publicNameMode: 'handle', handle: 'a***@example' }));
+            await assertSucceeds(setDoc(doc(db, profilePath('bob')), { displayName: 'Bob', bio: '', publicNameMode: 'handle' }));
+            await assertFails(setDoc(doc(db, profilePath('bob')), { displayName: 'Bob', bio: '', publicNameMode: 'email' }));
+            await testEnv.withSecurityRulesDisabled((context) => updateDoc(doc(context.firestore(), profilePath('bob')), { handle: 'b***@example' }));
+            await assertSucceeds(updateDoc(doc(db, profilePath('bob')), { bio: 'Hi!' }));
+            await assertFails(updateDoc(doc(db, profilePath('bob')), { handle: 'a***@example' }));
+        });
+    });
+
+    describe('private and per-user rules', () => {
+        it('lets users read only their own purchases, and never write them', async () => {
+            const purchasePath = `artifacts/${appId}/users/bob/purchases/pi_1`;
+            await assertSucceeds(getDoc(doc(firestoreAs('bob'), purchasePath)));
+            await assertFails(getDoc(doc(firestoreAs('alice'), purchasePath)));
+            await assertFails(updateDoc(doc(firestoreAs('bob'), purchasePath), { status: 'refunded' }));
+        });
+
+        it('lets users mark their own notifications read, and change nothing else', async () => {
+            const notificationPath = `artifacts/${appId}/users/bob/notifications/receipt-pi_1`;
+            await assertSucceeds(updateDoc(doc(firestoreAs('bob'), notificationPath), { read: true }));
+            await assertFails(updateDoc(doc(firestoreAs('bob'), notificationPath), { title: 'You won!' }));
+            await assertFails(updateDoc(doc(firestoreAs('alice'), notificationPath), { read: true }));
+            await assertFails(setDoc(doc(firestoreAs('bob'), `artifacts/${appId}/users/bob/notifications/forged`), { title: 'You won!', read: false }));
+        });
+
+        it('lets users save only their own, well-formed notification preferences', async () => {
+            const settingsPath = (uid) => `artifacts/${appId}/users/${uid}/settings/notifications`;
+            await assertSucceeds(setDoc(doc(firestoreAs('bob'), settingsPath('bob')), { receipt: { email: false }, drawn: { inApp: true, email: true } }));
+            await assertFails(setDoc(doc(firestoreAs('bob'), settingsPath('bob')), { marketing: { email: true } }));
+            await assertFails(setDoc(doc(firestoreAs('bob'), settingsPath('bob')), { receipt: { email: 'no' } }));
+            await assertFails(setDoc(doc(firestoreAs('alice'), settingsPath('bob')), { receipt: { email: false } }));
+        });
+
+        it('lets users declare only their own, well-formed eligibility details', async () => {
+            const eligibilityPath = (uid) => `artifacts/${appId}/users/${uid}/settings/eligibility`;
+            await assertSucceeds(setDoc(doc(firestoreAs('bob'), eligibilityPath('bob')), { birthDate: '1990-04-01', region: 'US-CA' }));
+            await assertFails(setDoc(doc(firestoreAs('bob'), eligibilityPath('bob')), { birthDate: 'yesterday', region: 'US-CA' }));
+            await assertFails(setDoc(doc(firestoreAs('bob'), eligibilityPath('bob')), { birthDate: '1990-04-01', region: 'US-CA', verified: true }));
+            await assertFails(setDoc(doc(firestoreAs('alice'), eligibilityPath('bob')), { birthDate: '1990-04-01', region: 'US-CA' }));
+            await assertFails(getDoc(doc(firestoreAs('alice'), eligibilityPath('bob'))));
+        });
+
+        it('shows a raffle\'s entrant roster, emails included, to its creator only', async () => {
+            const rosterPath = `artifacts/${appId}/users/alice/raffleSales/${raffleId}/entrants/bob`;
+            await assertSucceeds(getDoc(doc(firestoreAs('alice'), rosterPath)));
+            await assertFails(getDoc(doc(firestoreAs('bob'), rosterPath)));
+            await assertFails(setDoc(doc(firestoreAs('alice'), rosterPath), { email: 'someone@example.com' }));
+        });
+
+        it('lets signed-in users read the pricing config but not change it', async () => {
+            const pricingPath = `artifacts/${appId}/public/data/config/pricing`;
+            await assertSucceeds(getDoc(doc(firestoreAs('bob'), pricingPath)));
+            await assertFails(setDoc(doc(firestoreAs('bob'), pricingPath), { platformFee: { default: { type: 'fixed', amountCents: 0 } } }));
+        });
+
+        it('keeps draw seeds away from every client', async () => {
+            await assertFails(getDoc(doc(firestoreAs('alice'), `artifacts/${appId}/private/data/drawSeeds/${raffleId}`)));
+        });
+    });
+
+    describe('storage rules', () => {
+        const uploadRef = (uid, owner, uploadId) => ref(storageAs(uid), `uploads/${appId}/${owner}/${uploadId}`);
+
+        it('accepts images up to 5 MB into the uploader\'s own folder', async () => {
+            await assertSucceeds(uploadBytes(uploadRef('alice', 'alice', 'upload-1'), new Uint8Array(1024), { contentType: 'image/png' }));
+            await assertSucceeds(uploadBytes(uploadRef('alice', 'alice', 'at-limit'), new Uint8Array(MAX_IMAGE_BYTES), { contentType: 'image/png' }));
+        });
+
+        it('rejects other file types, oversized images, other users\' folders and signed-out uploads', async () => {
+            await assertFails(uploadBytes(uploadRef('alice', 'alice', 'page'), new Uint8Array(1024), { contentType: 'text/html' }));
+            await assertFails(uploadBytes(uploadRef('alice', 'alice', 'anim'), new Uint8Array(1024), { contentType: 'image/gif' }));
+            await assertFails(uploadBytes(uploadRef('alice', 'alice', 'huge'), new Uint8Array(MAX_IMAGE_BYTES + 1), { contentType: 'image/png' }));
+            await assertFails(uploadBytes(uploadRef('alice', 'bob', 'upload-2'), new Uint8Array(1024), { contentType: 'image/png' }));
+            await assertFails(uploadBytes(uploadRef(null, 'alice', 'upload-3'), new Uint8Array(1024), { contentType: 'image/png' }));
+        });
+
+        it('leaves processed variants to the pipeline', async () => {
+            await assertFails(uploadBytes(ref(storageAs('alice'), `raffles/${appId}/images/upload-1/full.webp`), new Uint8Array(1024), { contentType: 'image/webp' }));
+        });
+    });
+});
@@ -0,0 +1,85 @@
+import assert from 'node:assert/strict';
+import { describeFee, formatMoney, isValidFeeRule, platformFee, quoteTickets, toMinorUnits } from '../shared/ticketPricing.js';
+
+const raffle = { ticketPrice: '5.00', bundles: [{ quantity: 5, price: '20.00' }, { quantity: 12, price: '45.00' }] };
+
+describe('quoteTickets', () => {
+    it('charges single tickets when no bundle applies', () => {
+        const quote = quoteTickets(raffle, 3);
+        assert.equal(quote.subtotalCents, 1500);
+        assert.equal(quote.feeCents, 45);
+        assert.equal(quote.totalCents, 1545);
+        assert.equal(quote.savingsCents, 0);
+    });
+
+    it('combines bundles and singles at the lowest price', () => {
+        const quote = quoteTickets(raffle, 7);
+        assert.deepEqual(quote.lines.map(({ size, count }) => ({ size, count })), [{ size: 5, count: 1 }, { size: 1, count: 2 }]);
+        assert.equal(quote.subtotalCents, 3000);
+        assert.equal(quote.savingsCents, 500);
+    });
+
+    it('prefers two small bundles over a worse-value large one', () => {
+        const quote = quoteTickets({ ticketPrice: '5.00', bundles: [{ quantity: 5, price: '20.00' }, { quantity: 10, price: '48.00' }] }, 10);
+        assert.equal(quote.subtotalCents, 4000);
+    });
+
+    it('computes the platform fee on the discounted subtotal', () => {
+        assert.equal(quoteTickets(raffle, 12).feeCents, Math.round(4500 * 0.03));
+    });
+});
+
+describe('quoteTickets in minor units', () => {
+    const yenRaffle = { ticketPriceCents: 500, currency: 'JPY', bundles: [{ quantity: 3, priceCents: 1200 }] };
+
+    it('prices raffles stored in integer minor units, in their own currency', () => {
+        const quote = quoteTickets(yenRaffle, 4);
+        assert.equal(quote.currency, 'JPY');
+        assert.equal(quote.subtotalCents, 1700);
+        assert.equal(quote.feeCents, 51);
+    });
+
+    it('uses the fee rule for the raffle currency, falling back to the default', () => {
+        const feeSchedule = { default: { type: 'percentage', rate: 0.05 }, JPY: { type: 'fixed', amountCents: 100 } };
+        assert.equal(quoteTickets(yenRaffle, 1, feeSchedule).feeCents, 100);
+        assert.equal(quoteTickets(raffle, 1, feeSchedule).feeCents, 25);
+    });
+});
+
+describe('platformFee', () => {
+    it('keeps a percentage fee between its minimum and cap', () => {
+        const rule = { type: 'percentage', rate: 0.03, minCents: 30, capCents: 500 };
+        assert.equal(platformFee(500, rule), 30);
+        assert.equal(platformFee(5000, rule), 150);
+        assert.equal(platformFee(50000, rule), 500);
+        assert.equal(describeFee(rule, 'USD', 'en-US'), '3% (min $0.30, max $5.00)');
+    });
+
+    it('charges a fixed fee whatever the subtotal', () => {
+        assert.equal(platformFee(123456, { type: 'fixed', amountCents: 50 }), 50);
+    });
+
+    it('keeps a fixed fee between its minimum and cap too', () => {
+        assert.equal(platformFee(1000, { type: 'fixed', amountCents: 20, minCents: 30 }), 30);
+        assert.equal(platformFee(1000, { type: 'fixed', amountCents: 800, capCents: 500 }), 500);
+        assert.equal(describeFee({ type: 'fixed', amountCents: 800, capCents: 500 }, 'USD', 'en-US'), '$5.00');
+    });
+
+    it('rejects malformed rules', () => {
+        assert.equal(isValidFeeRule({ type: 'percentage', rate: 3 }), false);
+        assert.equal(isValidFeeRule({ type: 'percentage', rate: 0.03, minCents: 500, capCents: 30 }), false);
+        assert.equal(isValidFeeRule({ type: 'fixed', amountCents: 0.5 }), false);
+        assert.equal(isValidFeeRule({ type: 'fixed', amountCents: 50, minCents: 500, capCents: 30 }), false);
+        assert.equal(isValidFeeRule({ type: 'percentage', rate: 0.03, capCents: 500 }), true);
+    });
+});
+
+describe('money formatting', () => {
+    it('converts and formats amounts by the currency minor unit', () => {
+        assert.equal(toMinorUnits('12.5', 'USD'), 1250);
+        assert.equal(toMinorUnits('500', 'JPY'), 500);
+        assert.equal(formatMoney(1250, 'USD', 'en-US'), '$12.50');
+        assert.equal(formatMoney(500, 'JPY', 'en-US'), '¥500');
+        assert.equal(formatMoney(1250, 'eur', 'de-DE'), '12,50\u00a0€');
+    });
+});
@@ -1,261 +1,1617 @@
-import React, { useState, useEffect, useRef } from 'react';
-import { initializeApp } from 'firebase/app';
-import { 
-    getAuth, 
-    onAuthStateChanged,
-    createUserWithEmailAndPassword,
-    signInWithEmailAndPassword,
-    signOut
-} from 'firebase/auth';
-import { 
-    getFirestore, 
-    collection, 
-    addDoc, 
-    onSnapshot, 
-    doc, 
-    updateDoc, 
-    deleteDoc, 
-    setDoc, 
-    getDoc, 
-    setLogLevel 
-} from 'firebase/firestore';
-import { 
-    getStorage, 
-    ref, 
-    uploadBytes, 
-    getDownloadURL 
-} from "firebase/storage";
-// The Stripe imports are removed as they will be loaded dynamically from a CDN.
-
-// --- Firebase Configuration ---
-// SOLUTION: To fix the "Can't find variable: process" error, we must avoid using
-// `process.env`. Instead, we safely access the globally injected variables via the
-// `window` object. This is the correct pattern for this environment.
-// For Firebase JS SDK v7.20.0 and later, measurementId is optional
-const firebaseConfig = {
-  apiKey:
-  authDomain: "rafflehub-72627.firebaseapp.com",
-  projectId: "rafflehub-72627",
-  storageBucket: "rafflehub-72627.firebasestorage.app",
-  messagingSenderId: "839969572788",
-  appId: "1:839969572788:web:78ca7400ca695fa13a14e1",
-  measurementId: "G-RX424DK0XW"
-};
-
-
-// --- Initialize Firebase ---
-let app, auth, db, storage;
-if (firebaseConfig.apiKey) {
-    app = initializeApp(firebaseConfig);
-    auth = getAuth(app);
-    db = getFirestore(app);
-    storage = getStorage(app);
-    setLogLevel('debug');
-} else {
-    console.error("Firebase configuration is missing. App cannot be initialized.");
-}
+import React, { useState, useEffect, useRef, useCallback, useMemo } from 'react';
+import { Routes, Route, Navigate, Link, useNavigate, useLocation, useParams, useSearchParams } from 'react-router-dom';
+import { MAX_ELIGIBLE_REGIONS, MAX_OFFICIAL_RULES_LENGTH, REGION_PATTERN, describeEligibility, eligibilityProblem, parseRegions } from './shared/eligibility';
+import { DRAW_ALGORITHM_V1, verifyDraw } from './shared/fairDraw';
+import { LIVE_DRAW_PHASE, REVEAL_DELAY_MS, VIEWER_HEARTBEAT_MS, VIEWER_TIMEOUT_MS, formatCountdown, liveDrawPhase, revealEndsAt, revealTimeline } from './shared/liveDraw';
+import { MAX_PRIZES, MAX_WINNERS_PER_PRIZE, prizesFor, totalWinnerCount, winnersByPrize, winnersFor } from './shared/prizes';
+import {
+    DEFAULT_CURRENCY,
+    MAX_BUNDLES,
+    MAX_TICKETS_PER_PURCHASE,
+    SUPPORTED_CURRENCIES,
+    bundleOptions,
+    describeFee,
+    feeRuleFor,
+    formatMoney,
+    minorUnitDigits,
+    quoteTickets,
+    raffleCurrency,
+    ticketPriceCents,
+    toMinorUnits,
+} from './shared/ticketPricing';
+import { normalizeSearch, searchTermsFor } from './shared/raffleSearch';
+import { MAX_RAFFLE_IMAGES, imageFileProblem, raffleImages } from './shared/images';
+import { NOTIFICATION_CHANNELS, NOTIFICATION_TYPES, notificationChannels } from './shared/notifications';
+import { ANONYMOUS_NAME, DEFAULT_PUBLIC_NAME_MODE, PUBLIC_NAME_LABELS, PUBLIC_NAME_MODES, maskEmail, publicNameFor } from './shared/privacy';
+import { DRAWABLE_STATUSES, RAFFLE_STATUS, STATUS_LABELS, purchaseBlockReason, raffleStatus, ticketsRemaining, toMillis } from './shared/raffleLifecycle';
+import { services } from './services';
+
+// --- Services ---
+// Auth, data, storage and payments go through src/services, on Firebase and Stripe or on the local
+// backend (see src/config.js). Checkout's card input and confirmation come with the payment backend.
+const { Provider: PaymentProvider, CardInput, useConfirmPayment } = services.payments;
+
+const LOCAL_DEMO = services.name === 'local';
+const LOCAL_DEMO_NOTE = 'Accounts and raffles are kept in this tab until it is closed, and payments are simulated.';
+
+// --- Payment Component ---
+const PaymentModal = ({ raffle, acceptedRules, onClose, userId }) => (
+    <div className="fixed inset-0 bg-black bg-opacity-75 flex items-center justify-center z-50 p-4">
+        <div className="bg-gray-800 p-8 rounded-xl shadow-2xl w-full max-w-md relative">
+            <button onClick={onClose} className="absolute top-4 right-4 text-gray-400 hover:text-white text-2xl">&times;</button>
+            <h2 className="text-2xl font-bold text-center mb-4 text-purple-300">Buy Tickets for "{raffle?.name}"</h2>
+            <PaymentProvider>
+                <CheckoutForm activeRaffle={raffle} acceptedRules={acceptedRules} setPaymentModalOpen={onClose} userId={userId} />
+            </PaymentProvider>
+        </div>
+    </div>
+);
+
+// '12' -> 12, and anything empty, fractional or out of range to the nearest quantity that can be bought.
+const clampQuantity = (value) => Math.min(Math.max(parseInt(value, 10) || 1, 1), MAX_TICKETS_PER_PURCHASE);
+
+const CheckoutForm = ({ activeRaffle, acceptedRules, setPaymentModalOpen, userId }) => {
+    // Null until the payment backend is ready to take the card.
+    const confirmPayment = useConfirmPayment();
+    const [error, setError] = useState(null);
+    // 'idle' | 'processing' | 'pending' | 'succeeded' | 'failed'
+    const [paymentStatus, setPaymentStatus] = useState('idle');
+    // The field as typed, so it can be cleared and retyped; it is clamped when it loses focus.
+    const [quantityInput, setQuantityInput] = useState('1');
+    const quantity = clampQuantity(quantityInput);
+    // One key per checkout, so a resubmitted form reuses the same PaymentIntent instead of charging twice.
+    const idempotencyKeyRef = useRef(crypto.randomUUID());
+    const unsubscribePurchaseRef = useRef(null);
+
+    useEffect(() => () => unsubscribePurchaseRef.current?.(), []);
+
+    // A different quantity is a different charge, so it can't reuse the previous PaymentIntent.
+    useEffect(() => {
+        idempotencyKeyRef.current = crypto.randomUUID();
+    }, [quantity]);
+
+    // The server charges with the same fee configuration, so the quote is what the card is charged.
+    const { data: pricing, loading: pricingLoading } = useLiveDoc(services.raffles.watchConfig, 'pricing');
+    const quote = quoteTickets(activeRaffle || {}, quantity, pricing?.platformFee);
+    const bundles = bundleOptions(activeRaffle || {});
+    const money = (cents) => formatMoney(cents, quote.currency);
+
+    // The webhook settles the purchase; wait for it before telling the buyer they're entered.
+    const watchPurchase = (paymentId) => {
+        unsubscribePurchaseRef.current = services.account.watchPurchase(userId, paymentId, (purchase) => {
+            if (purchase?.status === 'succeeded') {
+                setPaymentStatus('succeeded');
+                unsubscribePurchaseRef.current();
+            } else if (purchase?.status === 'failed' || purchase?.status === 'rejected') {
+                setError(purchase.status === 'rejected'
+                    ? `${purchase.rejectionReason} Your payment will be refunded.`
+                    : purchase.failureMessage);
+                setPaymentStatus('failed');
+                unsubscribePurchaseRef.current();
+            }
+        });
+    };
+
+    const handleSubmit = async (event) => {
+        event.preventDefault();
+        if (!confirmPayment || !activeRaffle) return;
+        setQuantityInput(String(quantity));
+        setPaymentStatus('processing');
+        setError(null);
+
+        try {
+            const checkout = await services.payments.createCheckout({ raffleId: activeRaffle.id, quantity, idempotencyKey: idempotencyKeyRef.current, acceptedRules });
+            const { error: confirmError, paymentId } = await confirmPayment(checkout);
+            if (confirmError) {
+                setError(confirmError.message);
+                setPaymentStatus('failed');
+                return;
+            }
+            setPaymentStatus('pending');
+            watchPurchase(paymentId);
+        } catch (paymentError) {
+            setError(paymentError.message);
+            setPaymentStatus('failed');
+        }
+    };
+
+    const busy = paymentStatus === 'processing' || paymentStatus === 'pending';
+
+    if (paymentStatus === 'succeeded') {
+        return (
+            <div className="space-y-4 text-center">
+                <p className="text-2xl font-bold text-green-400">You're in!</p>
+                <p className="text-gray-300">Your payment of {money(quote.totalCents)} went through and your {quantity === 1 ? 'ticket has' : `${quantity} tickets have`} been recorded.</p>
+                <button onClick={() => setPaymentModalOpen(false)} className="w-full bg-purple-600 hover:bg-purple-700 text-white font-bold py-3 px-6 rounded-lg">Done</button>
+            </div>
+        );
+    }
+
+    return (
+        <form onSubmit={handleSubmit} className="space-y-4">
+            <div className="flex items-center justify-between gap-4">
+                <label htmlFor="ticket-quantity" className="font-semibold text-gray-300">Tickets</label>
+                <input id="ticket-quantity" type="number" min="1" max={MAX_TICKETS_PER_PURCHASE} step="1" value={quantityInput} disabled={busy}
+                    onChange={(e) => setQuantityInput(e.target.value)} onBlur={() => setQuantityInput(String(quantity))}
+                    className="w-24 bg-gray-700 p-2 rounded-lg text-white text-right focus:outline-none focus:ring-2 focus:ring-purple-500"/>
+            </div>
+            {bundles.length > 0 && (
+                <div className="flex flex-wrap gap-2">
+                    {bundles.map((bundle) => (
+                        <button key={bundle.size} type="button" disabled={busy} onClick={() => setQuantityInput(String(bundle.size))}
+                            className={`text-sm py-1 px-3 rounded-full ${quantity === bundle.size ? 'bg-purple-600 text-white' : 'bg-gray-700 text-gray-300 hover:bg-gray-600'}`}>
+                            {bundle.size} for {money(bundle.cents)}
+                        </button>
+                    ))}
+                </div>
+            )}
+            <div className="bg-gray-700 p-4 rounded-lg space-y-2 text-white">
+                {quote.lines.map((line) => (
+                    <div key={line.size} className="flex justify-between">
+                        <span>{line.size === 1 ? `${line.count} × Ticket` : `${line.count} × ${line.size}-Ticket Bundle`}</span>
+                        <span>{money(line.cents * line.count)}</span>
+                    </div>
+                ))}
+                {quote.savingsCents > 0 && <div className="flex justify-between text-sm text-green-400"><span>Bundle savings:</span> <span>-{money(quote.savingsCents)}</span></div>}
+                <div className="flex justify-between text-sm text-gray-400"><span>Platform Fee ({describeFee(feeRuleFor(pricing?.platformFee, quote.currency), quote.currency)}):</span> <span>{money(quote.feeCents)}</span></div>
+                <div className="flex justify-between font-bold text-lg border-t border-gray-600 pt-2 mt-2"><span>Total:</span> <span>{money(quote.totalCents)}</span></div>
+            </div>
+            <div className="p-4 bg-gray-700 rounded-lg">
+                <CardInput />
+            </div>
+            {paymentStatus === 'pending' && <div className="text-yellow-300 text-sm">Payment received. Confirming your {quantity === 1 ? 'ticket' : 'tickets'}...</div>}
+            {error && <div className="text-red-400 text-sm">{error}</div>}
+            <button type="submit" disabled={!confirmPayment || busy || pricingLoading} className="w-full bg-blue-600 hover:bg-blue-700 text-white font-bold py-3 px-6 rounded-lg transition-colors duration-300 disabled:bg-gray-600">
+                {busy ? 'Processing...' : `${paymentStatus === 'failed' ? 'Try Again' : 'Pay'} ${money(quote.totalCents)}`}
+            </button>
+        </form>
+    );
+};
+
+// --- Raffle Status Badge ---
+const STATUS_BADGE_CLASSES = {
+    draft: 'bg-gray-600 text-gray-200',
+    open: 'bg-green-600/30 text-green-300',
+    sold_out: 'bg-orange-600/30 text-orange-300',
+    closed: 'bg-blue-600/30 text-blue-300',
+    drawn: 'bg-yellow-500/30 text-yellow-300',
+    cancelled: 'bg-red-600/30 text-red-300',
+};
+
+const StatusBadge = ({ raffle }) => {
+    const status = raffleStatus(raffle);
+    return <span className={`text-xs font-bold uppercase px-2 py-1 rounded-full ${STATUS_BADGE_CLASSES[status]}`}>{STATUS_LABELS[status]}</span>;
+};
+
+const formatDateTime = (time) => new Date(toMillis(time)).toLocaleString();
+
+// --- Raffle Entries ---
+// Entries live in each raffle's `entries` subcollection; the raffle doc only carries `entryCount`.
+const ENTRIES_PAGE_SIZE = 25;
+
+// Entries and winners name their holder by uid only. Each person is shown under the name they chose on
+// their public profile (see src/shared/privacy.js), kept current by one profile listener per person
+// that every list and card showing them shares, and that stops with the last of them.
+const profileWatchers = new Map();
+
+// `onProfile` gets the profile, null if there is none, or an Error if it can't be read.
+const watchSharedProfile = (userId, onProfile) => {
+    if (!profileWatchers.has(userId)) {
+        const watcher = { profile: undefined, listeners: new Set() };
+        const report = (profile) => {
+            watcher.profile = profile;
+            watcher.listeners.forEach((listener) => listener(profile));
+        };
+        watcher.stop = services.profiles.watch(userId, report, (error) => {
+            console.error(`Error loading the profile of ${userId}: `, error);
+            report(error);
+        });
+        profileWatchers.set(userId, watcher);
+    }
+    const watcher = profileWatchers.get(userId);
+    watcher.listeners.add(onProfile);
+    if (watcher.profile !== undefined) onProfile(watcher.profile);
+    return () => {
+        watcher.listeners.delete(onProfile);
+        if (watcher.listeners.size) return;
+        watcher.stop();
+        profileWatchers.delete(userId);
+    };
+};
+
+const watchPublicName = (userId, onName) => watchSharedProfile(userId, (profile) => onName(profile instanceof Error ? ANONYMOUS_NAME : publicNameFor(profile)));
+
+// { [userId]: name } for the given users, filled in as their profiles load and updated as they change.
+// Users already watched stay subscribed when the list grows, e.g. as another page of entries loads.
+const usePublicNames = (userIds) => {
+    const [names, setNames] = useState({});
+    const subscriptionsRef = useRef(new Map());
+    const key = [...new Set(userIds)].sort().join(',');
+
+    useEffect(() => {
+        const subscriptions = subscriptionsRef.current;
+        const wanted = new Set(key ? key.split(',') : []);
+        wanted.forEach((userId) => {
+            if (subscriptions.has(userId)) return;
+            subscriptions.set(userId, watchPublicName(userId, (name) => setNames((current) => ({ ...current, [userId]: name }))));
+        });
+        subscriptions.forEach((stop, userId) => {
+            if (wanted.has(userId)) return;
+            stop();
+            subscriptions.delete(userId);
+        });
+    }, [key]);
+
+    useEffect(() => {
+        const subscriptions = subscriptionsRef.current;
+        return () => {
+            subscriptions.forEach((stop) => stop());
+            subscriptions.clear();
+        };
+    }, []);
+
+    return names;
+};
+
+const EntrantName = ({ userId }) => usePublicNames([userId])[userId] || '';
+
+// Loads entries a page at a time as the sentinel at the bottom of the list scrolls into view.
+const EntryList = ({ raffleId, entryCount }) => {
+    const [entries, setEntries] = useState([]);
+    const [cursor, setCursor] = useState(null);
+    const [hasMore, setHasMore] = useState(true);
+    const [loadingPage, setLoadingPage] = useState(false);
+    const [error, setError] = useState(null);
+    const sentinelRef = useRef(null);
+    const names = usePublicNames(entries.map((entry) => entry.userId));
+
+    const loadNextPage = useCallback(async () => {
+        if (loadingPage || !hasMore) return;
+        setLoadingPage(true);
+        setError(null);
+        try {
+            const { entries: page, cursor: nextCursor } = await services.raffles.listEntries(raffleId, cursor, ENTRIES_PAGE_SIZE);
+            setEntries((loaded) => [...loaded, ...page]);
+            setCursor(nextCursor);
+            setHasMore(page.length === ENTRIES_PAGE_SIZE);
+        } catch (pageError) {
+            console.error("Error loading entries: ", pageError);
+            setError('Could not load entries.');
+        } finally {
+            setLoadingPage(false);
+        }
+    }, [raffleId, cursor, hasMore, loadingPage]);
+
+    // Entries bought while the list is open show up on the next scroll to the bottom.
+    useEffect(() => {
+        if ((entryCount || 0) > entries.length) setHasMore(true);
+    }, [entryCount, entries.length]);
+
+    // After a failed page the list waits for "Try again" instead of retrying on its own.
+    useEffect(() => {
+        const sentinel = sentinelRef.current;
+        if (!sentinel || !hasMore || error) return;
+        const observer = new IntersectionObserver(([entry]) => {
+            if (entry.isIntersecting) loadNextPage();
+        });
+        observer.observe(sentinel);
+        return () => observer.disconnect();
+    }, [hasMore, error, loadNextPage]);
+
+    return (
+        <div className="mt-4">
+            <h4 className="font-semibold mb-2 text-gray-300">Entries ({entryCount || 0})</h4>
+            <ul className="space-y-2 max-h-40 overflow-y-auto bg-gray-900/50 p-3 rounded-lg">
+                {entries.map((entry) => (
+                    <li key={entry.id} className="text-gray-300 flex justify-between">
+                        <span>{names[entry.userId] || ''}</span>
+                        {entry.refundStatus && <span className="text-xs text-gray-500">{entry.refundStatus === 'succeeded' ? 'Refunded' : `Refund ${entry.refundStatus}`}</span>}
+                    </li>
+                ))}
+                {!hasMore && entries.length === 0 && <li className="text-gray-500">No entries yet.</li>}
+                {error && !loadingPage && (
+                    <li className="text-red-400 text-sm">
+                        {error} <button onClick={loadNextPage} className="text-purple-400 hover:underline">Try again</button>
+                    </li>
+                )}
+                {hasMore && !error && <li ref={sentinelRef} className="text-gray-500 text-sm">{loadingPage ? 'Loading entries...' : ''}</li>}
+            </ul>
+        </div>
+    );
+};
+
+// --- Entrant Roster ---
+// Who entered, with their email, for the creator alone: the server keeps it under the creator's sales
+// records, which only they can read.
+
+const EntrantRoster = ({ raffle }) => {
+    const [entrants, setEntrants] = useState([]);
+
+    useEffect(() => services.raffles.watchEntrants(raffle.creatorId, raffle.id, (loaded) => {
+        setEntrants([...loaded].sort((a, b) => b.tickets - a.tickets));
+    }, (error) => console.error("Error loading entrants: ", error)), [raffle.creatorId, raffle.id]);
+
+    const winnerIds = new Set(winnersFor(raffle).map((winner) => winner.userId));
+    return (
+        <details className="mt-4 bg-gray-900/50 p-4 rounded-lg">
+            <summary className="font-semibold text-gray-300 cursor-pointer">Entrant Details ({entrants.length})</summary>
+            <p className="mt-2 text-xs text-gray-500">Only you can see entrants' emails. Everyone else sees the name each entrant chose to appear as.</p>
+            <table className="mt-2 w-full text-sm text-left text-gray-300">
+                <thead className="text-gray-400">
+                    <tr>
+                        <th className="py-1 pr-4">Email</th>
+                        <th className="py-1 pr-4 text-right">Tickets</th>
+                        <th className="py-1">Last Entry</th>
+                    </tr>
+                </thead>
+                <tbody>
+                    {entrants.map((entrant) => (
+                        <tr key={entrant.userId} className="border-t border-gray-700">
+                            <td className="py-1 pr-4 break-all">
+                                {entrant.email || <span className="text-gray-500">{entrant.userId}</span>}
+                                {winnerIds.has(entrant.userId) && <span className="ml-2 text-xs font-bold text-yellow-400">Winner</span>}
+                            </td>
+                            <td className="py-1 pr-4 text-right">{entrant.tickets}{entrant.freeEntries ? ` (${entrant.freeEntries} free)` : ''}</td>
+                            <td className="py-1">{entrant.lastEntryAt ? formatDateTime(entrant.lastEntryAt) : ''}</td>
+                        </tr>
+                    ))}
+                    {entrants.length === 0 && <tr><td colSpan="3" className="py-2 text-gray-500">No entrants yet.</td></tr>}
+                </tbody>
+            </table>
+        </details>
+    );
+};
+
+// --- Live Draw ---
+// Computed from the raffle's server timestamps (src/shared/liveDraw.js) against the server's clock,
+// so every viewer sees each step at the same moment.
+
+// While `active`, checks in as a viewer every VIEWER_HEARTBEAT_MS. Returns { viewerCount, clockOffsetMs },
+// the offset estimated from the server's stamp on the quickest check-in.
+const useLiveViewers = (raffleId, active) => {
+    const [state, setState] = useState({ viewerCount: null, clockOffsetMs: 0 });
+
+    useEffect(() => {
+        if (!active) return undefined;
+        const viewerId = crypto.randomUUID();
+        let cancelled = false;
+        let best = { roundTripMs: Infinity, clockOffsetMs: 0 };
+        const checkIn = async () => {
+            try {
+                const sentAt = Date.now();
+                const serverTime = await services.raffles.checkInViewer(raffleId, viewerId);
+                const receivedAt = Date.now();
+                if (receivedAt - sentAt < best.roundTripMs) best = { roundTripMs: receivedAt - sentAt, clockOffsetMs: serverTime - (sentAt + receivedAt) / 2 };
+                const viewerCount = await services.raffles.countViewers(raffleId, Date.now() + best.clockOffsetMs - VIEWER_TIMEOUT_MS);
+                if (!cancelled) setState({ viewerCount, clockOffsetMs: best.clockOffsetMs });
+            } catch (error) {
+                console.error("Error checking in as a viewer: ", error);
+            }
+        };
+        checkIn();
+        const timer = setInterval(checkIn, VIEWER_HEARTBEAT_MS);
+        return () => {
+            cancelled = true;
+            clearInterval(timer);
+        };
+    }, [raffleId, active]);
+
+    return state;
+};
+
+// The server's time, ticking every `tickMs` while `running`.
+const useServerNow = (clockOffsetMs, running, tickMs = 250) => {
+    const [now, setNow] = useState(() => Date.now() + clockOffsetMs);
+
+    useEffect(() => {
+        setNow(Date.now() + clockOffsetMs);
+        if (!running) return undefined;
+        const timer = setInterval(() => setNow(Date.now() + clockOffsetMs), tickMs);
+        return () => clearInterval(timer);
+    }, [clockOffsetMs, running, tickMs]);
+
+    return now;
+};
+
+const RevealedWinner = ({ winner }) => {
+    const [shown, setShown] = useState(false);
+
+    useEffect(() => {
+        const frame = requestAnimationFrame(() => setShown(true));
+        return () => cancelAnimationFrame(frame);
+    }, []);
+
+    return (
+        <div className={`flex items-center gap-4 bg-yellow-500/20 p-4 rounded-lg transform transition-all duration-700 ${shown ? 'opacity-100 scale-100' : 'opacity-0 scale-50'}`}>
+            {winner.prize.imageUrl && <img src={winner.prize.imageUrl} alt={winner.prize.name} className="w-16 h-16 object-cover rounded-lg"/>}
+            <div>
+                <p className="text-lg">{winner.prize.name}</p>
+                <p className="text-2xl font-extrabold text-yellow-400"><EntrantName userId={winner.userId} /></p>
+            </div>
+        </div>
+    );
+};
+
+// Reveals the winners one at a time from `startAt`, newest on top, with a countdown to the next.
+const RevealSequence = ({ raffle, startAt, now }) => {
+    const timeline = revealTimeline(raffle, startAt);
+    const revealed = timeline.filter((winner) => winner.revealAt <= now).reverse();
+    const next = timeline.find((winner) => winner.revealAt > now);
+    return (
+        <div className="space-y-4">
+            {next && (
+                <div className="text-center bg-gray-900/50 p-6 rounded-lg">
+                    <p className="text-gray-400">Drawing {next.prize.name}...</p>
+                    <p className="text-5xl font-extrabold font-mono text-purple-300 animate-pulse">{formatCountdown(next.revealAt - now)}</p>
+                </div>
+            )}
+            {revealed.map((winner) => <RevealedWinner key={winner.entryId} winner={winner} />)}
+        </div>
+    );
+};
+
+// The live draw stage: the countdown, the reveal as it happens, and a replay once it's over, when
+// `children` (the usual winners list) is shown. Raffles without a live draw just show `children`.
+const LiveDraw = ({ raffle, children = null }) => {
+    const [replayStart, setReplayStart] = useState(null);
+    const live = Boolean(raffle.liveDraw) && !raffle.liveDraw.error
+        && (raffle.liveDraw.pending || Date.now() < revealEndsAt(raffle) + VIEWER_TIMEOUT_MS);
+    const { viewerCount, clockOffsetMs } = useLiveViewers(raffle.id, live);
+    const now = useServerNow(clockOffsetMs, live || replayStart !== null);
+    const replaying = replayStart !== null && now < revealEndsAt(raffle, replayStart);
+
+    useEffect(() => {
+        if (replayStart !== null && !replaying) setReplayStart(null);
+    }, [replayStart, replaying]);
+
+    if (!raffle.liveDraw) return children;
+    const phase = liveDrawPhase(raffle, now);
+    return (
+        <div className="space-y-4 mb-4">
+            <div className="flex justify-between items-center">
+                <h4 className="text-xl font-bold text-purple-300">Live Draw</h4>
+                {live && viewerCount !== null && (
+                    <span className="flex items-center gap-2 text-sm text-gray-400">
+                        <span className="w-2 h-2 rounded-full bg-red-500 animate-pulse"></span>
+                        {viewerCount} watching
+                    </span>
+                )}
+            </div>
+            {phase === LIVE_DRAW_PHASE.SCHEDULED && (
+                <div className="text-center bg-gray-900/50 p-6 rounded-lg">
+                    <p className="text-gray-400">The winners will be drawn live on {formatDateTime(raffle.liveDraw.startsAt)}.</p>
+                    <p className="my-2 text-5xl font-extrabold font-mono text-purple-300">{formatCountdown(toMillis(raffle.liveDraw.startsAt) - now)}</p>
+                    <p className="text-xs text-gray-500">Entries close when the draw starts. Stay on this page to watch.</p>
+                </div>
+            )}
+            {phase === LIVE_DRAW_PHASE.DRAWING && (
+                <div className="text-center bg-gray-900/50 p-6 rounded-lg">
+                    <p className="text-3xl font-extrabold text-purple-300 animate-pulse">Drawing the winners...</p>
+                </div>
+            )}
+            {phase === LIVE_DRAW_PHASE.FAILED && (
+                <div className="text-center bg-red-600/20 p-4 rounded-lg">
+                    <p className="font-bold text-red-300">The live draw couldn't go ahead: {raffle.liveDraw.error}</p>
+                </div>
+            )}
+            {phase === LIVE_DRAW_PHASE.REVEALING && <RevealSequence raffle={raffle} now={now} />}
+            {phase === LIVE_DRAW_PHASE.DONE && (replaying ? <RevealSequence raffle={raffle} startAt={replayStart} now={now} /> : (
+                <>
+                    {children}
+                    <button onClick={() => setReplayStart(now + REVEAL_DELAY_MS)} className="w-full bg-gray-700 hover:bg-gray-600 text-white font-bold py-2 px-6 rounded-lg">Replay the Live Draw</button>
+                </>
+            ))}
+        </div>
+    );
+};
+
+// Lets the creator schedule, move or cancel the live draw (functions/src/liveDraw.js).
+const LiveDrawScheduler = ({ raffle }) => {
+    const [startsAt, setStartsAt] = useState('');
+    const [saving, setSaving] = useState(false);
+    const pending = raffle.liveDraw?.pending;
+
+    const schedule = async (time) => {
+        setSaving(true);
+        try {
+            await services.raffles.scheduleLiveDraw(raffle.id, time);
+            setStartsAt('');
+        } catch (error) {
+            console.error("Error scheduling live draw: ", error);
+            alert(`Failed to ${time === null ? 'cancel' : 'schedule'} the live draw: ${error.message}`);
+        }
+        setSaving(false);
+    };
+
+    return (
+        <div className="mt-4 border-t border-gray-700 pt-4 space-y-2">
+            <h4 className="font-semibold text-gray-300">Live Draw</h4>
+            {pending && (
+                <p className="text-sm text-gray-300">
+                    Scheduled for {formatDateTime(raffle.liveDraw.startsAt)}.{' '}
+                    <button onClick={() => schedule(null)} disabled={saving} className="text-red-400 hover:underline disabled:text-gray-600">Cancel live draw</button>
+                </p>
+            )}
+            <div className="flex gap-2">
+                <input type="datetime-local" value={startsAt} onChange={(e) => setStartsAt(e.target.value)} aria-label="Live draw time" className="flex-1 bg-gray-700 p-3 rounded-lg focus:outline-none focus:ring-2 focus:ring-purple-500"/>
+                <button onClick={() => schedule(new Date(startsAt).getTime())} disabled={!startsAt || saving} className="bg-purple-600 hover:bg-purple-700 disabled:bg-gray-600 text-white font-bold py-3 px-6 rounded-lg">{pending ? 'Reschedule' : 'Schedule'}</button>
+            </div>
+            <p className="text-xs text-gray-500">Everyone on this page sees the same countdown and watches the winners revealed one by one. Entries close when the draw starts.</p>
+        </div>
+    );
+};
+
+// --- Draw Verification Panel ---
+// Fetches the draw's audit record and recomputes the commit–reveal result in the browser.
+const VerifyDrawPanel = ({ raffle }) => {
+    const [verification, setVerification] = useState(null);
+    const [audit, setAudit] = useState(null);
+    const [verifying, setVerifying] = useState(false);
+    const [error, setError] = useState(null);
+
+    const handleVerify = async () => {
+        setVerifying(true);
+        setError(null);
+        try {
+            const auditData = await services.raffles.getDrawAudit(raffle.id, raffle.drawId);
+            if (!auditData) throw new Error('No audit record was found for this draw.');
+            setAudit(auditData);
+            setVerification(await verifyDraw(auditData, await services.raffles.allEntries(raffle.id)));
+        } catch (verifyError) {
+            setError(verifyError.message);
+        }
+        setVerifying(false);
+    };
+
+    return (
+        <div className="mt-4 bg-gray-900/50 p-4 rounded-lg">
+            <div className="flex justify-between items-center">
+                <h4 className="font-semibold text-gray-300">Provably Fair Draw</h4>
+                <button onClick={handleVerify} disabled={verifying} className="bg-gray-700 hover:bg-gray-600 text-white text-sm font-bold py-2 px-4 rounded-lg disabled:bg-gray-600">
+                    {verifying ? 'Verifying...' : 'Verify this draw'}
+                </button>
+            </div>
+            {error && <p className="mt-2 text-red-400 text-sm">{error}</p>}
+            {audit && verification && (
+                <div className="mt-3 space-y-2 text-sm">
+                    <p className={verification.valid ? 'text-green-400 font-bold' : 'text-red-400 font-bold'}>
+                        {verification.valid ? 'This draw checks out.' : 'This draw could not be verified.'}
+                    </p>
+                    <ul className="space-y-1">
+                        {verification.checks.map((check) => (
+                            <li key={check.label} className={check.ok ? 'text-gray-300' : 'text-red-400'}>{check.ok ? '✓' : '✗'} {check.label}</li>
+                        ))}
+                    </ul>
+                    <dl className="grid grid-cols-[auto,1fr] gap-x-3 gap-y-1 text-gray-400 break-all">
+                        <dt>Seed hash</dt><dd className="font-mono">{audit.seedHash}</dd>
+                        <dt>Seed</dt><dd className="font-mono">{audit.seed}</dd>
+                        <dt>Entries hash</dt><dd className="font-mono">{audit.entriesHash}</dd>
+                        {audit.algorithm === DRAW_ALGORITHM_V1
+                            ? <><dt>Winning index</dt><dd className="font-mono">{audit.winnerIndex} of {audit.entryCount}</dd></>
+                            : <><dt>Winning picks</dt><dd className="font-mono">{audit.winners.map((w) => w.poolIndex).join(', ')} from {audit.entryCount} entries{audit.allowMultipleWins ? '' : ', one win per person'}</dd></>}
+                        {audit.disqualifiedEntryIds?.length > 0 && (
+                            <><dt>Passed over (ineligible)</dt><dd className="font-mono">{audit.disqualifiedEntryIds.join(', ')}</dd></>
+                        )}
+                    </dl>
+                </div>
+            )}
+        </div>
+    );
+};
+
+// --- Live Documents ---
+// Routes subscribe to what they show by id, so a deep link or a refresh works on its own. `watch` is
+// one of the services' single-document watches, e.g. services.raffles.watch, and `ids` its arguments.
+const useLiveDoc = (watch, ...ids) => {
+    const [state, setState] = useState({ data: null, loading: true });
+    const path = ids.join('/');
+
+    useEffect(() => {
+        setState({ data: null, loading: true });
+        return watch(...path.split('/'), (data) => setState({ data, loading: false }), (error) => {
+            console.error(`Error loading ${path}: `, error);
+            setState({ data: null, loading: false });
+        });
+    }, [watch, path]);
+
+    return state;
+};
+
+const NotFound = ({ message }) => (
+    <div className="bg-gray-800 p-6 rounded-xl shadow-lg text-center">
+        <p className="text-gray-300 mb-4">{message}</p>
+        <Link to="/raffles" className="text-purple-400 hover:underline">Back to all raffles</Link>
+    </div>
+);
+
+// Renders `children(raffle)` for the raffle named in the URL, kept live as it changes.
+const RaffleRoute = ({ children }) => {
+    const { raffleId } = useParams();
+    const { data: raffle, loading } = useLiveDoc(services.raffles.watch, raffleId);
+    if (loading) return <p className="text-center text-gray-400">Loading raffle...</p>;
+    if (!raffle) return <NotFound message="This raffle doesn't exist or has been deleted." />;
+    return children(raffle);
+};
+
+// --- Images ---
+// Resolves to { id, thumbUrl, cardUrl, fullUrl }.
+const uploadImage = async (userId, file) => {
+    const problem = imageFileProblem(file);
+    if (problem) throw new Error(problem);
+    return services.storage.uploadImage(userId, file);
+};
+
+// Picks and orders a new raffle's images as { file, previewUrl }. The first one is the cover.
+const ImagePicker = ({ images, onChange }) => {
+    const [problem, setProblem] = useState(null);
+
+    const addFiles = (files) => {
+        const problems = files.map(imageFileProblem).filter(Boolean);
+        const accepted = files.filter((file) => !imageFileProblem(file));
+        if (images.length + accepted.length > MAX_RAFFLE_IMAGES) problems.push(`A raffle can have up to ${MAX_RAFFLE_IMAGES} images.`);
+        setProblem(problems.length ? problems.join(' ') : null);
+        const added = accepted.slice(0, MAX_RAFFLE_IMAGES - images.length).map((file) => ({ file, previewUrl: URL.createObjectURL(file) }));
+        onChange([...images, ...added]);
+    };
+
+    const move = (from, to) => {
+        const reordered = [...images];
+        reordered.splice(to, 0, reordered.splice(from, 1)[0]);
+        onChange(reordered);
+    };
+
+    const remove = (index) => {
+        URL.revokeObjectURL(images[index].previewUrl);
+        onChange(images.filter((_, i) => i !== index));
+    };
+
+    return (
+        <div>
+            {images.length > 0 && (
+                <div className="grid grid-cols-2 sm:grid-cols-4 gap-2 mb-2">
+                    {images.map((image, index) => (
+                        <div key={image.previewUrl} className="relative bg-gray-700 rounded-lg overflow-hidden">
+                            <img src={image.previewUrl} alt={image.file.name} className="w-full h-24 object-cover"/>
+                            {index === 0 && <span className="absolute top-1 left-1 bg-purple-600 text-white text-xs font-bold px-2 py-0.5 rounded-full">Cover</span>}
+                            <div className="flex justify-between bg-gray-900/80 text-gray-300">
+                                <button type="button" onClick={() => move(index, index - 1)} disabled={index === 0} className="px-2 hover:text-white disabled:text-gray-600" aria-label="Move earlier">&larr;</button>
+                                <button type="button" onClick={() => remove(index)} className="px-2 hover:text-red-400" aria-label="Remove">&times;</button>
+                                <button type="button" onClick={() => move(index, index + 1)} disabled={index === images.length - 1} className="px-2 hover:text-white disabled:text-gray-600" aria-label="Move later">&rarr;</button>
+                            </div>
+                        </div>
+                    ))}
+                </div>
+            )}
+            {images.length < MAX_RAFFLE_IMAGES && (
+                <input type="file" accept="image/jpeg,image/png,image/webp" multiple
+                    onChange={(e) => { addFiles([...e.target.files]); e.target.value = ''; }}
+                    className="w-full text-gray-300 file:mr-4 file:py-2 file:px-4 file:rounded-full file:border-0 file:text-sm file:font-semibold file:bg-purple-600 file:text-white hover:file:bg-purple-700"/>
+            )}
+            {problem && <p className="text-red-500 text-sm mt-1">{problem}</p>}
+        </div>
+    );
+};
+
+// The selected image at card size, linking to the full variant, with a strip of thumbnails to pick from.
+const Gallery = ({ raffle }) => {
+    const images = raffleImages(raffle);
+    const [selected, setSelected] = useState(0);
+    const image = images[Math.min(selected, images.length - 1)];
+    if (!image) return <img src="https://placehold.co/800x400/1f2937/3c3c3c?text=No+Image" alt={raffle.name} className="w-full h-64 object-cover rounded-lg mb-6"/>;
+
+    return (
+        <div className="mb-6">
+            <a href={image.fullUrl} target="_blank" rel="noreferrer">
+                <img src={image.cardUrl} alt={raffle.name} className="w-full h-64 sm:h-96 object-contain bg-gray-900 rounded-lg"/>
+            </a>
+            {images.length > 1 && (
+                <div className="mt-2 flex gap-2 overflow-x-auto">
+                    {images.map((thumb, index) => (
+                        <button key={thumb.id} type="button" onClick={() => setSelected(index)}
+                            className={`flex-shrink-0 rounded-lg overflow-hidden ring-2 ${thumb === image ? 'ring-purple-500' : 'ring-transparent hover:ring-gray-500'}`}>
+                            <img src={thumb.thumbUrl} alt={`${raffle.name} (${index + 1} of ${images.length})`} className="w-20 h-20 object-cover"/>
+                        </button>
+                    ))}
+                </div>
+            )}
+        </div>
+    );
+};
+
+// --- Creator Profiles ---
+// Raffles refer to their creator by uid, and every card and page reads the creator's current profile,
+// so edits show up everywhere at once. A page of cards by one creator shares a single profile
+// listener (see watchSharedProfile). Older raffles carry a `creatorProfile` copy from when they were
+// created, which is shown only until the live profile loads.
+const useCreatorProfile = (raffle) => {
+    const [profile, setProfile] = useState(undefined);
+
+    useEffect(() => {
+        setProfile(undefined);
+        return watchSharedProfile(raffle.creatorId, (creator) => setProfile(creator instanceof Error ? null : creator));
+    }, [raffle.creatorId]);
+
+    return profile === undefined ? raffle.creatorProfile || null : profile;
+};
+
+const Avatar = ({ profile, className = 'w-10 h-10' }) => (profile?.avatarUrl
+    ? <img src={profile.avatarUrl} alt={profile.displayName} className={`${className} rounded-full object-cover bg-gray-700`}/>
+    : <div aria-hidden="true" className={`${className} rounded-full bg-purple-800 flex items-center justify-center font-bold text-white`}>{(profile?.displayName || '?').trim().charAt(0).toUpperCase()}</div>);
+
+const CreatorSummary = ({ raffle }) => {
+    const creator = useCreatorProfile(raffle);
+    return (
+        <div className="bg-gray-900/50 p-4 rounded-lg mb-4 flex items-center gap-4">
+            <Avatar profile={creator} className="w-14 h-14 flex-shrink-0" />
+            <div>
+                <h4 className="font-semibold text-gray-300">About the Creator</h4>
+                <Link to={`/u/${raffle.creatorId}`} className="font-bold text-white hover:underline">{creator?.displayName || 'Unknown Creator'}</Link>
+                <p className="text-sm text-gray-400 whitespace-pre-wrap">{creator?.bio}</p>
+            </div>
+        </div>
+    );
+};
+
+// --- Raffle Card ---
+const RaffleCard = ({ raffle }) => {
+    const creator = useCreatorProfile(raffle);
+    return (
+        <Link to={`/raffles/${raffle.id}`} className="block bg-gray-800 rounded-xl shadow-lg overflow-hidden transform hover:scale-105 transition-transform duration-300">
+            <img src={raffleImages(raffle)[0]?.thumbUrl || 'https://placehold.co/600x300/1f2937/3c3c3c?text=No+Image'} alt={raffle.name} className="w-full h-48 object-cover"/>
+            <div className="p-6">
+                <div className="flex justify-between items-start">
+                    <h3 className="text-2xl font-bold text-purple-300">{raffle.name}</h3>
+                    <p className="text-xl font-bold text-green-400">{formatMoney(ticketPriceCents(raffle), raffleCurrency(raffle))}</p>
+                </div>
+                <div className="flex items-center gap-2 text-sm text-gray-400">
+                    <Avatar profile={creator} className="w-6 h-6 text-xs" />
+                    <span>by {creator?.displayName || 'Unknown Creator'}</span>
+                </div>
+                <div className="mt-2 flex items-center gap-3 text-sm text-gray-400">
+                    <StatusBadge raffle={raffle} />
+                    {raffle.endsAt && raffleStatus(raffle) === RAFFLE_STATUS.OPEN && <span>Ends {formatDateTime(raffle.endsAt)}</span>}
+                </div>
+                <p className="mt-2 text-gray-300 truncate">{raffle.description}</p>
+            </div>
+        </Link>
+    );
+};
+
+// The raffles `creatorId` has created, newest first, a page at a time: `loadMore` widens the live query
+// by another page.
+const CREATOR_RAFFLES_PAGE_SIZE = 20;
+
+const useCreatorRaffles = (creatorId) => {
+    const [count, setCount] = useState(CREATOR_RAFFLES_PAGE_SIZE);
+    const [raffles, setRaffles] = useState([]);
+
+    useEffect(() => setCount(CREATOR_RAFFLES_PAGE_SIZE), [creatorId]);
+
+    useEffect(() => services.raffles.watchByCreator(creatorId, count, setRaffles, (error) => {
+        console.error("Error loading the creator's raffles: ", error);
+    }), [creatorId, count]);
+
+    const hasMore = raffles.length === count;
+    const loadMore = useCallback(() => setCount((current) => current + CREATOR_RAFFLES_PAGE_SIZE), []);
+    return { raffles, hasMore, loadMore };
+};
+
+const LoadMoreButton = ({ onClick }) => (
+    <button onClick={onClick} className="w-full bg-gray-800 hover:bg-gray-700 text-gray-300 font-bold py-3 px-6 rounded-lg">Load more</button>
+);
+
+// --- Public Profile ---
+// The track record counts drawn and cancelled raffles on the server, since only a page of them is
+// loaded, and paid and refunded tickets from the creator's public stats, which the server books
+// alongside the creator's sales ledger (functions/src/ledger.js).
+const PAST_STATUSES = [RAFFLE_STATUS.DRAWN, RAFFLE_STATUS.CANCELLED];
+
+const TrackRecord = ({ creatorId, stats }) => {
+    const [counts, setCounts] = useState({});
+
+    useEffect(() => {
+        let cancelled = false;
+        setCounts({});
+        Promise.all(PAST_STATUSES.map((status) => services.raffles.countByCreator(creatorId, status)))
+            .then(([drawnCount, cancelledCount]) => !cancelled && setCounts({ drawn: drawnCount, cancelled: cancelledCount }))
+            .catch((error) => console.error("Error counting the creator's raffles: ", error));
+        return () => {
+            cancelled = true;
+        };
+    }, [creatorId]);
+
+    const ticketsSold = stats?.ticketsSold || 0;
+    const refundRate = ticketsSold ? `${Math.round(((stats.ticketsRefunded || 0) / ticketsSold) * 1000) / 10}%` : '—';
+    return (
+        <div className="grid grid-cols-2 sm:grid-cols-4 gap-4">
+            {[['Raffles Completed', counts.drawn ?? '—'], ['Raffles Cancelled', counts.cancelled ?? '—'], ['Tickets Sold', ticketsSold], ['Refund Rate', refundRate]].map(([label, value]) => (
+                <div key={label} className="bg-gray-800 p-4 rounded-xl">
+                    <p className="text-sm text-gray-400">{label}</p>
+                    <p className="text-2xl font-bold text-white">{value}</p>
+                </div>
+            ))}
+        </div>
+    );
+};
+
+const PublicProfile = () => {
+    const { uid } = useParams();
+    const { data: profile, loading } = useLiveDoc(services.profiles.watch, uid);
+    const { data: stats } = useLiveDoc(services.profiles.watchStats, uid);
+    const { raffles, hasMore, loadMore } = useCreatorRaffles(uid);
+
+    if (loading) return <p className="text-center text-gray-400">Loading profile...</p>;
+    if (!profile) return <NotFound message="This user doesn't exist." />;
+    const active = raffles.filter((raffle) => !PAST_STATUSES.includes(raffleStatus(raffle)));
+    const past = raffles.filter((raffle) => PAST_STATUSES.includes(raffleStatus(raffle)));
+    return (
+        <div className="space-y-6">
+            <div className="bg-gray-800 p-6 rounded-xl shadow-lg flex items-center gap-6">
+                <Avatar profile={profile} className="w-24 h-24 text-3xl flex-shrink-0" />
+                <div>
+                    <h2 className="text-3xl font-bold text-purple-300">{profile.displayName}</h2>
+                    <p className="mt-2 text-gray-400 whitespace-pre-wrap">{profile.bio}</p>
+                </div>
+            </div>
+            <TrackRecord creatorId={uid} stats={stats} />
+            <div className="flex justify-between items-center">
+                <h3 className="text-xl font-bold text-gray-300">Active Raffles by {profile.displayName}</h3>
+                <Link to={`/raffles?creator=${uid}`} className="text-purple-400 hover:underline text-sm">Search and filter</Link>
+            </div>
+            {active.map((raffle) => <RaffleCard key={raffle.id} raffle={raffle} />)}
+            {active.length === 0 && <p className="text-gray-500">No active raffles.</p>}
+            {past.length > 0 && (
+                <>
+                    <h3 className="text-xl font-bold text-gray-300">Past Raffles</h3>
+                    {past.map((raffle) => <RaffleCard key={raffle.id} raffle={raffle} />)}
+                </>
+            )}
+            {hasMore && <LoadMoreButton onClick={loadMore} />}
+        </div>
+    );
+};
+
+// --- Raffle Browser ---
+// Filters, sort order and search live in the URL query string, so a filtered list can be shared or
+// bookmarked.
+const RAFFLES_PAGE_SIZE = 12;
+
+const RAFFLE_SORTS = {
+    newest: { label: 'Newest', field: 'createdAt', direction: 'desc' },
+    ending: { label: 'Ending Soon', field: 'endsAt', direction: 'asc' },
+    price_asc: { label: 'Price: Low to High', field: 'ticketPriceCents', direction: 'asc' },
+    price_desc: { label: 'Price: High to Low', field: 'ticketPriceCents', direction: 'desc' },
+    popular: { label: 'Most Popular', field: 'entryCount', direction: 'desc' },
+};
+
+const RAFFLE_FILTER_KEYS = ['q', 'status', 'creator', 'currency', 'min', 'max', 'sort'];
+
+// Prices are stored in each raffle's minor units, so a price range only means something within one
+// currency and is ignored until one is chosen.
+const priceFilterCents = (amount, currency) => {
+    if (!currency) return null;
+    const cents = toMinorUnits(amount, currency);
+    return Number.isFinite(cents) && cents >= 0 ? cents : null;
+};
+
+// The URL's filters as services.raffles.list takes them.
+const raffleListFilters = (filters) => {
+    const { field, direction } = RAFFLE_SORTS[filters.sort] || RAFFLE_SORTS.newest;
+    return {
+        searchTerm: normalizeSearch(filters.q),
+        status: filters.status,
+        creatorId: filters.creator,
+        currency: filters.currency,
+        minPriceCents: priceFilterCents(filters.min, filters.currency),
+        maxPriceCents: priceFilterCents(filters.max, filters.currency),
+        sortField: field,
+        sortDirection: direction,
+        pageSize: RAFFLES_PAGE_SIZE,
+    };
+};
+
+const RaffleBrowser = ({ userId }) => {
+    const [searchParams, setSearchParams] = useSearchParams();
+    const filters = useMemo(() => Object.fromEntries(RAFFLE_FILTER_KEYS.map((key) => [key, searchParams.get(key) || ''])), [searchParams]);
+    // Text fields apply on submit rather than on every keystroke.
+    const [draft, setDraft] = useState(filters);
+    const [raffles, setRaffles] = useState([]);
+    const [cursor, setCursor] = useState(null);
+    const [hasMore, setHasMore] = useState(false);
+    const [loadingPage, setLoadingPage] = useState(false);
+    const [error, setError] = useState(null);
+    const requestRef = useRef(0);
 
-// --- Stripe Components will be loaded dynamically ---
-let Elements, CardElement, useStripe, useElements;
+    useEffect(() => setDraft(filters), [filters]);
 
-// --- Stripe Payment Component ---
-const PaymentModal = ({ raffle, onClose, stripePromise }) => {
-    if (!stripePromise || !Elements) {
-        return (
-             <div className="fixed inset-0 bg-black bg-opacity-75 flex items-center justify-center z-50 p-4">
-                <div className="bg-gray-800 p-8 rounded-xl shadow-2xl w-full max-w-md relative text-center">
-                    <p className="text-white">Loading Payment Form...</p>
+    const loadPage = useCallback(async (after) => {
+        // A slow page for filters the user has already changed must not overwrite the new results.
+        const request = requestRef.current + 1;
+        requestRef.current = request;
+        setLoadingPage(true);
+        setError(null);
+        try {
+            const { raffles: page, cursor: nextCursor } = await services.raffles.list(raffleListFilters(filters), after);
+            if (request !== requestRef.current) return;
+            setRaffles((loaded) => (after ? [...loaded, ...page] : page));
+            setCursor(nextCursor);
+            setHasMore(page.length === RAFFLES_PAGE_SIZE);
+        } catch (queryError) {
+            if (request !== requestRef.current) return;
+            console.error("Error loading raffles: ", queryError);
+            setError('Could not load raffles. Please try again.');
+        }
+        setLoadingPage(false);
+    }, [filters]);
+
+    useEffect(() => {
+        loadPage(null);
+    }, [loadPage]);
+
+    const applyFilters = (changes) => {
+        const next = new URLSearchParams(searchParams);
+        Object.entries(changes).forEach(([key, value]) => (value ? next.set(key, value) : next.delete(key)));
+        setSearchParams(next);
+    };
+
+    const handleSubmit = (event) => {
+        event.preventDefault();
+        applyFilters({ q: draft.q.trim(), min: draft.min, max: draft.max });
+    };
+
+    const inputClass = 'bg-gray-700 p-2 rounded-lg text-white focus:outline-none focus:ring-2 focus:ring-purple-500';
+    const filtered = RAFFLE_FILTER_KEYS.some((key) => key !== 'sort' && filters[key]);
+    const priceStep = filters.currency ? 10 ** -minorUnitDigits(filters.currency) : 1;
+    const priceTitle = filters.currency ? undefined : 'Choose a currency to filter by price';
+
+    return (
+        <div className="space-y-6">
+            <form onSubmit={handleSubmit} className="bg-gray-800 p-4 rounded-xl space-y-3">
+                <div className="flex gap-2">
+                    <input type="search" value={draft.q} onChange={(e) => setDraft({ ...draft, q: e.target.value })} placeholder="Search raffles by name" className={`flex-1 ${inputClass}`}/>
+                    <button type="submit" className="bg-purple-600 hover:bg-purple-700 text-white font-bold py-2 px-4 rounded-lg">Search</button>
+                </div>
+                <div className="flex flex-wrap gap-2 items-center text-sm">
+                    <select value={filters.status} onChange={(e) => applyFilters({ status: e.target.value })} className={inputClass}>
+                        <option value="">Any status</option>
+                        {Object.entries(STATUS_LABELS).map(([status, label]) => <option key={status} value={status}>{label}</option>)}
+                    </select>
+                    <select value={filters.creator} onChange={(e) => applyFilters({ creator: e.target.value })} className={inputClass}>
+                        <option value="">Any creator</option>
+                        <option value={userId}>My raffles</option>
+                        {filters.creator && filters.creator !== userId && <option value={filters.creator}>This creator</option>}
+                    </select>
+                    <select value={filters.currency} onChange={(e) => applyFilters({ currency: e.target.value, ...(!e.target.value && { min: '', max: '' }) })} className={inputClass}>
+                        <option value="">Any currency</option>
+                        {SUPPORTED_CURRENCIES.map((currency) => <option key={currency} value={currency}>{currency}</option>)}
+                    </select>
+                    <input type="number" value={draft.min} onChange={(e) => setDraft({ ...draft, min: e.target.value })} placeholder="Min price" min="0" step={priceStep} disabled={!filters.currency} title={priceTitle} className={`w-24 disabled:opacity-50 ${inputClass}`}/>
+                    <input type="number" value={draft.max} onChange={(e) => setDraft({ ...draft, max: e.target.value })} placeholder="Max price" min="0" step={priceStep} disabled={!filters.currency} title={priceTitle} className={`w-24 disabled:opacity-50 ${inputClass}`}/>
+                    <select value={filters.sort || 'newest'} onChange={(e) => applyFilters({ sort: e.target.value === 'newest' ? '' : e.target.value })} className={`ml-auto ${inputClass}`}>
+                        {Object.entries(RAFFLE_SORTS).map(([sort, { label }]) => <option key={sort} value={sort}>{label}</option>)}
+                    </select>
                 </div>
+                {filtered && (
+                    <button type="button" onClick={() => setSearchParams(filters.sort ? { sort: filters.sort } : {})} className="text-purple-400 hover:underline text-sm">Clear filters</button>
+                )}
+            </form>
+            {raffles.map((raffle) => <RaffleCard key={raffle.id} raffle={raffle} />)}
+            {error && <p className="text-center text-red-400">{error}</p>}
+            {!loadingPage && !error && raffles.length === 0 && (
+                <p className="text-center text-gray-500">{filtered ? 'No raffles match these filters.' : 'No raffles yet. Create the first one!'}</p>
+            )}
+            {loadingPage && <p className="text-center text-gray-400">Loading raffles...</p>}
+            {hasMore && !loadingPage && <LoadMoreButton onClick={() => loadPage(cursor)} />}
+        </div>
+    );
+};
+
+// --- CSV Export ---
+// Text cells that a spreadsheet would read as a formula are prefixed with an apostrophe.
+const csvCell = (value) => {
+    if (value === null || value === undefined) return '';
+    const text = typeof value === 'string' && /^[=+\-@]/.test(value) ? `'${value}` : String(value);
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+const downloadCsv = (filename, header, rows) => {
+    const csv = [header, ...rows].map((row) => row.map(csvCell).join(',')).join('\r\n');
+    const url = URL.createObjectURL(new Blob([csv], { type: 'text/csv;charset=utf-8' }));
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = filename;
+    link.click();
+    URL.revokeObjectURL(url);
+};
+
+const isoTime = (time) => (time ? new Date(toMillis(time)).toISOString() : '');
+
+const csvFilename = (raffle, kind) => `${raffle.name.replace(/[^\w-]+/g, '-').toLowerCase()}-${raffle.id}-${kind}.csv`;
+
+// Emails come from the creator's own roster of entrants; the public entries don't carry them.
+const fetchEntrantEmails = async (raffle) => {
+    const entrants = await services.raffles.getEntrants(raffle.creatorId, raffle.id);
+    return Object.fromEntries(entrants.map((entrant) => [entrant.id, entrant.email]));
+};
+
+const exportEntriesCsv = async (raffle) => {
+    const [entries, emails] = await Promise.all([services.raffles.allEntries(raffle.id), fetchEntrantEmails(raffle)]);
+    downloadCsv(csvFilename(raffle, 'entries'),
+        ['Entry ID', 'User ID', 'Email', 'Payment ID', 'Entered At', 'Refund Status'],
+        entries.map((entry) => [entry.id, entry.userId, emails[entry.userId], entry.paymentIntentId, isoTime(entry.createdAt), entry.refundStatus]));
+};
+
+// One row per winner, each carrying the audit values needed to recompute the draw.
+const exportDrawAuditCsv = async (raffle) => {
+    const audit = await services.raffles.getDrawAudit(raffle.id, raffle.drawId);
+    if (!audit) throw new Error('No audit record was found for this draw.');
+    const picks = audit.winners || [{ prizeIndex: 0, entryId: audit.winnerEntryId, poolIndex: audit.winnerIndex }];
+    const winners = winnersFor(raffle);
+    const prizes = prizesFor(raffle);
+    const emails = await fetchEntrantEmails(raffle);
+    downloadCsv(csvFilename(raffle, 'draw-audit'),
+        ['Prize Rank', 'Prize', 'Entry ID', 'User ID', 'Winner Email', 'Pick Index', 'Note', 'Entry Count', 'Algorithm', 'Seed Hash', 'Seed', 'Entries Hash', 'Committed At', 'Drawn At'],
+        picks.map((pick) => {
+            const winner = winners.find((w) => w.entryId === pick.entryId) || {};
+            return [pick.prizeIndex + 1, prizes[pick.prizeIndex]?.name, pick.entryId, winner.userId, emails[winner.userId], pick.poolIndex, '',
+                audit.entryCount, audit.algorithm, audit.seedHash, audit.seed, audit.entriesHash, isoTime(audit.committedAt), isoTime(audit.drawnAt)];
+        }).concat((audit.disqualifiedEntryIds || []).map((entryId) => ['', '', entryId, '', '', '', 'Passed over: ineligible',
+            audit.entryCount, audit.algorithm, audit.seedHash, audit.seed, audit.entriesHash, isoTime(audit.committedAt), isoTime(audit.drawnAt)])));
+};
+
+// --- Creator Dashboard ---
+// Sales figures come from the creator's ledger, which the server books as payments settle and refunds
+// go through (functions/src/ledger.js). Gross is what buyers paid; the platform fee was added on top of
+// the ticket price at checkout, so the net payout is the ticket revenue.
+const SALES_CHART_DAYS = 30;
+
+const SalesChart = ({ lines, currency }) => {
+    const today = new Date();
+    today.setHours(0, 0, 0, 0);
+    const days = Array.from({ length: SALES_CHART_DAYS }, (_, i) => {
+        const day = new Date(today);
+        day.setDate(today.getDate() - (SALES_CHART_DAYS - 1 - i));
+        return { start: day.getTime(), netCents: 0, tickets: 0 };
+    });
+    lines.forEach((line) => {
+        const day = [...days].reverse().find((d) => d.start <= toMillis(line.createdAt));
+        if (!day) return;
+        day.netCents += line.netCents;
+        day.tickets += line.quantity;
+    });
+    const maxCents = Math.max(...days.map((d) => d.netCents), 1);
+
+    return (
+        <div>
+            <div className="flex items-end gap-1 h-32">
+                {days.map((day) => (
+                    <div key={day.start} title={`${new Date(day.start).toLocaleDateString()}: ${day.tickets} tickets, ${formatMoney(day.netCents, currency)} net`}
+                        className="flex-1 bg-purple-500/70 hover:bg-purple-400 rounded-t" style={{ height: `${(Math.max(day.netCents, 0) / maxCents) * 100}%` }}/>
+                ))}
             </div>
-        );
-    }
-    
+            <div className="flex justify-between text-xs text-gray-500 mt-1">
+                <span>{new Date(days[0].start).toLocaleDateString()}</span>
+                <span>Today</span>
+            </div>
+        </div>
+    );
+};
+
+const CreatorDashboard = ({ userId }) => {
+    const { raffles, hasMore, loadMore } = useCreatorRaffles(userId);
+    const [sales, setSales] = useState({});
+    const [ledgerLines, setLedgerLines] = useState([]);
+    const [chartRaffleId, setChartRaffleId] = useState('');
+    const [chartCurrency, setChartCurrency] = useState('');
+    const [exporting, setExporting] = useState(null);
+
+    useEffect(() => services.account.watchRaffleSales(userId, setSales), [userId]);
+
+    useEffect(() => {
+        const since = new Date();
+        since.setDate(since.getDate() - SALES_CHART_DAYS);
+        return services.account.watchLedger(userId, since, setLedgerLines);
+    }, [userId]);
+
+    const handleExport = async (raffle, kind) => {
+        setExporting(`${raffle.id}-${kind}`);
+        try {
+            await (kind === 'entries' ? exportEntriesCsv(raffle) : exportDrawAuditCsv(raffle));
+        } catch (error) {
+            console.error("Error exporting CSV: ", error);
+            alert(`Failed to export: ${error.message}`);
+        }
+        setExporting(null);
+    };
+
+    const salesFor = (raffleId) => sales[raffleId] || { ticketsSold: 0, grossCents: 0, feeCents: 0, netCents: 0 };
+    // Amounts in different currencies can't be added up, so totals and the chart are per currency.
+    // Totals come from every raffle's sales, not just the page of raffles loaded below.
+    const salesCurrency = (raffleSales) => (raffleSales.currency || DEFAULT_CURRENCY).toUpperCase();
+    const currencies = [...new Set([...Object.values(sales).map(salesCurrency), ...raffles.map(raffleCurrency)])];
+    const totalsByCurrency = currencies.map((currency) => Object.values(sales)
+        .filter((raffleSales) => salesCurrency(raffleSales) === currency)
+        .reduce((sum, raffleSales) => ({
+            currency,
+            ticketsSold: sum.ticketsSold + (raffleSales.ticketsSold || 0),
+            grossCents: sum.grossCents + (raffleSales.grossCents || 0),
+            feeCents: sum.feeCents + (raffleSales.feeCents || 0),
+            netCents: sum.netCents + (raffleSales.netCents || 0),
+        }), { currency, ticketsSold: 0, grossCents: 0, feeCents: 0, netCents: 0 }));
+    const chartRaffle = raffles.find((raffle) => raffle.id === chartRaffleId);
+    const shownCurrency = chartRaffle ? raffleCurrency(chartRaffle) : (chartCurrency || currencies[0] || DEFAULT_CURRENCY);
+    const chartLines = chartRaffle
+        ? ledgerLines.filter((line) => line.raffleId === chartRaffleId)
+        : ledgerLines.filter((line) => (line.currency || DEFAULT_CURRENCY) === shownCurrency);
+
+    return (
+        <div className="space-y-6">
+            <h2 className="text-3xl font-bold text-purple-300">Creator Dashboard</h2>
+            {totalsByCurrency.map((totals) => (
+                <div key={totals.currency} className="grid grid-cols-2 sm:grid-cols-4 gap-4">
+                    {[['Tickets Sold', totals.ticketsSold], ['Gross Revenue', formatMoney(totals.grossCents, totals.currency)],
+                        ['Platform Fees', formatMoney(totals.feeCents, totals.currency)], ['Net Payout', formatMoney(totals.netCents, totals.currency)]].map(([label, value]) => (
+                        <div key={label} className="bg-gray-800 p-4 rounded-xl">
+                            <p className="text-sm text-gray-400">{label}{currencies.length > 1 && ` (${totals.currency})`}</p>
+                            <p className="text-2xl font-bold text-white">{value}</p>
+                        </div>
+                    ))}
+                </div>
+            ))}
+            <div className="bg-gray-800 p-6 rounded-xl">
+                <div className="flex justify-between items-center mb-4">
+                    <h3 className="text-xl font-bold text-gray-300">Net Sales, Last {SALES_CHART_DAYS} Days</h3>
+                    <div className="flex gap-2">
+                        {!chartRaffle && currencies.length > 1 && (
+                            <select value={shownCurrency} onChange={(e) => setChartCurrency(e.target.value)} className="bg-gray-700 p-2 rounded-lg text-sm text-white">
+                                {currencies.map((currency) => <option key={currency} value={currency}>{currency}</option>)}
+                            </select>
+                        )}
+                        <select value={chartRaffleId} onChange={(e) => setChartRaffleId(e.target.value)} className="bg-gray-700 p-2 rounded-lg text-sm text-white">
+                            <option value="">All raffles</option>
+                            {raffles.map((raffle) => <option key={raffle.id} value={raffle.id}>{raffle.name}</option>)}
+                        </select>
+                    </div>
+                </div>
+                <SalesChart lines={chartLines} currency={shownCurrency} />
+            </div>
+            <div className="bg-gray-800 p-6 rounded-xl overflow-x-auto">
+                <table className="w-full text-sm text-left">
+                    <thead className="text-gray-400">
+                        <tr>
+                            <th className="py-2 pr-4">Raffle</th>
+                            <th className="py-2 pr-4">Status</th>
+                            <th className="py-2 pr-4 text-right">Tickets</th>
+                            <th className="py-2 pr-4 text-right">Gross</th>
+                            <th className="py-2 pr-4 text-right">Fee</th>
+                            <th className="py-2 pr-4 text-right">Net Payout</th>
+                            <th className="py-2">Export</th>
+                        </tr>
+                    </thead>
+                    <tbody className="text-gray-300">
+                        {raffles.map((raffle) => {
+                            const raffleSales = salesFor(raffle.id);
+                            const money = (cents) => formatMoney(cents, raffleCurrency(raffle));
+                            return (
+                                <tr key={raffle.id} className="border-t border-gray-700">
+                                    <td className="py-2 pr-4"><Link to={`/raffles/${raffle.id}`} className="text-purple-300 hover:underline">{raffle.name}</Link></td>
+                                    <td className="py-2 pr-4"><StatusBadge raffle={raffle} /></td>
+                                    <td className="py-2 pr-4 text-right">{raffleSales.ticketsSold}</td>
+                                    <td className="py-2 pr-4 text-right">{money(raffleSales.grossCents)}</td>
+                                    <td className="py-2 pr-4 text-right">{money(raffleSales.feeCents)}</td>
+                                    <td className="py-2 pr-4 text-right font-bold text-green-400">
+                                        {money(raffleSales.netCents)}
+                                        {raffleSales.refundedCents > 0 && <span className="block text-xs font-normal text-gray-500">{money(raffleSales.refundedCents)} refunded</span>}
+                                    </td>
+                                    <td className="py-2 space-x-2 whitespace-nowrap">
+                                        <button onClick={() => handleExport(raffle, 'entries')} disabled={!raffle.entryCount || Boolean(exporting)} className="text-purple-400 hover:underline disabled:text-gray-600 disabled:no-underline">Entries</button>
+                                        <button onClick={() => handleExport(raffle, 'audit')} disabled={!raffle.drawId || Boolean(exporting)} className="text-purple-400 hover:underline disabled:text-gray-600 disabled:no-underline">Draw Audit</button>
+                                    </td>
+                                </tr>
+                            );
+                        })}
+                        {raffles.length === 0 && <tr><td colSpan="7" className="py-4 text-center text-gray-500">You haven't created any raffles yet.</td></tr>}
+                    </tbody>
+                </table>
+            </div>
+            {hasMore && <LoadMoreButton onClick={loadMore} />}
+        </div>
+    );
+};
+
+// --- My Tickets ---
+// Each purchase is recorded under the buyer and kept up to date by the payment webhook, so this page
+// never has to look through other people's raffles.
+const PURCHASES_PAGE_SIZE = 20;
+
+const PURCHASE_STATUS_LABELS = {
+    pending: ['Processing', 'text-yellow-300'],
+    succeeded: ['Paid', 'text-green-400'],
+    failed: ['Payment failed', 'text-red-400'],
+    rejected: ['Not entered', 'text-red-400'],
+};
+
+// `raffle` is undefined while it loads and null once it has been deleted.
+const PurchaseRow = ({ purchase, raffle }) => {
+    const loading = raffle === undefined;
+    const entryIds = purchase.entryIds || [];
+    const wins = raffle ? winnersFor(raffle).filter((winner) => entryIds.includes(winner.entryId)) : [];
+    const prizes = raffle ? prizesFor(raffle) : [];
+    const [statusLabel, statusClass] = PURCHASE_STATUS_LABELS[purchase.status] || [purchase.status, 'text-gray-400'];
+
     return (
-        <div className="fixed inset-0 bg-black bg-opacity-75 flex items-center justify-center z-50 p-4">
-            <div className="bg-gray-800 p-8 rounded-xl shadow-2xl w-full max-w-md relative">
-                <button onClick={onClose} className="absolute top-4 right-4 text-gray-400 hover:text-white text-2xl">&times;</button>
-                <h2 className="text-2xl font-bold text-center mb-4 text-purple-300">Buy Ticket for "{raffle?.name}"</h2>
-                <Elements stripe={stripePromise}>
-                    <CheckoutForm activeRaffle={raffle} setPaymentModalOpen={onClose} />
-                </Elements>
+        <div className={`bg-gray-800 p-4 rounded-xl shadow-lg ${wins.length ? 'ring-2 ring-yellow-400' : ''}`}>
+            <div className="flex justify-between items-start gap-4">
+                <div>
+                    {raffle || loading
+                        ? <Link to={`/raffles/${purchase.raffleId}`} className="text-xl font-bold text-purple-300 hover:underline">{raffle?.name || purchase.raffleName}</Link>
+                        : <p className="text-xl font-bold text-gray-400">{purchase.raffleName} (deleted)</p>}
+                    <p className="text-sm text-gray-400">
+                        {purchase.quantity || 1} ticket{(purchase.quantity || 1) === 1 ? '' : 's'}
+                        {purchase.createdAt && ` · bought ${formatDateTime(purchase.createdAt)}`}
+                    </p>
+                </div>
+                {raffle && <StatusBadge raffle={raffle} />}
+            </div>
+            {wins.length > 0 && (
+                <div className="mt-3 bg-yellow-500/20 p-3 rounded-lg">
+                    {wins.map((win) => (
+                        <p key={win.entryId} className="font-bold text-yellow-400">You won {prizes[win.prizeIndex]?.name || 'a prize'}!</p>
+                    ))}
+                </div>
+            )}
+            {raffle && raffleStatus(raffle) === RAFFLE_STATUS.DRAWN && !wins.length && purchase.status === 'succeeded' && (
+                <p className="mt-3 text-sm text-gray-400">Not a winner this time.</p>
+            )}
+            <div className="mt-3 flex flex-wrap justify-between gap-2 text-sm">
+                <span className="text-gray-300">
+                    {purchase.freeEntry
+                        ? 'Free entry'
+                        : <>{formatMoney(purchase.subtotalCents, purchase.currency)} + {formatMoney(purchase.feeCents, purchase.currency)} fee = <span className="font-bold">{formatMoney(purchase.totalCents, purchase.currency)}</span></>}
+                </span>
+                <span className="space-x-3">
+                    <span className={statusClass}>{statusLabel}</span>
+                    {purchase.refundStatus && (
+                        <span className="text-gray-400">{purchase.refundStatus === 'succeeded' ? 'Refunded' : `Refund ${purchase.refundStatus}`}</span>
+                    )}
+                </span>
             </div>
+            {(purchase.rejectionReason || purchase.failureMessage) && <p className="mt-1 text-xs text-gray-500">{purchase.rejectionReason || purchase.failureMessage}</p>}
         </div>
     );
 };
 
-const CheckoutForm = ({ activeRaffle, setPaymentModalOpen }) => {
-    const stripe = useStripe();
-    const elements = useElements();
-    const [error, setError] = useState(null);
-    const [processing, setProcessing] = useState(false);
-    const raffleCollectionRef = useRef(collection(db, 'artifacts', appId, 'public', 'data', 'raffles'));
+const MyTickets = ({ userId }) => {
+    const [purchases, setPurchases] = useState([]);
+    const [raffles, setRaffles] = useState({});
+    const [pageLimit, setPageLimit] = useState(PURCHASES_PAGE_SIZE);
+    const [loadingPage, setLoadingPage] = useState(true);
+    const requestedRaffleIdsRef = useRef(new Set());
+    const raffleIdsKey = [...new Set(purchases.map((purchase) => purchase.raffleId))].join(',');
 
-    const ticketPrice = parseFloat(activeRaffle?.ticketPrice || 0);
-    const platformFee = ticketPrice * 0.03;
-    const totalPrice = ticketPrice + platformFee;
+    // Listening to a growing window keeps every loaded purchase live as payments and refunds settle.
+    useEffect(() => {
+        setLoadingPage(true);
+        return services.account.watchPurchases(userId, pageLimit, (loaded) => {
+            setPurchases(loaded);
+            setLoadingPage(false);
+        });
+    }, [userId, pageLimit]);
 
-    const handleSubmit = async (event) => {
-        event.preventDefault();
-        setProcessing(true);
-        setError(null);
+    // Many purchases share a raffle, so each raffle is read once, when the first purchase of it loads,
+    // rather than watched from every row.
+    useEffect(() => {
+        const requested = requestedRaffleIdsRef.current;
+        const missing = raffleIdsKey.split(',').filter((raffleId) => raffleId && !requested.has(raffleId));
+        if (!missing.length) return;
+        missing.forEach((raffleId) => requested.add(raffleId));
+        services.raffles.getMany(missing)
+            .then((loaded) => setRaffles((current) => ({ ...current, ...loaded })))
+            .catch((error) => {
+                console.error("Error loading raffles: ", error);
+                missing.forEach((raffleId) => requested.delete(raffleId));
+            });
+    }, [raffleIdsKey]);
 
-        if (!stripe || !elements) {
-            setProcessing(false);
-            return;
+    return (
+        <div className="space-y-4">
+            <h2 className="text-3xl font-bold text-purple-300">My Tickets</h2>
+            {purchases.map((purchase) => <PurchaseRow key={purchase.id} purchase={purchase} raffle={raffles[purchase.raffleId]} />)}
+            {!loadingPage && purchases.length === 0 && (
+                <p className="text-gray-500">You haven't bought any tickets yet. <Link to="/raffles" className="text-purple-400 hover:underline">Browse raffles</Link></p>
+            )}
+            {loadingPage && <p className="text-center text-gray-400">Loading tickets...</p>}
+            {!loadingPage && purchases.length === pageLimit && <LoadMoreButton onClick={() => setPageLimit(pageLimit + PURCHASES_PAGE_SIZE)} />}
+        </div>
+    );
+};
+
+// --- Notifications ---
+// Written by Cloud Functions (functions/src/notifications.js); the client only marks them read
+// and edits the preferences that decide which ones arrive.
+const NOTIFICATIONS_PAGE_SIZE = 50;
+const UNREAD_BADGE_LIMIT = 99;
+
+const useUnreadCount = (userId) => {
+    const [count, setCount] = useState(0);
+
+    useEffect(() => {
+        if (!userId) {
+            setCount(0);
+            return undefined;
+        }
+        return services.account.watchUnreadCount(userId, UNREAD_BADGE_LIMIT + 1, setCount);
+    }, [userId]);
+
+    return count;
+};
+
+const NotificationInbox = ({ userId }) => {
+    const [notifications, setNotifications] = useState([]);
+    const [loadingInbox, setLoadingInbox] = useState(true);
+    const navigate = useNavigate();
+
+    useEffect(() => {
+        return services.account.watchNotifications(userId, NOTIFICATIONS_PAGE_SIZE, (loaded) => {
+            setNotifications(loaded);
+            setLoadingInbox(false);
+        });
+    }, [userId]);
+
+    const openNotification = async (notification) => {
+        if (!notification.read) await services.account.markNotificationsRead(userId, [notification.id]);
+        if (notification.link) navigate(notification.link);
+    };
+
+    const markAllRead = async () => {
+        const unreadIds = notifications.filter((notification) => !notification.read).map((notification) => notification.id);
+        await services.account.markNotificationsRead(userId, unreadIds);
+    };
+
+    return (
+        <div className="space-y-4">
+            <div className="flex justify-between items-center">
+                <h2 className="text-3xl font-bold text-purple-300">Notifications</h2>
+                {notifications.some((notification) => !notification.read) && (
+                    <button onClick={markAllRead} className="text-purple-400 hover:underline text-sm">Mark all as read</button>
+                )}
+            </div>
+            {notifications.map((notification) => (
+                <button key={notification.id} onClick={() => openNotification(notification)}
+                    className={`block w-full text-left p-4 rounded-xl ${notification.read ? 'bg-gray-800/60' : 'bg-gray-800 ring-1 ring-purple-500'}`}>
+                    <div className="flex justify-between gap-4">
+                        <p className="font-bold text-white">{notification.title}</p>
+                        {notification.createdAt && <span className="text-xs text-gray-500 whitespace-nowrap">{formatDateTime(notification.createdAt)}</span>}
+                    </div>
+                    <p className="text-sm text-gray-400">{notification.body}</p>
+                </button>
+            ))}
+            {!loadingInbox && notifications.length === 0 && <p className="text-gray-500">You're all caught up.</p>}
+        </div>
+    );
+};
+
+// Each toggle saves as soon as it changes.
+const NotificationSettings = ({ userId }) => {
+    const { data: prefs } = useLiveDoc(services.account.watchNotificationPrefs, userId);
+
+    const toggle = async (type, channel, enabled) => {
+        try {
+            await services.account.saveNotificationPrefs(userId, { [type]: { [channel]: enabled } });
+        } catch (error) {
+            console.error("Error saving notification preferences: ", error);
+            alert("Failed to save your notification preferences. Please try again.");
         }
+    };
+
+    return (
+        <div className="mt-8 border-t border-gray-700 pt-6">
+            <h3 className="text-xl font-bold mb-4 text-purple-300">Notifications</h3>
+            <table className="w-full text-sm text-left text-gray-300">
+                <thead className="text-gray-400">
+                    <tr>
+                        <th className="py-2"></th>
+                        {Object.entries(NOTIFICATION_CHANNELS).map(([channel, label]) => <th key={channel} className="py-2 text-center">{label}</th>)}
+                    </tr>
+                </thead>
+                <tbody>
+                    {Object.entries(NOTIFICATION_TYPES).map(([type, label]) => {
+                        const channels = notificationChannels(prefs, type);
+                        return (
+                            <tr key={type} className="border-t border-gray-700">
+                                <td className="py-2">{label}</td>
+                                {Object.keys(NOTIFICATION_CHANNELS).map((channel) => (
+                                    <td key={channel} className="py-2 text-center">
+                                        <input type="checkbox" checked={channels[channel]} onChange={(e) => toggle(type, channel, e.target.checked)} aria-label={`${label}: ${NOTIFICATION_CHANNELS[channel]}`}/>
+                                    </td>
+                                ))}
+                            </tr>
+                        );
+                    })}
+                </tbody>
+            </table>
+        </div>
+    );
+};
 
-        const cardElement = elements.getElement(CardElement);
-        const { error: paymentMethodError, paymentMethod } = await stripe.createPaymentMethod({ type: 'card', card: cardElement });
+// --- Eligibility and Official Rules ---
+// What the entrant declares here is private to them and the server, which checks it against a
+// raffle's rules at entry and again for each winner at the draw (see src/shared/eligibility.js).
+const EligibilitySettings = ({ userId }) => {
+    const { data: eligibility } = useLiveDoc(services.account.watchEligibility, userId);
+    const [birthDate, setBirthDate] = useState('');
+    const [region, setRegion] = useState('');
+    const [saving, setSaving] = useState(false);
 
-        if (paymentMethodError) {
-            setError(paymentMethodError.message);
-            setProcessing(false);
+    useEffect(() => {
+        setBirthDate(eligibility?.birthDate || '');
+        setRegion(eligibility?.region || '');
+    }, [eligibility]);
+
+    const save = async (e) => {
+        e.preventDefault();
+        const [code] = parseRegions(region);
+        if (!birthDate || !code) {
+            alert("Please enter your date of birth and a region code such as US-CA or GB.");
             return;
         }
-        
-        console.log('Stripe PaymentMethod:', paymentMethod);
-        console.log(`Simulating charge for: $${totalPrice.toFixed(2)}`);
-
-        const user = auth.currentUser;
-        if (activeRaffle && user) {
-            const updatedEntries = [...activeRaffle.entries, { name: user.email, id: crypto.randomUUID(), userId: user.uid }];
-            const raffleDocRef = doc(raffleCollectionRef.current, activeRaffle.id);
-            try {
-                await updateDoc(raffleDocRef, { 
-                    entries: updatedEntries,
-                    ticketsSold: (activeRaffle.ticketsSold || 0) + 1
-                });
-                setPaymentModalOpen(false);
-            } catch (dbError) {
-                setError("Payment succeeded, but failed to save entry.");
-            }
+        setSaving(true);
+        try {
+            await services.account.saveEligibility(userId, { birthDate, region: code });
+        } catch (error) {
+            console.error("Error saving eligibility: ", error);
+            alert("Failed to save your details. Please try again.");
         }
-        setProcessing(false);
+        setSaving(false);
     };
 
     return (
-        <form onSubmit={handleSubmit} className="space-y-4">
-            <div className="bg-gray-700 p-4 rounded-lg space-y-2 text-white">
-                <div className="flex justify-between"><span>Ticket Price:</span> <span>${ticketPrice.toFixed(2)}</span></div>
-                <div className="flex justify-between text-sm text-gray-400"><span>Platform Fee (3%):</span> <span>${platformFee.toFixed(2)}</span></div>
-                <div className="flex justify-between font-bold text-lg border-t border-gray-600 pt-2 mt-2"><span>Total:</span> <span>${totalPrice.toFixed(2)}</span></div>
+        <form onSubmit={save} className="mt-8 border-t border-gray-700 pt-6 space-y-4">
+            <div>
+                <h3 className="text-xl font-bold text-purple-300">Eligibility</h3>
+                <p className="text-sm text-gray-400">Some raffles are limited by age or region. Only you and the draw can see these details.</p>
             </div>
-            <div className="p-4 bg-gray-700 rounded-lg">
-                {CardElement && <CardElement options={{
-                    style: {
-                        base: { color: '#FFFFFF', fontFamily: '"Helvetica Neue", Helvetica, sans-serif', '::placeholder': { color: '#aab7c4' } },
-                        invalid: { color: '#fa755a', iconColor: '#fa755a' }
-                    }
-                }} />}
+            <div className="grid grid-cols-1 sm:grid-cols-2 gap-4">
+                <div>
+                    <label htmlFor="birth-date" className="block mb-1 font-semibold text-gray-300">Date of Birth</label>
+                    <input id="birth-date" type="date" value={birthDate} onChange={(e) => setBirthDate(e.target.value)} className="w-full bg-gray-700 p-3 rounded-lg focus:outline-none focus:ring-2 focus:ring-purple-500"/>
+                </div>
+                <div>
+                    <label htmlFor="region" className="block mb-1 font-semibold text-gray-300">Region (country or state code)</label>
+                    <input id="region" type="text" value={region} onChange={(e) => setRegion(e.target.value)} placeholder="US-CA" className="w-full bg-gray-700 p-3 rounded-lg focus:outline-none focus:ring-2 focus:ring-purple-500"/>
+                </div>
             </div>
-            {error && <div className="text-red-400 text-sm">{error}</div>}
-            <button type="submit" disabled={!stripe || processing} className="w-full bg-blue-600 hover:bg-blue-700 text-white font-bold py-3 px-6 rounded-lg transition-colors duration-300 disabled:bg-gray-600">
-                {processing ? 'Processing...' : `Pay $${totalPrice.toFixed(2)}`}
-            </button>
+            <button type="submit" disabled={saving} className="w-full bg-purple-600 hover:bg-purple-700 text-white font-bold py-3 px-6 rounded-lg disabled:bg-gray-600">{saving ? 'Saving...' : 'Save Eligibility'}</button>
         </form>
     );
 };
 
+// Official rules, eligibility and the two ways in: buying tickets or the free entry. Both need the
+// rules accepted first.
+const EntryPanel = ({ raffle, userId, blockReason, paymentsEnabled, onBuy }) => {
+    const { data: eligibility, loading } = useLiveDoc(services.account.watchEligibility, userId);
+    const [accepted, setAccepted] = useState(false);
+    const [freeEntry, setFreeEntry] = useState({ busy: false, message: null, error: null });
+    const problem = blockReason || (loading ? null : eligibilityProblem(raffle, eligibility));
+    const canEnter = accepted && !problem && !loading;
+
+    const enterForFree = async () => {
+        setFreeEntry({ busy: true, message: null, error: null });
+        try {
+            await services.raffles.enterForFree(raffle.id, accepted);
+            setFreeEntry({ busy: false, message: "You're in! Your free entry has the same chance to win as a paid ticket.", error: null });
+        } catch (error) {
+            const retryAt = error.details?.nextFreeEntryAt;
+            setFreeEntry({ busy: false, message: null, error: retryAt ? `${error.message} You can enter free again after ${formatDateTime(retryAt)}.` : error.message });
+        }
+    };
+
+    return (
+        <div className="mt-4 space-y-4">
+            <details className="bg-gray-900/50 p-4 rounded-lg">
+                <summary className="font-semibold text-gray-300 cursor-pointer">Official Rules</summary>
+                <p className="mt-2 text-sm text-gray-300 whitespace-pre-wrap">{raffle.officialRules || "The creator hasn't published official rules for this raffle."}</p>
+                <p className="mt-2 text-sm text-gray-400">
+                    No purchase necessary. You can enter once a day for free, with the same chance to win as a paid ticket. Void where prohibited.
+                </p>
+            </details>
+            <p className="text-sm text-gray-400">{describeEligibility(raffle)}</p>
+            <label className="flex items-start gap-2 text-gray-300">
+                <input type="checkbox" checked={accepted} onChange={(e) => setAccepted(e.target.checked)} className="mt-1"/>
+                <span>I have read and accept the official rules, and I meet the eligibility requirements.</span>
+            </label>
+            <div className="flex flex-col sm:flex-row gap-4">
+                <button onClick={() => onBuy(accepted)} disabled={!paymentsEnabled || !canEnter}
+                    className="flex-1 bg-green-600 hover:bg-green-700 text-white font-bold py-3 px-6 rounded-lg disabled:bg-gray-500 disabled:cursor-not-allowed">
+                    {paymentsEnabled ? 'Buy Tickets' : 'Payments Disabled'}
+                </button>
+                <button onClick={enterForFree} disabled={!canEnter || freeEntry.busy}
+                    className="flex-1 bg-gray-600 hover:bg-gray-500 text-white font-bold py-3 px-6 rounded-lg disabled:bg-gray-700 disabled:text-gray-400 disabled:cursor-not-allowed">
+                    {freeEntry.busy ? 'Entering...' : 'Enter for Free'}
+                </button>
+            </div>
+            {problem && (
+                <p className="text-center text-sm text-gray-400">
+                    {problem}
+                    {!blockReason && <> <Link to="/profile" className="text-purple-400 hover:underline">Update your eligibility details</Link></>}
+                </p>
+            )}
+            {freeEntry.message && <p className="text-center text-sm text-green-400">{freeEntry.message}</p>}
+            {freeEntry.error && <p className="text-center text-sm text-red-400">{freeEntry.error}</p>}
+        </div>
+    );
+};
 
 // --- Main App Component ---
 function App() {
     const [user, setUser] = useState(null);
     const [userProfile, setUserProfile] = useState({ displayName: '', bio: '' });
-    const [raffles, setRaffles] = useState([]);
-    const [view, setView] = useState('login');
-    const [detailRaffle, setDetailRaffle] = useState(null);
+    const [avatarUploading, setAvatarUploading] = useState(false);
+    const navigate = useNavigate();
+    const location = useLocation();
+    const unreadCount = useUnreadCount(user?.uid);
     
     const [email, setEmail] = useState('');
     const [password, setPassword] = useState('');
     const [newRaffleName, setNewRaffleName] = useState('');
     const [newRaffleDescription, setNewRaffleDescription] = useState('');
-    const [newRaffleImageFile, setNewRaffleImageFile] = useState(null);
+    const [newRaffleImages, setNewRaffleImages] = useState([]);
     const [newRaffleTicketPrice, setNewRaffleTicketPrice] = useState('');
+    const [newRaffleCurrency, setNewRaffleCurrency] = useState(DEFAULT_CURRENCY);
+    const [newRaffleStartsAt, setNewRaffleStartsAt] = useState('');
+    const [newRaffleEndsAt, setNewRaffleEndsAt] = useState('');
+    const [newRaffleMaxTickets, setNewRaffleMaxTickets] = useState('');
+    const [newRaffleMaxPerUser, setNewRaffleMaxPerUser] = useState('');
+    const [newRaffleBundles, setNewRaffleBundles] = useState([]);
+    const [newRafflePrizes, setNewRafflePrizes] = useState([]);
+    const [newRaffleAllowMultipleWins, setNewRaffleAllowMultipleWins] = useState(false);
+    const [newRaffleOfficialRules, setNewRaffleOfficialRules] = useState('');
+    const [newRaffleMinAge, setNewRaffleMinAge] = useState('');
+    const [newRaffleRegions, setNewRaffleRegions] = useState('');
     const [authError, setAuthError] = useState('');
     const [loading, setLoading] = useState(true);
 
     const [paymentModalOpen, setPaymentModalOpen] = useState(false);
     const [activeRaffleForPayment, setActiveRaffleForPayment] = useState(null);
+    const [paymentRulesAccepted, setPaymentRulesAccepted] = useState(false);
     
-    const [stripePromise, setStripePromise] = useState(null);
-    
-    const raffleCollectionRef = useRef(null);
-    const profileCollectionRef = useRef(null);
-    
-    // --- Dynamic Script Loading for Stripe ---
-    useEffect(() => {
-        if (window.Stripe) return; // Don't load again if it's already there
-
-        const scriptStripe = document.createElement('script');
-        scriptStripe.src = 'https://js.stripe.com/v3/';
-        scriptStripe.async = true;
-        document.body.appendChild(scriptStripe);
-
-        const scriptReactStripe = document.createElement('script');
-        scriptReactStripe.src = 'https://unpkg.com/@stripe/react-stripe-js@2.7.1/dist/react-stripe.umd.js';
-        scriptReactStripe.async = true;
-
-        scriptStripe.onload = () => {
-            document.body.appendChild(scriptReactStripe);
-        };
-
-        scriptReactStripe.onload = () => {
-            const stripeKey = 'pk_test_51Hh2YBEgC0X0g0g0g0g0g0g0g0g0g0g0g0g0g0g0g0g0g0g0g0g0g0g0g0g0g0g0g0g0g0g0g0g0g0g0g0g0g0g0g0g0g0g0g0g0g0g0';
-            const { loadStripe, Elements: Elem, CardElement: Card, useStripe: uStripe, useElements: uElem } = window.ReactStripe;
-            Elements = Elem;
-            CardElement = Card;
-            useStripe = uStripe;
-            useElements = uElem;
-            setStripePromise(loadStripe(stripeKey));
-        };
-    }, []);
-
     useEffect(() => {
-        if (!auth) {
-            console.error("Firebase is not initialized. App cannot function.");
-            setLoading(false);
-            return;
-        }
-        const unsubscribe = onAuthStateChanged(auth, async (currentUser) => {
+        const unsubscribe = services.auth.onChange(async (currentUser) => {
             if (currentUser) {
                 setUser(currentUser);
-                profileCollectionRef.current = collection(db, 'artifacts', appId, 'public', 'data', 'profiles');
-                const profileDocRef = doc(profileCollectionRef.current, currentUser.uid);
-                const profileSnap = await getDoc(profileDocRef);
-                if (profileSnap.exists()) {
-                    setUserProfile(profileSnap.data());
-                } else {
-                    const defaultProfile = { displayName: currentUser.email, bio: 'New RaffleHub user!' };
-                    await setDoc(profileDocRef, defaultProfile);
+                const existing = await services.profiles.get(currentUser.uid);
+                // New profiles, and ones from before entrants chose how they appear, start out under a masked
+                // handle, which the server fills in from the account's email; the email itself never goes
+                // into the public profile.
+                const handle = maskEmail(currentUser.email);
+                const nameChoice = { publicNameMode: DEFAULT_PUBLIC_NAME_MODE };
+                if (!existing) {
+                    const defaultProfile = { displayName: handle || 'RaffleHub user', bio: 'New RaffleHub user!', ...nameChoice };
+                    await services.profiles.create(currentUser.uid, defaultProfile);
                     setUserProfile(defaultProfile);
+                } else {
+                    const { id, ...profile } = existing;
+                    if (!profile.publicNameMode) {
+                        await services.profiles.update(currentUser.uid, nameChoice);
+                        setUserProfile({ ...profile, ...nameChoice });
+                    } else {
+                        setUserProfile(profile);
+                    }
                 }
-                setView('raffles');
             } else {
                 setUser(null);
-                setView('login');
             }
             setLoading(false);
         });
         return () => unsubscribe();
     }, []);
 
-    useEffect(() => {
-        if (user && db) {
-            raffleCollectionRef.current = collection(db, 'artifacts', appId, 'public', 'data', 'raffles');
-            const unsubscribe = onSnapshot(raffleCollectionRef.current, (snapshot) => {
-                const rafflesData = snapshot.docs.map(doc => ({ id: doc.id, ...doc.data() }));
-                setRaffles(rafflesData);
-            });
-            return () => unsubscribe();
-        }
-    }, [user]);
-    
     const handleSignUp = async (e) => {
         e.preventDefault();
         setLoading(true);
         setAuthError('');
         try {
-            await createUserWithEmailAndPassword(auth, email, password);
+            await services.auth.signUp(email, password);
         } catch (error) {
             setAuthError(error.message);
             setLoading(false);
@@ -267,7 +1623,7 @@ function App() {
         setLoading(true);
         setAuthError('');
         try {
-            await signInWithEmailAndPassword(auth, email, password);
+            await services.auth.signIn(email, password);
         } catch (error) {
             setAuthError(error.message);
             setLoading(false);
@@ -275,91 +1631,190 @@ function App() {
     };
 
     const handleLogout = async () => {
-        await signOut(auth);
+        await services.auth.signOut();
+        navigate('/login', { replace: true });
     };
 
     const handleProfileUpdate = async (e) => {
         e.preventDefault();
-        if (user && profileCollectionRef.current) {
-            const profileDocRef = doc(profileCollectionRef.current, user.uid);
-            await updateDoc(profileDocRef, userProfile);
+        if (user) {
+            // The handle is the server's to set.
+            const { handle, ...changes } = userProfile;
+            await services.profiles.update(user.uid, changes);
             alert("Profile updated!");
-            setView('raffles');
+            navigate('/raffles');
+        }
+    };
+
+    // The avatar goes through the same pipeline as raffle images and is saved with the rest of the profile.
+    const handleAvatarChange = async (file) => {
+        if (!file) return;
+        setAvatarUploading(true);
+        try {
+            const { thumbUrl } = await uploadImage(user.uid, file);
+            setUserProfile((profile) => ({ ...profile, avatarUrl: thumbUrl }));
+        } catch (error) {
+            console.error("Error uploading avatar: ", error);
+            alert(`Failed to upload avatar: ${error.message}`);
         }
+        setAvatarUploading(false);
     };
 
     const createRaffle = async () => {
-        const price = parseFloat(newRaffleTicketPrice);
-        if (newRaffleName.trim() === '' || isNaN(price) || price <= 0 || !newRaffleImageFile) {
-            alert("Please fill all fields, including a valid name, a positive ticket price, and an image.");
+        const priceCents = toMinorUnits(newRaffleTicketPrice, newRaffleCurrency);
+        if (newRaffleName.trim() === '' || !(priceCents > 0) || newRaffleImages.length === 0) {
+            alert("Please fill all fields, including a valid name, a positive ticket price, and at least one image.");
+            return;
+        }
+        // An empty start time opens the raffle right away.
+        const startsAt = newRaffleStartsAt ? new Date(newRaffleStartsAt) : new Date();
+        const endsAt = new Date(newRaffleEndsAt);
+        if (!newRaffleEndsAt || isNaN(endsAt) || endsAt <= startsAt || endsAt <= new Date()) {
+            alert("Please choose an end time in the future, after the start time.");
+            return;
+        }
+        const maxTickets = newRaffleMaxTickets ? parseInt(newRaffleMaxTickets, 10) : null;
+        const maxTicketsPerUser = newRaffleMaxPerUser ? parseInt(newRaffleMaxPerUser, 10) : null;
+        if ((maxTickets !== null && !(maxTickets > 0)) || (maxTicketsPerUser !== null && !(maxTicketsPerUser > 0))) {
+            alert("Ticket limits must be positive whole numbers, or left empty for no limit.");
+            return;
+        }
+        const bundles = newRaffleBundles.map((bundle) => ({ quantity: parseInt(bundle.quantity, 10), priceCents: toMinorUnits(bundle.price, newRaffleCurrency) }));
+        const invalidBundle = bundles.find((bundle) => !(bundle.quantity > 1 && bundle.quantity <= MAX_TICKETS_PER_PURCHASE) || !(bundle.priceCents > 0) || bundle.priceCents >= bundle.quantity * priceCents);
+        if (invalidBundle || new Set(bundles.map((bundle) => bundle.quantity)).size !== bundles.length) {
+            alert(`Each bundle needs a distinct ticket count from 2 to ${MAX_TICKETS_PER_PURCHASE} and a price below buying that many tickets separately.`);
+            return;
+        }
+        const prizeCounts = newRafflePrizes.map((prize) => parseInt(prize.winnerCount, 10));
+        if (newRafflePrizes.some((prize, i) => prize.name.trim() === '' || !(prizeCounts[i] >= 1 && prizeCounts[i] <= MAX_WINNERS_PER_PRIZE))) {
+            alert(`Each prize needs a name and between 1 and ${MAX_WINNERS_PER_PRIZE} winners.`);
+            return;
+        }
+        const officialRules = newRaffleOfficialRules.trim();
+        if (!officialRules || officialRules.length > MAX_OFFICIAL_RULES_LENGTH) {
+            alert(`Please publish official rules for your raffle (up to ${MAX_OFFICIAL_RULES_LENGTH} characters).`);
+            return;
+        }
+        const minAge = newRaffleMinAge ? parseInt(newRaffleMinAge, 10) : null;
+        const regions = parseRegions(newRaffleRegions);
+        const invalidRegion = newRaffleRegions.split(/[\s,]+/).filter(Boolean).some((code) => !REGION_PATTERN.test(code.toUpperCase()));
+        if ((minAge !== null && !(minAge >= 1 && minAge <= 120)) || invalidRegion || regions.length > MAX_ELIGIBLE_REGIONS) {
+            alert(`The minimum age must be a whole number of years, and regions up to ${MAX_ELIGIBLE_REGIONS} codes like US, US-CA or GB.`);
+            return;
+        }
+        const prizeImageProblem = newRafflePrizes.map((prize) => prize.imageFile && imageFileProblem(prize.imageFile)).find(Boolean);
+        if (prizeImageProblem) {
+            alert(prizeImageProblem);
             return;
         }
         setLoading(true);
         try {
-            const imageRef = ref(storage, `raffles/${appId}/${newRaffleImageFile.name + Date.now()}`);
-            const snapshot = await uploadBytes(imageRef, newRaffleImageFile);
-            const imageUrl = await getDownloadURL(snapshot.ref);
+            const images = await Promise.all(newRaffleImages.map((image) => uploadImage(user.uid, image.file)));
+            // Without explicit prizes the raffle has one prize: itself, with a single winner.
+            const prizes = await Promise.all(newRafflePrizes.map(async (prize, i) => ({
+                name: prize.name.trim(),
+                imageUrl: prize.imageFile ? (await uploadImage(user.uid, prize.imageFile)).thumbUrl : null,
+                winnerCount: prizeCounts[i],
+            })));
 
-            await addDoc(raffleCollectionRef.current, {
+            const raffleId = await services.raffles.create({
                 name: newRaffleName,
                 description: newRaffleDescription,
-                imageUrl: imageUrl,
-                ticketPrice: price.toFixed(2),
-                entries: [],
-                winner: null,
-                createdAt: new Date(),
+                images,
+                // The cover, for readers that predate `images`.
+                imageUrl: images[0].cardUrl,
+                ticketPriceCents: priceCents,
+                currency: newRaffleCurrency,
+                searchTerms: searchTermsFor(newRaffleName),
+                status: startsAt > new Date() ? RAFFLE_STATUS.DRAFT : RAFFLE_STATUS.OPEN,
+                startsAt,
+                endsAt,
+                maxTickets,
+                maxTicketsPerUser,
+                bundles: bundles.sort((a, b) => a.quantity - b.quantity),
+                prizes: prizes.length ? prizes : prizesFor({ name: newRaffleName, imageUrl: images[0].thumbUrl }),
+                allowMultipleWins: newRaffleAllowMultipleWins,
+                officialRules,
+                eligibility: { minAge, regions },
+                entryCount: 0,
+                ticketsSold: 0,
+                winners: [],
                 creatorId: user.uid,
-                creatorProfile: userProfile,
             });
 
             setNewRaffleName('');
             setNewRaffleDescription('');
-            setNewRaffleImageFile(null);
+            newRaffleImages.forEach((image) => URL.revokeObjectURL(image.previewUrl));
+            setNewRaffleImages([]);
             setNewRaffleTicketPrice('');
-            setView('raffles');
+            setNewRaffleStartsAt('');
+            setNewRaffleEndsAt('');
+            setNewRaffleMaxTickets('');
+            setNewRaffleMaxPerUser('');
+            setNewRaffleBundles([]);
+            setNewRafflePrizes([]);
+            setNewRaffleAllowMultipleWins(false);
+            setNewRaffleOfficialRules('');
+            setNewRaffleMinAge('');
+            setNewRaffleRegions('');
+            navigate(`/raffles/${raffleId}`);
         } catch (error) {
             console.error("Error creating raffle: ", error);
-            alert("Failed to create raffle. Please try again.");
+            alert(`Failed to create raffle: ${error.message}`);
         }
         setLoading(false);
     };
 
+    // The draw runs server-side so the seed stays secret until it is revealed.
     const drawWinner = async (raffleId) => {
-        const raffle = raffles.find(r => r.id === raffleId);
-        if (raffle && raffle.entries.length > 0) {
-            const winnerIndex = Math.floor(Math.random() * raffle.entries.length);
-            const winner = raffle.entries[winnerIndex];
-            const raffleDocRef = doc(raffleCollectionRef.current, raffleId);
-            await updateDoc(raffleDocRef, { winner: winner });
+        try {
+            await services.raffles.draw(raffleId);
+        } catch (error) {
+            console.error("Error drawing winner: ", error);
+            alert(`Failed to draw a winner: ${error.message}`);
         }
     };
     
-    const deleteRaffle = async (raffleId) => {
-        await deleteDoc(doc(raffleCollectionRef.current, raffleId));
-        setView('raffles');
+    // Raffles with entries are cancelled, and their paid entries refunded, server-side rather than deleted.
+    const deleteRaffle = async (raffle) => {
+        const message = raffle.entryCount
+            ? `"${raffle.name}" has ${raffle.entryCount} ${raffle.entryCount === 1 ? 'entry' : 'entries'}, paid and free. It will be cancelled and every paid entry refunded. Continue?`
+            : `Delete "${raffle.name}"? This cannot be undone.`;
+        if (!window.confirm(message)) return;
+        try {
+            const { outcome } = await services.raffles.remove(raffle.id);
+            if (outcome === 'deleted') navigate('/raffles', { replace: true });
+        } catch (error) {
+            console.error("Error deleting raffle: ", error);
+            alert(`Failed to delete the raffle: ${error.message}`);
+        }
     };
 
-    const openPaymentModal = (raffle) => {
+    // The server records the buyer's acceptance of the official rules with the purchase.
+    const openPaymentModal = (raffle, acceptedRules) => {
         setActiveRaffleForPayment(raffle);
+        setPaymentRulesAccepted(acceptedRules);
         setPaymentModalOpen(true);
     };
 
-    const navigate = (targetView, data = null) => {
-        if (targetView === 'detail') {
-            setDetailRaffle(data);
-        }
-        setView(targetView);
-    };
-    
     const renderNav = () => (
         <nav className="bg-gray-800 p-4 rounded-xl mb-8 flex justify-between items-center">
-            <div>
-                <button onClick={() => navigate('raffles')} className="text-xl font-bold text-purple-400 hover:text-purple-300">RaffleHub</button>
+            <div className="flex items-center gap-3">
+                <Link to="/raffles" className="text-xl font-bold text-purple-400 hover:text-purple-300">RaffleHub</Link>
+                {LOCAL_DEMO && <span title={LOCAL_DEMO_NOTE} className="text-xs font-bold uppercase px-2 py-1 rounded-full bg-yellow-500/30 text-yellow-300">Local Demo</span>}
             </div>
             {user && (
                 <div className="flex items-center gap-4">
-                    <button onClick={() => navigate('create')} className="bg-purple-600 hover:bg-purple-700 text-white font-bold py-2 px-4 rounded-lg">Create Raffle</button>
-                    <button onClick={() => navigate('profile')} className="text-gray-300 hover:text-white">{userProfile.displayName || 'My Profile'}</button>
+                    <Link to="/notifications" className="relative text-gray-300 hover:text-white" aria-label={`Notifications (${unreadCount} unread)`}>
+                        Inbox
+                        {unreadCount > 0 && (
+                            <span className="absolute -top-2 -right-4 bg-red-600 text-white text-xs font-bold rounded-full px-1.5">{unreadCount > UNREAD_BADGE_LIMIT ? `${UNREAD_BADGE_LIMIT}+` : unreadCount}</span>
+                        )}
+                    </Link>
+                    <Link to="/tickets" className="text-gray-300 hover:text-white">My Tickets</Link>
+                    <Link to="/dashboard" className="text-gray-300 hover:text-white">Dashboard</Link>
+                    <Link to="/create" className="bg-purple-600 hover:bg-purple-700 text-white font-bold py-2 px-4 rounded-lg">Create Raffle</Link>
+                    <Link to="/profile" className="text-gray-300 hover:text-white">{userProfile.displayName || 'My Profile'}</Link>
                     <button onClick={handleLogout} className="text-gray-400 hover:text-red-400">Logout</button>
                 </div>
             )}
@@ -378,84 +1833,100 @@ function App() {
                 </form>
                 <p className="text-center text-gray-400 mt-4">
                     {isLogin ? "Don't have an account?" : "Already have an account?"}
-                    <button onClick={() => setView(isLogin ? 'signup' : 'login')} className="text-purple-400 hover:underline ml-2">
+                    <Link to={isLogin ? '/signup' : '/login'} state={location.state} className="text-purple-400 hover:underline ml-2">
                         {isLogin ? 'Sign Up' : 'Login'}
-                    </button>
+                    </Link>
                 </p>
+                {LOCAL_DEMO && <p className="text-center text-xs text-yellow-300 mt-4">Local demo: {LOCAL_DEMO_NOTE}</p>}
             </div>
         </div>
     );
 
-    const renderRaffleList = () => (
-        <div className="space-y-6">
-            {raffles.sort((a, b) => b.createdAt?.toDate() - a.createdAt?.toDate()).map((raffle) => (
-                <div key={raffle.id} className="bg-gray-800 rounded-xl shadow-lg overflow-hidden cursor-pointer transform hover:scale-105 transition-transform duration-300" onClick={() => navigate('detail', raffle)}>
-                    <img src={raffle.imageUrl || 'https://placehold.co/600x300/1f2937/3c3c3c?text=No+Image'} alt={raffle.name} className="w-full h-48 object-cover"/>
-                    <div className="p-6">
-                        <div className="flex justify-between items-start">
-                            <h3 className="text-2xl font-bold text-purple-300">{raffle.name}</h3>
-                            <p className="text-xl font-bold text-green-400">${raffle.ticketPrice}</p>
-                        </div>
-                        <p className="text-sm text-gray-400">by {raffle.creatorProfile?.displayName || 'Unknown Creator'}</p>
-                        <p className="mt-2 text-gray-300 truncate">{raffle.description}</p>
-                    </div>
-                </div>
-            ))}
-        </div>
-    );
-    
-    const renderRaffleDetail = () => {
-        const raffle = detailRaffle;
-        if(!raffle) return null;
+    const renderRaffleDetail = (raffle) => {
+        const status = raffleStatus(raffle);
+        const remaining = ticketsRemaining(raffle);
+        const blockReason = purchaseBlockReason(raffle);
         return (
             <div className="bg-gray-800 p-6 rounded-xl shadow-lg">
-                <img src={raffle.imageUrl || 'https://placehold.co/800x400/1f2937/3c3c3c?text=No+Image'} alt={raffle.name} className="w-full h-64 object-cover rounded-lg mb-6"/>
+                <Gallery key={raffle.id} raffle={raffle} />
                 <div className="flex justify-between items-start mb-4">
                     <h3 className="text-4xl font-bold text-purple-300">{raffle.name}</h3>
-                    <p className="text-3xl font-bold text-green-400">${raffle.ticketPrice}</p>
-                </div>
-                <div className="bg-gray-900/50 p-4 rounded-lg mb-4">
-                    <h4 className="font-semibold text-gray-300">About the Creator</h4>
-                    <p className="font-bold text-white">{raffle.creatorProfile?.displayName}</p>
-                    <p className="text-sm text-gray-400">{raffle.creatorProfile?.bio}</p>
+                    <p className="text-3xl font-bold text-green-400">{formatMoney(ticketPriceCents(raffle), raffleCurrency(raffle))}</p>
                 </div>
+                <CreatorSummary key={raffle.id} raffle={raffle} />
                 <p className="text-gray-300 mb-6 whitespace-pre-wrap">{raffle.description}</p>
+                <div className="flex flex-wrap items-center gap-4 mb-4 text-sm text-gray-400">
+                    <StatusBadge raffle={raffle} />
+                    {raffle.startsAt && <span>Opens {formatDateTime(raffle.startsAt)}</span>}
+                    {raffle.endsAt && <span>Ends {formatDateTime(raffle.endsAt)}</span>}
+                    {remaining !== null && <span>{remaining} of {raffle.maxTickets} tickets left</span>}
+                    {raffle.maxTicketsPerUser && <span>Limit {raffle.maxTicketsPerUser} per person</span>}
+                    {bundleOptions(raffle).map((bundle) => (
+                        <span key={bundle.size} className="text-green-400">{bundle.size} for {formatMoney(bundle.cents, raffleCurrency(raffle))}</span>
+                    ))}
+                </div>
 
-                {raffle.winner ? (
-                    <div className="text-center bg-yellow-500/20 p-4 rounded-lg">
-                        <p className="text-lg">Winner:</p>
-                        <p className="text-3xl font-extrabold text-yellow-400">{raffle.winner.name}</p>
-                    </div>
+                {winnersFor(raffle).length > 0 ? (
+                    <LiveDraw key={raffle.id} raffle={raffle}>
+                        <div className="space-y-4">
+                            {winnersByPrize(raffle).map(({ prize, winners }, prizeIndex) => (
+                                <div key={prizeIndex} className="flex items-center gap-4 bg-yellow-500/20 p-4 rounded-lg">
+                                    {prize.imageUrl && <img src={prize.imageUrl} alt={prize.name} className="w-16 h-16 object-cover rounded-lg"/>}
+                                    <div>
+                                        <p className="text-lg">{prize.name}</p>
+                                        {winners.map((winner) => <p key={winner.entryId} className="text-2xl font-extrabold text-yellow-400"><EntrantName userId={winner.userId} /></p>)}
+                                        {winners.length === 0 && <p className="text-gray-400">Not awarded: there were not enough entrants.</p>}
+                                    </div>
+                                </div>
+                            ))}
+                        </div>
+                        {raffle.drawId && <VerifyDrawPanel raffle={raffle} />}
+                    </LiveDraw>
                 ) : (
                     <>
-                        <div className="mt-4">
-                            <h4 className="font-semibold mb-2 text-gray-300">Entries ({raffle.entries.length})</h4>
-                            <ul className="space-y-2 max-h-40 overflow-y-auto bg-gray-900/50 p-3 rounded-lg">
-                                {raffle.entries.map((entry) => <li key={entry.id} className="text-gray-300">{entry.name}</li>)}
-                                {raffle.entries.length === 0 && <li className="text-gray-500">No entries yet.</li>}
-                            </ul>
-                        </div>
-                        <div className="mt-4">
-                            <button 
-                                onClick={() => openPaymentModal(raffle)} 
-                                className="w-full bg-green-600 hover:bg-green-700 text-white font-bold py-3 px-6 rounded-lg disabled:bg-gray-500 disabled:cursor-not-allowed"
-                                disabled={!stripePromise}
-                            >
-                                {stripePromise ? 'Buy Ticket' : 'Payments Disabled'}
-                            </button>
+                        {raffle.liveDraw && status !== RAFFLE_STATUS.CANCELLED && <LiveDraw key={raffle.id} raffle={raffle} />}
+                        {status === RAFFLE_STATUS.CANCELLED && (
+                            <div className="text-center bg-red-600/20 p-4 rounded-lg">
+                                <p className="text-lg font-bold text-red-300">This raffle was cancelled{raffle.cancelledAt ? ` on ${formatDateTime(raffle.cancelledAt)}` : ''}.</p>
+                                <p className="text-sm text-gray-300">{raffle.refundsIssuedAt ? 'Every ticket has been refunded.' : 'Refunds for every ticket are being issued.'}</p>
+                            </div>
+                        )}
+                        <div className="bg-gray-900/50 p-4 rounded-lg">
+                            <h4 className="font-semibold mb-2 text-gray-300">Prizes</h4>
+                            <ol className="space-y-2">
+                                {prizesFor(raffle).map((prize, index) => (
+                                    <li key={index} className="flex items-center gap-3 text-gray-300">
+                                        {prize.imageUrl && <img src={prize.imageUrl} alt={prize.name} className="w-10 h-10 object-cover rounded"/>}
+                                        <span className="font-bold">{prize.name}</span>
+                                        <span className="text-sm text-gray-500">{prize.winnerCount} winner{prize.winnerCount === 1 ? '' : 's'}</span>
+                                    </li>
+                                ))}
+                            </ol>
+                            {!raffle.allowMultipleWins && totalWinnerCount(raffle) > 1 && <p className="mt-2 text-xs text-gray-500">Each person can win at most one prize.</p>}
                         </div>
-                        {raffle.creatorId === user?.uid && (
+                        <EntryList key={raffle.id} raffleId={raffle.id} entryCount={raffle.entryCount} />
+                        {raffle.seedHash && (
+                            <p className="mt-4 text-xs text-gray-500 break-all">Draw seed commitment (SHA-256): <span className="font-mono">{raffle.seedHash}</span></p>
+                        )}
+                        <EntryPanel key={raffle.id} raffle={raffle} userId={user.uid} blockReason={blockReason}
+                            paymentsEnabled={services.payments.enabled} onBuy={(accepted) => openPaymentModal(raffle, accepted)} />
+                        {raffle.creatorId === user?.uid && status !== RAFFLE_STATUS.CANCELLED && (
                             <div className="mt-4 border-t border-gray-700 pt-4 flex gap-4">
-                                <button onClick={() => drawWinner(raffle.id)} disabled={raffle.entries.length === 0} className="flex-1 bg-blue-600 hover:bg-blue-700 disabled:bg-gray-600 text-white font-bold py-3 px-6 rounded-lg">Draw Winner</button>
-                                <button onClick={() => deleteRaffle(raffle.id)} className="flex-1 bg-red-600 hover:bg-red-700 text-white font-bold py-3 px-6 rounded-lg">Delete Raffle</button>
+                                <button onClick={() => drawWinner(raffle.id)} disabled={!raffle.entryCount || !DRAWABLE_STATUSES.includes(status) || raffle.liveDraw?.pending} className="flex-1 bg-blue-600 hover:bg-blue-700 disabled:bg-gray-600 text-white font-bold py-3 px-6 rounded-lg">Draw Winner</button>
+                                <button onClick={() => deleteRaffle(raffle)} className="flex-1 bg-red-600 hover:bg-red-700 text-white font-bold py-3 px-6 rounded-lg">{raffle.entryCount ? 'Cancel & Refund' : 'Delete Raffle'}</button>
                             </div>
                         )}
+                        {raffle.creatorId === user?.uid && status !== RAFFLE_STATUS.CANCELLED && <LiveDrawScheduler raffle={raffle} />}
                     </>
                 )}
+                {raffle.creatorId === user?.uid && <EntrantRoster raffle={raffle} />}
             </div>
         )
     };
 
+    // 0.01 for dollars, 1 for yen.
+    const priceStep = 10 ** -minorUnitDigits(newRaffleCurrency);
+
     const renderCreateForm = () => (
         <div className="bg-gray-800 p-6 rounded-xl shadow-lg">
             <h2 className="text-3xl font-bold mb-6 text-purple-300">Create a New Raffle</h2>
@@ -463,10 +1934,84 @@ function App() {
                 <input type="text" value={newRaffleName} onChange={(e) => setNewRaffleName(e.target.value)} placeholder="Raffle Name" className="w-full bg-gray-700 p-3 rounded-lg focus:outline-none focus:ring-2 focus:ring-purple-500"/>
                 <textarea value={newRaffleDescription} onChange={(e) => setNewRaffleDescription(e.target.value)} placeholder="Description" rows="4" className="w-full bg-gray-700 p-3 rounded-lg focus:outline-none focus:ring-2 focus:ring-purple-500"></textarea>
                 <div>
-                    <label className="block mb-1 font-semibold text-gray-300">Raffle Image</label>
-                    <input type="file" accept="image/*" onChange={(e) => setNewRaffleImageFile(e.target.files[0])} className="w-full text-gray-300 file:mr-4 file:py-2 file:px-4 file:rounded-full file:border-0 file:text-sm file:font-semibold file:bg-purple-600 file:text-white hover:file:bg-purple-700"/>
+                    <label className="block mb-1 font-semibold text-gray-300">Raffle Images (up to {MAX_RAFFLE_IMAGES}, first is the cover)</label>
+                    <ImagePicker images={newRaffleImages} onChange={setNewRaffleImages} />
+                </div>
+                <div className="flex gap-2">
+                    <input type="number" value={newRaffleTicketPrice} onChange={(e) => setNewRaffleTicketPrice(e.target.value)} placeholder="Ticket Price" min={priceStep} step={priceStep} className="flex-1 bg-gray-700 p-3 rounded-lg focus:outline-none focus:ring-2 focus:ring-purple-500"/>
+                    <select value={newRaffleCurrency} onChange={(e) => setNewRaffleCurrency(e.target.value)} aria-label="Currency" className="bg-gray-700 p-3 rounded-lg focus:outline-none focus:ring-2 focus:ring-purple-500">
+                        {SUPPORTED_CURRENCIES.map((currency) => <option key={currency} value={currency}>{currency}</option>)}
+                    </select>
+                </div>
+                <div className="grid grid-cols-1 sm:grid-cols-2 gap-4">
+                    <div>
+                        <label className="block mb-1 font-semibold text-gray-300">Opens (leave empty to open now)</label>
+                        <input type="datetime-local" value={newRaffleStartsAt} onChange={(e) => setNewRaffleStartsAt(e.target.value)} className="w-full bg-gray-700 p-3 rounded-lg focus:outline-none focus:ring-2 focus:ring-purple-500"/>
+                    </div>
+                    <div>
+                        <label className="block mb-1 font-semibold text-gray-300">Closes and draws</label>
+                        <input type="datetime-local" value={newRaffleEndsAt} onChange={(e) => setNewRaffleEndsAt(e.target.value)} className="w-full bg-gray-700 p-3 rounded-lg focus:outline-none focus:ring-2 focus:ring-purple-500"/>
+                    </div>
+                    <input type="number" value={newRaffleMaxTickets} onChange={(e) => setNewRaffleMaxTickets(e.target.value)} placeholder="Max Tickets (optional)" min="1" step="1" className="w-full bg-gray-700 p-3 rounded-lg focus:outline-none focus:ring-2 focus:ring-purple-500"/>
+                    <input type="number" value={newRaffleMaxPerUser} onChange={(e) => setNewRaffleMaxPerUser(e.target.value)} placeholder="Max Tickets per Person (optional)" min="1" step="1" className="w-full bg-gray-700 p-3 rounded-lg focus:outline-none focus:ring-2 focus:ring-purple-500"/>
+                </div>
+                <div>
+                    <label className="block mb-1 font-semibold text-gray-300">Bundle Pricing (optional)</label>
+                    <div className="space-y-2">
+                        {newRaffleBundles.map((bundle, index) => (
+                            <div key={index} className="flex gap-2 items-center">
+                                <input type="number" value={bundle.quantity} placeholder="Tickets" min="2" step="1"
+                                    onChange={(e) => setNewRaffleBundles(newRaffleBundles.map((b, i) => (i === index ? { ...b, quantity: e.target.value } : b)))}
+                                    className="w-1/3 bg-gray-700 p-3 rounded-lg focus:outline-none focus:ring-2 focus:ring-purple-500"/>
+                                <span className="text-gray-400">for</span>
+                                <input type="number" value={bundle.price} placeholder={`Price (${newRaffleCurrency})`} min={priceStep} step={priceStep}
+                                    onChange={(e) => setNewRaffleBundles(newRaffleBundles.map((b, i) => (i === index ? { ...b, price: e.target.value } : b)))}
+                                    className="flex-1 bg-gray-700 p-3 rounded-lg focus:outline-none focus:ring-2 focus:ring-purple-500"/>
+                                <button type="button" onClick={() => setNewRaffleBundles(newRaffleBundles.filter((_, i) => i !== index))} className="text-gray-400 hover:text-red-400 text-2xl px-2">&times;</button>
+                            </div>
+                        ))}
+                        {newRaffleBundles.length < MAX_BUNDLES && (
+                            <button type="button" onClick={() => setNewRaffleBundles([...newRaffleBundles, { quantity: '', price: '' }])} className="text-purple-400 hover:underline text-sm">+ Add a bundle</button>
+                        )}
+                    </div>
+                </div>
+                <div>
+                    <label className="block mb-1 font-semibold text-gray-300">Prizes (optional, grand prize first)</label>
+                    <div className="space-y-2">
+                        {newRafflePrizes.map((prize, index) => (
+                            <div key={index} className="bg-gray-700/50 p-3 rounded-lg space-y-2">
+                                <div className="flex gap-2 items-center">
+                                    <input type="text" value={prize.name} placeholder={index === 0 ? 'Grand Prize' : 'Runner-up Prize'} maxLength="120"
+                                        onChange={(e) => setNewRafflePrizes(newRafflePrizes.map((p, i) => (i === index ? { ...p, name: e.target.value } : p)))}
+                                        className="flex-1 bg-gray-700 p-3 rounded-lg focus:outline-none focus:ring-2 focus:ring-purple-500"/>
+                                    <input type="number" value={prize.winnerCount} placeholder="Winners" min="1" max={MAX_WINNERS_PER_PRIZE} step="1"
+                                        onChange={(e) => setNewRafflePrizes(newRafflePrizes.map((p, i) => (i === index ? { ...p, winnerCount: e.target.value } : p)))}
+                                        className="w-24 bg-gray-700 p-3 rounded-lg focus:outline-none focus:ring-2 focus:ring-purple-500"/>
+                                    <button type="button" onClick={() => setNewRafflePrizes(newRafflePrizes.filter((_, i) => i !== index))} className="text-gray-400 hover:text-red-400 text-2xl px-2">&times;</button>
+                                </div>
+                                <input type="file" accept="image/jpeg,image/png,image/webp" onChange={(e) => setNewRafflePrizes(newRafflePrizes.map((p, i) => (i === index ? { ...p, imageFile: e.target.files[0] } : p)))} className="w-full text-sm text-gray-300 file:mr-4 file:py-1 file:px-3 file:rounded-full file:border-0 file:text-sm file:bg-gray-600 file:text-white"/>
+                            </div>
+                        ))}
+                        {newRafflePrizes.length < MAX_PRIZES && (
+                            <button type="button" onClick={() => setNewRafflePrizes([...newRafflePrizes, { name: '', winnerCount: '1', imageFile: null }])} className="text-purple-400 hover:underline text-sm">+ Add a prize</button>
+                        )}
+                    </div>
+                    <label className="mt-2 flex items-center gap-2 text-gray-300">
+                        <input type="checkbox" checked={newRaffleAllowMultipleWins} onChange={(e) => setNewRaffleAllowMultipleWins(e.target.checked)}/>
+                        Allow one person to win more than one prize
+                    </label>
+                </div>
+                <div>
+                    <label className="block mb-1 font-semibold text-gray-300">Official Rules</label>
+                    <textarea value={newRaffleOfficialRules} onChange={(e) => setNewRaffleOfficialRules(e.target.value)} rows="6" maxLength={MAX_OFFICIAL_RULES_LENGTH}
+                        placeholder="Who may enter, how winners are drawn and notified, how prizes are delivered..."
+                        className="w-full bg-gray-700 p-3 rounded-lg focus:outline-none focus:ring-2 focus:ring-purple-500"></textarea>
+                    <p className="text-xs text-gray-500">Entrants must accept these before entering. A free way to enter is always offered alongside paid tickets.</p>
+                </div>
+                <div className="grid grid-cols-1 sm:grid-cols-2 gap-4">
+                    <input type="number" value={newRaffleMinAge} onChange={(e) => setNewRaffleMinAge(e.target.value)} placeholder="Minimum Age (optional)" min="1" max="120" step="1" className="w-full bg-gray-700 p-3 rounded-lg focus:outline-none focus:ring-2 focus:ring-purple-500"/>
+                    <input type="text" value={newRaffleRegions} onChange={(e) => setNewRaffleRegions(e.target.value)} placeholder="Allowed Regions, e.g. US, CA (optional)" className="w-full bg-gray-700 p-3 rounded-lg focus:outline-none focus:ring-2 focus:ring-purple-500"/>
                 </div>
-                <input type="number" value={newRaffleTicketPrice} onChange={(e) => setNewRaffleTicketPrice(e.target.value)} placeholder="Ticket Price ($)" min="0.01" step="0.01" className="w-full bg-gray-700 p-3 rounded-lg focus:outline-none focus:ring-2 focus:ring-purple-500"/>
                 <button onClick={createRaffle} disabled={loading} className="w-full bg-purple-600 hover:bg-purple-700 text-white font-bold py-3 px-6 rounded-lg disabled:bg-gray-600">{loading ? 'Creating...' : 'Create Raffle'}</button>
             </div>
         </div>
@@ -474,8 +2019,23 @@ function App() {
 
     const renderProfilePage = () => (
         <div className="bg-gray-800 p-6 rounded-xl shadow-lg">
-            <h2 className="text-3xl font-bold mb-6 text-purple-300">My Profile</h2>
+            <div className="flex justify-between items-center mb-6">
+                <h2 className="text-3xl font-bold text-purple-300">My Profile</h2>
+                <Link to={`/u/${user.uid}`} className="text-purple-400 hover:underline">View public profile</Link>
+            </div>
             <form onSubmit={handleProfileUpdate} className="space-y-4">
+                <div className="flex items-center gap-4">
+                    <Avatar profile={userProfile} className="w-20 h-20 text-2xl flex-shrink-0" />
+                    <div className="space-y-2">
+                        <input type="file" accept="image/jpeg,image/png,image/webp" aria-label="Avatar" disabled={avatarUploading}
+                            onChange={(e) => { handleAvatarChange(e.target.files[0]); e.target.value = ''; }}
+                            className="w-full text-gray-300 file:mr-4 file:py-2 file:px-4 file:rounded-full file:border-0 file:text-sm file:font-semibold file:bg-purple-600 file:text-white hover:file:bg-purple-700"/>
+                        {avatarUploading && <p className="text-sm text-gray-400">Processing image...</p>}
+                        {userProfile.avatarUrl && !avatarUploading && (
+                            <button type="button" onClick={() => setUserProfile({...userProfile, avatarUrl: null})} className="text-sm text-red-400 hover:underline">Remove avatar</button>
+                        )}
+                    </div>
+                </div>
                 <div>
                     <label className="block mb-1 font-semibold text-gray-300">Display Name</label>
                     <input type="text" value={userProfile.displayName} onChange={(e) => setUserProfile({...userProfile, displayName: e.target.value})} className="w-full bg-gray-700 p-3 rounded-lg"/>
@@ -484,23 +2044,41 @@ function App() {
                     <label className="block mb-1 font-semibold text-gray-300">Bio</label>
                     <textarea value={userProfile.bio} onChange={(e) => setUserProfile({...userProfile, bio: e.target.value})} rows="3" className="w-full bg-gray-700 p-3 rounded-lg"></textarea>
                 </div>
-                <button type="submit" className="w-full bg-purple-600 hover:bg-purple-700 text-white font-bold py-3 px-6 rounded-lg">Save Profile</button>
+                <div>
+                    <label className="block mb-1 font-semibold text-gray-300">Show me in entry lists and winner announcements as</label>
+                    <select value={userProfile.publicNameMode || DEFAULT_PUBLIC_NAME_MODE} onChange={(e) => setUserProfile({...userProfile, publicNameMode: e.target.value})} className="w-full bg-gray-700 p-3 rounded-lg">
+                        {PUBLIC_NAME_MODES.map((mode) => <option key={mode} value={mode} disabled={mode === 'handle' && !maskEmail(user?.email)}>{PUBLIC_NAME_LABELS[mode]}</option>)}
+                    </select>
+                    <p className="mt-1 text-sm text-gray-400">Others will see: <span className="font-semibold text-gray-300">{publicNameFor(userProfile)}</span>. Your email is never shown to other entrants; only the creators of raffles you enter can see it.</p>
+                </div>
+                <button type="submit" disabled={avatarUploading} className="w-full bg-purple-600 hover:bg-purple-700 disabled:bg-gray-600 text-white font-bold py-3 px-6 rounded-lg">Save Profile</button>
             </form>
+            <EligibilitySettings userId={user.uid} />
+            <NotificationSettings userId={user.uid} />
         </div>
     );
     
     const renderContent = () => {
-        if (loading || !app) return <div className="min-h-screen flex items-center justify-center"><div className="text-center text-xl">Loading...</div></div>;
-
-        switch(view) {
-            case 'login': return <AuthForm isLogin={true} />;
-            case 'signup': return <AuthForm isLogin={false} />;
-            case 'raffles': return renderRaffleList();
-            case 'detail': return renderRaffleDetail();
-            case 'create': return renderCreateForm();
-            case 'profile': return renderProfilePage();
-            default: return <AuthForm isLogin={true} />;
-        }
+        if (loading) return <div className="min-h-screen flex items-center justify-center"><div className="text-center text-xl">Loading...</div></div>;
+
+        // A signed-out visitor is sent to log in, then back to the page they asked for.
+        const requireUser = (render) => (user ? render() : <Navigate to="/login" replace state={{ from: location }} />);
+        const returnTo = location.state?.from ? `${location.state.from.pathname}${location.state.from.search}` : '/raffles';
+        return (
+            <Routes>
+                <Route path="/login" element={user ? <Navigate to={returnTo} replace /> : <AuthForm isLogin={true} />} />
+                <Route path="/signup" element={user ? <Navigate to={returnTo} replace /> : <AuthForm isLogin={false} />} />
+                <Route path="/raffles" element={requireUser(() => <RaffleBrowser userId={user.uid} />)} />
+                <Route path="/raffles/:raffleId" element={requireUser(() => <RaffleRoute>{renderRaffleDetail}</RaffleRoute>)} />
+                <Route path="/notifications" element={requireUser(() => <NotificationInbox userId={user.uid} />)} />
+                <Route path="/tickets" element={requireUser(() => <MyTickets userId={user.uid} />)} />
+                <Route path="/dashboard" element={requireUser(() => <CreatorDashboard userId={user.uid} />)} />
+                <Route path="/create" element={requireUser(renderCreateForm)} />
+                <Route path="/profile" element={requireUser(renderProfilePage)} />
+                <Route path="/u/:uid" element={requireUser(() => <PublicProfile />)} />
+                <Route path="*" element={<Navigate to="/raffles" replace />} />
+            </Routes>
+        );
     };
 
     return (
@@ -516,7 +2094,9 @@ function App() {
             {paymentModalOpen && (
                 <PaymentModal 
                     raffle={activeRaffleForPayment} 
+                    acceptedRules={paymentRulesAccepted}
                     onClose={() => setPaymentModalOpen(false)} 
+                    userId={user.uid}
                 />
             )}
         </div>
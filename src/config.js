@@ -0,0 +1,31 @@
+// --- Environment Configuration ---
+// Everything deployment-specific comes from REACT_APP_* variables, which Create React App reads from
+// the environment or a .env.local file at build time (see .env.example). Left unset, the app runs on
+// the local backend (src/services/local), which needs no network at all.
+const env = process.env;
+
+const flag = (value, fallback) => (value === undefined || value === '' ? fallback : value === 'true');
+
+export const firebaseConfig = {
+    apiKey: env.REACT_APP_FIREBASE_API_KEY,
+    authDomain: env.REACT_APP_FIREBASE_AUTH_DOMAIN,
+    projectId: env.REACT_APP_FIREBASE_PROJECT_ID,
+    storageBucket: env.REACT_APP_FIREBASE_STORAGE_BUCKET,
+    messagingSenderId: env.REACT_APP_FIREBASE_MESSAGING_SENDER_ID,
+    appId: env.REACT_APP_FIREBASE_APP_ID,
+    measurementId: env.REACT_APP_FIREBASE_MEASUREMENT_ID,
+};
+
+// Names this app's data, artifacts/{appId}/..., within the Firebase project.
+export const appId = env.REACT_APP_APP_ID || 'default-app-id';
+
+// 'firebase' (Firestore, Cloud Functions and Stripe) or 'local' (in memory, with a fake payment provider).
+export const BACKENDS = ['firebase', 'local'];
+export const backend = env.REACT_APP_BACKEND || (firebaseConfig.apiKey ? 'firebase' : 'local');
+
+// `npm run serve` in functions/ starts the emulators. Local builds talk to them instead of production
+// unless this is set to false.
+export const useEmulators = flag(env.REACT_APP_USE_EMULATORS, typeof window !== 'undefined' && window.location.hostname === 'localhost');
+
+// Without a key, checkout stays disabled on the Firebase backend.
+export const stripePublishableKey = env.REACT_APP_STRIPE_PUBLISHABLE_KEY || null;
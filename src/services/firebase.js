@@ -0,0 +1,209 @@
+// --- Firebase Services ---
+// The services (see ./index.js) on Firebase: Auth, Firestore under artifacts/{appId}, Storage with
+// the image pipeline in functions/src/images.js, the callable Cloud Functions, and Stripe checkout.
+import { initializeApp } from 'firebase/app';
+import {
+    getAuth,
+    onAuthStateChanged,
+    createUserWithEmailAndPassword,
+    signInWithEmailAndPassword,
+    signOut,
+    connectAuthEmulator
+} from 'firebase/auth';
+import {
+    getFirestore,
+    collection,
+    addDoc,
+    onSnapshot,
+    doc,
+    updateDoc,
+    setDoc,
+    getDoc,
+    getDocs,
+    query,
+    orderBy,
+    limit,
+    startAfter,
+    documentId,
+    where,
+    writeBatch,
+    serverTimestamp,
+    Timestamp,
+    getCountFromServer,
+    setLogLevel,
+    connectFirestoreEmulator
+} from 'firebase/firestore';
+import { getStorage, ref, uploadBytes, connectStorageEmulator } from 'firebase/storage';
+import { getFunctions, httpsCallable, connectFunctionsEmulator } from 'firebase/functions';
+import { createStripePayments } from './stripePayments';
+
+// How long a viewer check-in is kept before Firestore's TTL policy deletes it.
+const VIEWER_EXPIRY_MS = 60 * 60 * 1000;
+// Originals go to uploads/, where functions/src/images.js turns them into resized variants and
+// reports back in the uploader's imageUploads collection.
+const IMAGE_PROCESSING_TIMEOUT_MS = 60 * 1000;
+
+const docData = (snapshot) => (snapshot.exists() ? { id: snapshot.id, ...snapshot.data() } : null);
+const docsData = (snapshot) => snapshot.docs.map((queryDoc) => ({ id: queryDoc.id, ...queryDoc.data() }));
+
+export const createFirebaseServices = ({ firebaseConfig, appId, useEmulators, stripePublishableKey }) => {
+    if (!firebaseConfig.apiKey) throw new Error('Firebase configuration is missing. Set the REACT_APP_FIREBASE_* variables, or REACT_APP_BACKEND=local.');
+    const app = initializeApp(firebaseConfig);
+    const auth = getAuth(app);
+    const db = getFirestore(app);
+    const storage = getStorage(app);
+    const functions = getFunctions(app);
+    if (useEmulators) {
+        connectAuthEmulator(auth, 'http://127.0.0.1:9099');
+        connectFirestoreEmulator(db, '127.0.0.1', 8080);
+        connectStorageEmulator(storage, '127.0.0.1', 9199);
+        connectFunctionsEmulator(functions, '127.0.0.1', 5001);
+    }
+    setLogLevel('debug');
+
+    const publicDoc = (...segments) => doc(db, 'artifacts', appId, 'public', 'data', ...segments);
+    const publicCollection = (...segments) => collection(db, 'artifacts', appId, 'public', 'data', ...segments);
+    const userDoc = (userId, ...segments) => doc(db, 'artifacts', appId, 'users', userId, ...segments);
+    const userCollection = (userId, ...segments) => collection(db, 'artifacts', appId, 'users', userId, ...segments);
+    const call = async (name, data) => (await httpsCallable(functions, name)({ appId, ...data })).data;
+
+    const watchDoc = (docRef, onData, onError) => onSnapshot(docRef, (snapshot) => onData(docData(snapshot)), onError);
+    const watchQuery = (docsQuery, onData, onError) => onSnapshot(docsQuery, (snapshot) => onData(docsData(snapshot)), onError);
+
+    const entrantsCollection = (creatorId, raffleId) => userCollection(creatorId, 'raffleSales', raffleId, 'entrants');
+    const notificationsCollection = (userId) => userCollection(userId, 'notifications');
+
+    const authService = {
+        onChange: (onUser) => onAuthStateChanged(auth, (user) => onUser(user && { uid: user.uid, email: user.email })),
+        signUp: (email, password) => createUserWithEmailAndPassword(auth, email, password),
+        signIn: (email, password) => signInWithEmailAndPassword(auth, email, password),
+        signOut: () => signOut(auth),
+    };
+
+    const profiles = {
+        get: async (uid) => docData(await getDoc(publicDoc('profiles', uid))),
+        watch: (uid, onData, onError) => watchDoc(publicDoc('profiles', uid), onData, onError),
+        create: (uid, profile) => setDoc(publicDoc('profiles', uid), profile),
+        update: (uid, changes) => updateDoc(publicDoc('profiles', uid), changes),
+        watchStats: (uid, onData, onError) => watchDoc(publicDoc('creatorStats', uid), onData, onError),
+    };
+
+    // Each combination of filters and sort order needs a composite index in firestore.indexes.json.
+    const raffleListQuery = ({ searchTerm, status, creatorId, currency, minPriceCents, maxPriceCents, sortField, sortDirection, pageSize }, cursor) => {
+        const constraints = [];
+        if (searchTerm) constraints.push(where('searchTerms', 'array-contains', searchTerm));
+        if (status) constraints.push(where('status', '==', status));
+        if (creatorId) constraints.push(where('creatorId', '==', creatorId));
+        if (currency) constraints.push(where('currency', '==', currency));
+        if (minPriceCents !== null) constraints.push(where('ticketPriceCents', '>=', minPriceCents));
+        if (maxPriceCents !== null) constraints.push(where('ticketPriceCents', '<=', maxPriceCents));
+        return query(publicCollection('raffles'), ...constraints, orderBy(sortField, sortDirection), ...(cursor ? [startAfter(cursor)] : []), limit(pageSize));
+    };
+
+    const raffles = {
+        watch: (raffleId, onData, onError) => watchDoc(publicDoc('raffles', raffleId), onData, onError),
+        list: async (filters, cursor) => {
+            const snapshot = await getDocs(raffleListQuery(filters, cursor));
+            return { raffles: docsData(snapshot), cursor: snapshot.docs[snapshot.docs.length - 1] || null };
+        },
+        watchByCreator: (creatorId, count, onData, onError) => watchQuery(query(publicCollection('raffles'), where('creatorId', '==', creatorId), orderBy('createdAt', 'desc'), limit(count)), onData, onError),
+        countByCreator: async (creatorId, status) => {
+            const rafflesQuery = query(publicCollection('raffles'), where('creatorId', '==', creatorId), where('status', '==', status));
+            return (await getCountFromServer(rafflesQuery)).data().count;
+        },
+        // Firestore takes at most 30 values in an `in` filter, so ids are read 30 at a time.
+        getMany: async (raffleIds) => {
+            const batches = [];
+            for (let start = 0; start < raffleIds.length; start += 30) batches.push(raffleIds.slice(start, start + 30));
+            const snapshots = await Promise.all(batches.map((batch) => getDocs(query(publicCollection('raffles'), where(documentId(), 'in', batch)))));
+            const found = Object.fromEntries(snapshots.flatMap(docsData).map((raffle) => [raffle.id, raffle]));
+            return Object.fromEntries(raffleIds.map((raffleId) => [raffleId, found[raffleId] || null]));
+        },
+        create: async (raffle) => (await addDoc(publicCollection('raffles'), { ...raffle, createdAt: serverTimestamp() })).id,
+        listEntries: async (raffleId, cursor, pageSize) => {
+            const pageQuery = query(publicCollection('raffles', raffleId, 'entries'), orderBy('createdAt'), ...(cursor ? [startAfter(cursor)] : []), limit(pageSize));
+            const snapshot = await getDocs(pageQuery);
+            return { entries: docsData(snapshot), cursor: snapshot.docs[snapshot.docs.length - 1] || cursor };
+        },
+        allEntries: async (raffleId) => {
+            const entries = [];
+            let cursor = null;
+            do {
+                const pageQuery = query(publicCollection('raffles', raffleId, 'entries'), orderBy(documentId()), ...(cursor ? [startAfter(cursor)] : []), limit(500));
+                const snapshot = await getDocs(pageQuery);
+                entries.push(...docsData(snapshot));
+                cursor = snapshot.docs.length === 500 ? snapshot.docs[snapshot.docs.length - 1] : null;
+            } while (cursor);
+            return entries;
+        },
+        getDrawAudit: async (raffleId, drawId) => docData(await getDoc(publicDoc('raffles', raffleId, 'draws', drawId))),
+        watchEntrants: (creatorId, raffleId, onData, onError) => watchQuery(entrantsCollection(creatorId, raffleId), onData, onError),
+        getEntrants: async (creatorId, raffleId) => docsData(await getDocs(entrantsCollection(creatorId, raffleId))),
+        // The server stamps the check-in with its own time, which the caller compares with its clock.
+        checkInViewer: async (raffleId, viewerId) => {
+            const viewerRef = publicDoc('raffles', raffleId, 'viewers', viewerId);
+            await setDoc(viewerRef, { lastSeenAt: serverTimestamp(), expiresAt: Timestamp.fromMillis(Date.now() + VIEWER_EXPIRY_MS) });
+            return (await getDoc(viewerRef)).get('lastSeenAt').toMillis();
+        },
+        countViewers: async (raffleId, sinceMs) => {
+            const viewersQuery = query(publicCollection('raffles', raffleId, 'viewers'), where('lastSeenAt', '>', Timestamp.fromMillis(sinceMs)));
+            return (await getCountFromServer(viewersQuery)).data().count;
+        },
+        draw: (raffleId) => call('drawWinner', { raffleId }),
+        remove: (raffleId) => call('deleteRaffle', { raffleId }),
+        scheduleLiveDraw: (raffleId, startsAt) => call('scheduleLiveDraw', { raffleId, startsAt }),
+        enterForFree: (raffleId, acceptedRules) => call('enterForFree', { raffleId, acceptedRules }),
+        watchConfig: (name, onData, onError) => watchDoc(publicDoc('config', name), onData, onError),
+    };
+
+    const account = {
+        watchPurchases: (userId, pageLimit, onData, onError) => watchQuery(query(userCollection(userId, 'purchases'), orderBy('createdAt', 'desc'), limit(pageLimit)), onData, onError),
+        watchPurchase: (userId, purchaseId, onData, onError) => watchDoc(userDoc(userId, 'purchases', purchaseId), onData, onError),
+        watchNotifications: (userId, pageLimit, onData, onError) => watchQuery(query(notificationsCollection(userId), orderBy('createdAt', 'desc'), limit(pageLimit)), onData, onError),
+        watchUnreadCount: (userId, max, onData, onError) => onSnapshot(query(notificationsCollection(userId), where('read', '==', false), limit(max)),
+            (snapshot) => onData(snapshot.size), onError),
+        markNotificationsRead: async (userId, notificationIds) => {
+            const batch = writeBatch(db);
+            notificationIds.forEach((notificationId) => batch.update(doc(notificationsCollection(userId), notificationId), { read: true }));
+            await batch.commit();
+        },
+        watchNotificationPrefs: (userId, onData, onError) => watchDoc(userDoc(userId, 'settings', 'notifications'), onData, onError),
+        saveNotificationPrefs: (userId, changes) => setDoc(userDoc(userId, 'settings', 'notifications'), changes, { merge: true }),
+        watchEligibility: (userId, onData, onError) => watchDoc(userDoc(userId, 'settings', 'eligibility'), onData, onError),
+        saveEligibility: (userId, eligibility) => setDoc(userDoc(userId, 'settings', 'eligibility'), eligibility),
+        watchRaffleSales: (userId, onData, onError) => onSnapshot(userCollection(userId, 'raffleSales'),
+            (snapshot) => onData(Object.fromEntries(snapshot.docs.map((salesDoc) => [salesDoc.id, salesDoc.data()]))), onError),
+        watchLedger: (userId, since, onData, onError) => watchQuery(query(userCollection(userId, 'ledger'), where('createdAt', '>=', since), orderBy('createdAt')), onData, onError),
+    };
+
+    const waitForProcessedImage = (resultRef, fileName) => new Promise((resolve, reject) => {
+        let unsubscribe = () => {};
+        const timeout = setTimeout(() => {
+            unsubscribe();
+            reject(new Error(`"${fileName}" took too long to process. Please try again.`));
+        }, IMAGE_PROCESSING_TIMEOUT_MS);
+        const settle = (callback, value) => {
+            clearTimeout(timeout);
+            unsubscribe();
+            callback(value);
+        };
+        unsubscribe = onSnapshot(resultRef, (snapshot) => {
+            const result = snapshot.data();
+            if (result?.status === 'ready') settle(resolve, result);
+            else if (result?.status === 'failed') settle(reject, new Error(`"${fileName}": ${result.error}`));
+        }, (error) => settle(reject, error));
+    });
+
+    const storageService = {
+        uploadImage: async (userId, file) => {
+            const uploadId = crypto.randomUUID();
+            await uploadBytes(ref(storage, `uploads/${appId}/${userId}/${uploadId}`), file, { contentType: file.type });
+            const { thumbUrl, cardUrl, fullUrl } = await waitForProcessedImage(userDoc(userId, 'imageUploads', uploadId), file.name);
+            return { id: uploadId, thumbUrl, cardUrl, fullUrl };
+        },
+    };
+
+    const payments = createStripePayments({ publishableKey: stripePublishableKey, call });
+
+    return { name: 'firebase', auth: authService, profiles, raffles, account, storage: storageService, payments };
+};
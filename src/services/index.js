@@ -0,0 +1,48 @@
+// --- Services ---
+// Everything the app reads, writes or calls goes through these services, so the UI doesn't know which
+// backend it runs on. src/services/firebase.js implements them with Firebase and Stripe;
+// src/services/local keeps everything in memory with a fake payment provider, for demos and tests.
+// REACT_APP_BACKEND picks one (see src/config.js).
+//
+// Documents come back as plain objects, `{ id, ...fields }`, or null when missing; times are
+// Timestamps or Dates, which shared/raffleLifecycle.js's toMillis reads alike. Every `watch*` calls
+// `onData` with the current value and again on each change, and returns a function that stops it.
+// Failed requests reject with an Error carrying `code`, and `details` where the server gives them.
+//
+//   auth        onChange(onUser), signUp(email, password), signIn(email, password), signOut()
+//               Users are { uid, email }, or null when signed out.
+//   profiles    get(uid), watch(uid, ...), create(uid, profile), update(uid, changes), watchStats(uid, ...)
+//   raffles     watch(raffleId, ...), list(filters, cursor) -> { raffles, cursor },
+//               getMany(raffleIds) -> { [raffleId]: raffle, or null if deleted },
+//               watchByCreator(uid, count, ...) -> the newest `count`, countByCreator(uid, status),
+//               create(raffle) -> raffleId, stamped with the server's `createdAt`,
+//               listEntries(raffleId, cursor, pageSize) -> { entries, cursor },
+//               allEntries(raffleId), getDrawAudit(raffleId, drawId), watchEntrants(creatorId, raffleId, ...),
+//               getEntrants(creatorId, raffleId), checkInViewer(raffleId, viewerId) -> server time in ms,
+//               countViewers(raffleId, sinceMs), draw(raffleId), remove(raffleId) -> { outcome },
+//               scheduleLiveDraw(raffleId, startsAt), enterForFree(raffleId, acceptedRules), watchConfig(name, ...)
+//   account     watchPurchases(uid, pageLimit, ...), watchPurchase(uid, purchaseId, ...),
+//               watchNotifications(uid, pageLimit, ...), watchUnreadCount(uid, max, ...),
+//               markNotificationsRead(uid, notificationIds), watchNotificationPrefs(uid, ...),
+//               saveNotificationPrefs(uid, changes), watchEligibility(uid, ...), saveEligibility(uid, eligibility),
+//               watchRaffleSales(uid, ...) -> { [raffleId]: sales }, watchLedger(uid, since, ...)
+//   storage     uploadImage(userId, file) -> { id, thumbUrl, cardUrl, fullUrl }
+//   payments    enabled, Provider, CardInput, createCheckout({ raffleId, quantity, idempotencyKey, acceptedRules })
+//               -> { paymentId, clientSecret }, and the hook useConfirmPayment() -> confirm(checkout),
+//               which resolves to { paymentId } or { error }. Purchases settle asynchronously; watch them
+//               with account.watchPurchase.
+//
+// `raffles.list` takes { searchTerm, status, creatorId, currency, minPriceCents, maxPriceCents,
+// sortField, sortDirection, pageSize }, with price bounds in the given currency's minor units; cursors
+// are opaque and only go back to the call that returned them.
+import { BACKENDS, appId, backend, firebaseConfig, stripePublishableKey, useEmulators } from '../config';
+import { createFirebaseServices } from './firebase';
+import { createLocalServices } from './local';
+
+export const createServices = (name = backend) => {
+    if (name === 'local') return createLocalServices();
+    if (!BACKENDS.includes(name)) throw new Error(`Unknown backend "${name}"; use ${BACKENDS.join(' or ')}.`);
+    return createFirebaseServices({ firebaseConfig, appId, useEmulators, stripePublishableKey });
+};
+
+export const services = createServices();
@@ -0,0 +1,471 @@
+// --- Local Backend ---
+// Does in the browser what Cloud Functions do for the Firebase backend (functions/src): checkout,
+// settling payments into entries, free entries, the commit–reveal draw, cancellations with refunds,
+// live draws, the scheduled lifecycle, the creator's ledger and in-app notifications. The rules, the
+// ledger's amounts and the notifications' wording come from the same shared modules, so a raffle
+// behaves the same either way; what is left here is storing the results. Email notifications need
+// the Firebase backend's mailer; here only the inbox gets them.
+import { eligibilityProblem, freeEntryWindow, hasEligibilityRules, nextFreeEntryAt } from '../../shared/eligibility';
+import { DRAW_ALGORITHM, drawPrizesFromSeed, sha256Hex } from '../../shared/fairDraw';
+import { liveDrawScheduleProblem } from '../../shared/liveDraw';
+import { creatorStatsChange, ledgerAmounts, salesTotalsChange } from '../../shared/ledger';
+import {
+    cancelledNotification, drawnNotification, endingSoonNotification, entrantIdsToNotify, needsEndingSoonReminder, notificationChannels, receiptNotification,
+    refundNotification,
+} from '../../shared/notifications';
+import { prizesFor } from '../../shared/prizes';
+import { DRAWABLE_STATUSES, RAFFLE_STATUS, STATUS_LABELS, purchaseBlockReason, raffleStatus, toMillis } from '../../shared/raffleLifecycle';
+import { SETTLED_REFUND_STATUSES, needsRefund, refundAttemptFor, refundIdempotencyKey } from '../../shared/refunds';
+import { MAX_TICKETS_PER_PURCHASE, feeRuleFor, isValidFeeRule, isValidQuantity, quoteTickets, raffleCurrency } from '../../shared/ticketPricing';
+import { newId } from './memoryStore';
+
+// Where each kind of document lives in the memory store: Firestore's layout without the
+// artifacts/{appId} prefix, since a local store only ever holds one app.
+export const LOCAL_PATHS = {
+    raffles: 'raffles',
+    raffle: (raffleId) => `raffles/${raffleId}`,
+    entries: (raffleId) => `raffles/${raffleId}/entries`,
+    draws: (raffleId) => `raffles/${raffleId}/draws`,
+    viewers: (raffleId) => `raffles/${raffleId}/viewers`,
+    drawSeed: (raffleId) => `drawSeeds/${raffleId}`,
+    config: (name) => `config/${name}`,
+    profile: (uid) => `profiles/${uid}`,
+    creatorStats: (uid) => `creatorStats/${uid}`,
+    purchases: (uid) => `users/${uid}/purchases`,
+    ledger: (uid) => `users/${uid}/ledger`,
+    raffleSales: (uid) => `users/${uid}/raffleSales`,
+    entrants: (creatorId, raffleId) => `users/${creatorId}/raffleSales/${raffleId}/entrants`,
+    notifications: (uid) => `users/${uid}/notifications`,
+    settings: (uid, name) => `users/${uid}/settings/${name}`,
+};
+
+// Carries the same `code`, `message` and `details` as the HttpsErrors the callable functions throw.
+export class BackendError extends Error {
+    constructor(code, message, details) {
+        super(message);
+        this.name = 'BackendError';
+        this.code = code;
+        this.details = details;
+    }
+}
+
+const randomSeed = () => Array.from(crypto.getRandomValues(new Uint8Array(32)), (byte) => byte.toString(16).padStart(2, '0')).join('');
+
+// `caller` in every request is the signed-in user, { uid, email }, or null.
+export const createLocalBackend = (store, paymentProvider, { now = () => Date.now() } = {}) => {
+    const paths = LOCAL_PATHS;
+    const timestamp = () => new Date(now());
+
+    const requireCaller = (caller, action) => {
+        if (!caller) throw new BackendError('unauthenticated', `Sign in to ${action}.`);
+    };
+
+    const raffleOrThrow = (raffleId) => {
+        const raffle = store.get(paths.raffle(raffleId));
+        if (!raffle) throw new BackendError('not-found', 'Raffle not found.');
+        return raffle;
+    };
+
+    const requireCreator = (raffle, caller, action) => {
+        if (raffle.creatorId !== caller.uid) throw new BackendError('permission-denied', `Only the raffle creator can ${action}.`);
+    };
+
+    const userTicketCount = (raffleId, userId) => store.list(paths.entries(raffleId)).filter((entry) => entry.userId === userId).length;
+
+    // --- Notifications ---
+    const notify = (userId, { id, type, title, body, link }) => {
+        const path = `${paths.notifications(userId)}/${id}`;
+        if (store.get(path) || !notificationChannels(store.get(paths.settings(userId, 'notifications')), type).inApp) return;
+        store.set(path, { type, title, body, link, read: false, createdAt: timestamp() });
+    };
+
+    const notifyEntrants = (raffleId, notificationFor) => {
+        entrantIdsToNotify(store.list(paths.entries(raffleId))).forEach((userId) => notify(userId, notificationFor(userId)));
+    };
+
+    // --- Ledger ---
+    const addLedgerLine = ({ creatorId, raffleId, raffleName, paymentIntentId }, type, amounts) => {
+        store.set(`${paths.ledger(creatorId)}/${type}-${paymentIntentId}`, { type, raffleId, raffleName, paymentIntentId, ...amounts, createdAt: timestamp() });
+        // FieldValue.increment, for the memory store.
+        const increment = (path, change) => {
+            const current = store.get(path) || {};
+            return Object.fromEntries(Object.entries(change).map(([field, amount]) => [field, (current[field] || 0) + amount]));
+        };
+        const salesPath = `${paths.raffleSales(creatorId)}/${raffleId}`;
+        store.set(salesPath, { raffleId, raffleName, currency: amounts.currency, ...increment(salesPath, salesTotalsChange(type, amounts)), updatedAt: timestamp() }, { merge: true });
+        const statsPath = paths.creatorStats(creatorId);
+        store.set(statsPath, { ...increment(statsPath, creatorStatsChange(type, amounts)), updatedAt: timestamp() }, { merge: true });
+    };
+
+    // --- Entries ---
+    const addEntries = (raffleId, raffle, entryIds, fields, email) => {
+        entryIds.forEach((entryId) => store.set(`${paths.entries(raffleId)}/${entryId}`, { ...fields, createdAt: timestamp() }));
+        const rosterPath = `${paths.entrants(raffle.creatorId, raffleId)}/${fields.userId}`;
+        const entrant = store.get(rosterPath) || {};
+        store.set(rosterPath, {
+            userId: fields.userId,
+            email: email || null,
+            tickets: (entrant.tickets || 0) + entryIds.length,
+            ...(fields.freeEntry && { freeEntries: (entrant.freeEntries || 0) + entryIds.length }),
+            lastEntryAt: timestamp(),
+        }, { merge: true });
+        const ticketsSold = (raffle.ticketsSold || 0) + entryIds.length;
+        store.update(paths.raffle(raffleId), {
+            entryCount: (raffle.entryCount || 0) + entryIds.length,
+            ticketsSold,
+            ...(raffle.maxTickets && ticketsSold >= raffle.maxTickets && { status: RAFFLE_STATUS.SOLD_OUT }),
+        });
+    };
+
+    // Resolves to { outcome: 'recorded' | 'duplicate' | 'rejected', reason }, as functions/src/entries.js.
+    const recordPaidEntry = ({ raffleId, userId, paymentIntentId }) => {
+        const purchasePath = `${paths.purchases(userId)}/${paymentIntentId}`;
+        const purchase = store.get(purchasePath);
+        const raffle = store.get(paths.raffle(raffleId));
+        if (!purchase) {
+            const reason = 'This payment has no matching checkout.';
+            store.set(purchasePath, { raffleId, raffleName: raffle?.name ?? null, status: 'rejected', rejectionReason: reason, refundStatus: 'pending', createdAt: timestamp() });
+            return { outcome: 'rejected', reason };
+        }
+        if (purchase.status === 'succeeded') return { outcome: 'duplicate' };
+        if (purchase.status === 'rejected') {
+            return purchase.refundStatus === 'pending' ? { outcome: 'rejected', reason: purchase.rejectionReason } : { outcome: 'duplicate' };
+        }
+
+        const { quantity } = purchase;
+        const reason = raffle
+            ? purchaseBlockReason(raffle, { now: now(), quantity, userTicketCount: userTicketCount(raffleId, userId) })
+            : 'This raffle no longer exists.';
+        if (reason) {
+            store.set(purchasePath, { status: 'rejected', rejectionReason: reason, refundStatus: 'pending' }, { merge: true });
+            return { outcome: 'rejected', reason };
+        }
+
+        const entryIds = Array.from({ length: quantity }, (_, i) => `${paymentIntentId}-${i}`);
+        addEntries(raffleId, raffle, entryIds, { userId, paymentIntentId }, purchase.buyerEmail);
+        store.set(purchasePath, { status: 'succeeded', entryIds, paidAt: timestamp() }, { merge: true });
+        addLedgerLine({ creatorId: raffle.creatorId, raffleId, raffleName: raffle.name, paymentIntentId }, 'sale', ledgerAmounts(purchase, 1));
+        notify(userId, receiptNotification(paymentIntentId, purchase));
+        return { outcome: 'recorded' };
+    };
+
+    // --- Refunds ---
+    const recordRefundStatus = ({ raffleId, userId, paymentIntentId }, refund) => {
+        const purchasePath = `${paths.purchases(userId)}/${paymentIntentId}`;
+        const attempt = Number(refund.metadata?.attempt || 0);
+        if (store.get(purchasePath)?.refundAttempt > attempt) return;
+        const wasRefunded = store.get(purchasePath)?.refundStatus === 'succeeded';
+        const refundFields = { refundStatus: refund.status, refundId: refund.id, refundAttempt: attempt, refundUpdatedAt: timestamp() };
+        store.set(purchasePath, refundFields, { merge: true });
+        store.list(paths.entries(raffleId))
+            .filter((entry) => entry.paymentIntentId === paymentIntentId)
+            .forEach((entry) => store.update(`${paths.entries(raffleId)}/${entry.id}`, refundFields));
+        if (refund.status !== 'succeeded' || wasRefunded) return;
+
+        const purchase = store.get(purchasePath);
+        const raffle = store.get(paths.raffle(raffleId));
+        if (purchase.status === 'succeeded' && raffle) {
+            addLedgerLine({ creatorId: raffle.creatorId, raffleId, raffleName: raffle.name, paymentIntentId }, 'refund', ledgerAmounts(purchase, -1));
+        }
+        notify(userId, refundNotification(paymentIntentId, purchase));
+    };
+
+    const refundPayment = (purchase, reason) => {
+        const attempt = refundAttemptFor(store.get(`${paths.purchases(purchase.userId)}/${purchase.paymentIntentId}`));
+        const refund = paymentProvider.createRefund({
+            payment_intent: purchase.paymentIntentId,
+            metadata: { raffleId: purchase.raffleId, userId: purchase.userId, reason, ...(attempt && { attempt: String(attempt) }) },
+        }, { idempotencyKey: refundIdempotencyKey(purchase.paymentIntentId, attempt) });
+        recordRefundStatus(purchase, refund);
+        return refund;
+    };
+
+    // As functions/src/refunds.js: refunds that failed leave the raffle without `refundsIssuedAt`, and
+    // the scheduled jobs try them again.
+    const refundCancelledRaffle = (raffleId) => {
+        const purchases = new Map();
+        store.list(paths.entries(raffleId)).forEach((entry) => {
+            if (!entry.paymentIntentId || !needsRefund(entry)) return;
+            purchases.set(entry.paymentIntentId, { raffleId, userId: entry.userId, paymentIntentId: entry.paymentIntentId });
+        });
+        const refunds = [...purchases.values()].map((purchase) => refundPayment(purchase, 'raffle_cancelled'));
+        if (refunds.every((refund) => SETTLED_REFUND_STATUSES.includes(refund.status))) store.update(paths.raffle(raffleId), { refundsIssuedAt: timestamp() });
+    };
+
+    // The payment provider's webhook.
+    const handlePaymentEvent = async ({ type, data: { object: paymentIntent } }) => {
+        const { raffleId, userId } = paymentIntent.metadata || {};
+        if (!raffleId) return;
+        const purchase = { raffleId, userId, paymentIntentId: paymentIntent.id };
+        if (type === 'payment_intent.succeeded') {
+            const { outcome } = recordPaidEntry(purchase);
+            if (outcome === 'rejected') refundPayment(purchase, 'entry_rejected');
+        } else if (type === 'payment_intent.payment_failed') {
+            store.set(`${paths.purchases(userId)}/${paymentIntent.id}`, {
+                status: 'failed',
+                failureMessage: paymentIntent.last_payment_error?.message || 'The payment failed.',
+            }, { merge: true });
+        }
+    };
+    paymentProvider.onEvent(handlePaymentEvent);
+
+    // --- Draws ---
+    const ensureSeedCommitment = async (raffleId) => {
+        const existing = store.get(paths.drawSeed(raffleId));
+        if (existing) return existing;
+        const seed = randomSeed();
+        const seedHash = await sha256Hex(seed);
+        // Another caller may have committed while the hash was computed; theirs stands.
+        if (store.get(paths.drawSeed(raffleId))) return store.get(paths.drawSeed(raffleId));
+        const commitment = { seed, seedHash, committedAt: timestamp() };
+        store.set(paths.drawSeed(raffleId), commitment);
+        if (store.get(paths.raffle(raffleId))) store.update(paths.raffle(raffleId), { seedHash, seedCommittedAt: commitment.committedAt });
+        return commitment;
+    };
+
+    // Draws until every winner meets the raffle's eligibility rules, as functions/src/draw.js.
+    const drawEligibleWinners = async (raffle, { seed, entries, entriesById, prizes, allowMultipleWins }) => {
+        const disqualifiedEntryIds = [];
+        for (;;) {
+            const result = await drawPrizesFromSeed(seed, entries, prizes, { allowMultipleWins, disqualifiedEntryIds });
+            if (!hasEligibilityRules(raffle)) return { ...result, disqualifiedEntryIds };
+            const ineligible = result.winners.find((winner) => {
+                const { userId } = entriesById.get(winner.entryId);
+                return eligibilityProblem(raffle, store.get(paths.settings(userId, 'eligibility')), now());
+            });
+            if (!ineligible) return { ...result, disqualifiedEntryIds };
+            disqualifiedEntryIds.push(ineligible.entryId);
+        }
+    };
+
+    const performDraw = async (raffleId, drawnBy) => {
+        await ensureSeedCommitment(raffleId);
+        // Hashing is asynchronous, so the draw is computed over a snapshot of the entries and only
+        // recorded if nothing changed meanwhile; otherwise it starts over, like a retried transaction.
+        for (;;) {
+            const raffle = raffleOrThrow(raffleId);
+            const status = raffleStatus(raffle);
+            if (!DRAWABLE_STATUSES.includes(status)) {
+                throw new BackendError('failed-precondition', `A ${STATUS_LABELS[status].toLowerCase()} raffle can't be drawn.`);
+            }
+            const entries = store.list(paths.entries(raffleId));
+            if (!entries.length) throw new BackendError('failed-precondition', 'This raffle has no entries.');
+
+            const entriesById = new Map(entries.map((entry) => [entry.id, entry]));
+            const prizes = prizesFor(raffle).map(({ name, winnerCount }) => ({ name, winnerCount }));
+            const allowMultipleWins = Boolean(raffle.allowMultipleWins);
+            const { seed, seedHash, committedAt } = store.get(paths.drawSeed(raffleId));
+            const result = await drawEligibleWinners(raffle, { seed, entries, entriesById, prizes, allowMultipleWins });
+
+            const current = store.get(paths.raffle(raffleId));
+            const currentIds = store.list(paths.entries(raffleId)).map((entry) => entry.id);
+            if (current?.status !== raffle.status || currentIds.length !== entries.length || currentIds.some((id) => !entriesById.has(id))) continue;
+
+            const winners = result.winners.map(({ prizeIndex, entryId }) => ({ prizeIndex, prizeName: prizes[prizeIndex].name, entryId, userId: entriesById.get(entryId).userId }));
+            const drawId = newId();
+            const drawnAt = timestamp();
+            store.set(`${paths.draws(raffleId)}/${drawId}`, {
+                algorithm: DRAW_ALGORITHM,
+                seed,
+                seedHash,
+                committedAt,
+                entriesHash: result.entriesHash,
+                entryCount: result.entryIds.length,
+                prizes,
+                allowMultipleWins,
+                disqualifiedEntryIds: result.disqualifiedEntryIds,
+                winners: result.winners,
+                drawnBy,
+                drawnAt,
+            });
+            store.update(paths.raffle(raffleId), {
+                status: RAFFLE_STATUS.DRAWN,
+                closedAt: raffle.closedAt || drawnAt,
+                winners,
+                drawId,
+                drawSeed: seed,
+                drawnAt,
+                ...(raffle.liveDraw?.pending && { 'liveDraw.pending': false }),
+            });
+            store.update(paths.drawSeed(raffleId), { revealedAt: drawnAt });
+            notifyEntrants(raffleId, (userId) => drawnNotification(raffleId, { ...raffle, winners }, userId));
+            return { drawId, winners };
+        }
+    };
+
+    // --- Requests ---
+    // What the client may write directly in Firestore is checked by firestore.rules; here, by these.
+    const createRaffle = async (caller, raffle) => {
+        requireCaller(caller, 'create a raffle');
+        if (raffle.creatorId !== caller.uid) throw new BackendError('permission-denied', 'Raffles can only be created under your own account.');
+        const raffleId = newId();
+        store.set(paths.raffle(raffleId), { ...raffle, createdAt: timestamp() });
+        await ensureSeedCommitment(raffleId);
+        return raffleId;
+    };
+
+    const createTicketPaymentIntent = (caller, { raffleId, idempotencyKey, quantity = 1, acceptedRules }) => {
+        requireCaller(caller, 'buy a ticket');
+        if (!raffleId || !idempotencyKey) throw new BackendError('invalid-argument', 'raffleId and idempotencyKey are required.');
+        if (!isValidQuantity(quantity)) throw new BackendError('invalid-argument', `You can buy between 1 and ${MAX_TICKETS_PER_PURCHASE} tickets at a time.`);
+        if (acceptedRules !== true) throw new BackendError('failed-precondition', 'Accept the official rules to enter.');
+
+        const raffle = raffleOrThrow(raffleId);
+        const blockReason = purchaseBlockReason(raffle, { now: now(), quantity, userTicketCount: userTicketCount(raffleId, caller.uid) })
+            || eligibilityProblem(raffle, store.get(paths.settings(caller.uid, 'eligibility')), now());
+        if (blockReason) throw new BackendError('failed-precondition', blockReason);
+
+        const feeSchedule = store.get(paths.config('pricing'))?.platformFee;
+        if (!isValidFeeRule(feeRuleFor(feeSchedule, raffleCurrency(raffle)))) {
+            throw new BackendError('unavailable', 'Ticket sales are temporarily unavailable. Please try again later.');
+        }
+        const { currency, subtotalCents, feeCents, totalCents } = quoteTickets(raffle, quantity, feeSchedule);
+        const paymentIntent = paymentProvider.createPaymentIntent({
+            amount: totalCents,
+            currency: currency.toLowerCase(),
+            description: `${quantity} ticket${quantity === 1 ? '' : 's'} for "${raffle.name}"`,
+            metadata: { raffleId, userId: caller.uid, quantity: String(quantity) },
+        }, { idempotencyKey: `ticket-${caller.uid}-${idempotencyKey}` });
+
+        const purchasePath = `${paths.purchases(caller.uid)}/${paymentIntent.id}`;
+        if (!store.get(purchasePath)) {
+            store.set(purchasePath, {
+                raffleId,
+                raffleName: raffle.name,
+                buyerEmail: caller.email || null,
+                quantity,
+                subtotalCents,
+                feeCents,
+                totalCents,
+                currency,
+                status: 'pending',
+                rulesAcceptedAt: timestamp(),
+                createdAt: timestamp(),
+            });
+        }
+        return { paymentIntentId: paymentIntent.id, clientSecret: paymentIntent.client_secret };
+    };
+
+    const enterForFree = (caller, { raffleId, acceptedRules }) => {
+        requireCaller(caller, 'enter');
+        if (!raffleId) throw new BackendError('invalid-argument', 'raffleId is required.');
+        if (acceptedRules !== true) throw new BackendError('failed-precondition', 'Accept the official rules to enter.');
+
+        const time = now();
+        const userId = caller.uid;
+        const entryId = `free-${userId}-${freeEntryWindow(time)}`;
+        const purchasePath = `${paths.purchases(userId)}/free-${raffleId}-${freeEntryWindow(time)}`;
+        if (store.get(purchasePath)) {
+            throw new BackendError('resource-exhausted', "You've already used your free entry for this raffle today.", { nextFreeEntryAt: nextFreeEntryAt(time) });
+        }
+        const raffle = store.get(paths.raffle(raffleId));
+        const reason = raffle
+            ? purchaseBlockReason(raffle, { now: time, userTicketCount: userTicketCount(raffleId, userId) }) || eligibilityProblem(raffle, store.get(paths.settings(userId, 'eligibility')), time)
+            : 'This raffle no longer exists.';
+        if (reason) throw new BackendError('failed-precondition', reason);
+
+        addEntries(raffleId, raffle, [entryId], { userId, paymentIntentId: null, freeEntry: true }, caller.email);
+        store.set(purchasePath, {
+            raffleId,
+            raffleName: raffle.name,
+            buyerEmail: caller.email || null,
+            quantity: 1,
+            subtotalCents: 0,
+            feeCents: 0,
+            totalCents: 0,
+            currency: raffleCurrency(raffle),
+            freeEntry: true,
+            status: 'succeeded',
+            entryIds: [entryId],
+            rulesAcceptedAt: timestamp(),
+            createdAt: timestamp(),
+        });
+        return { entryId };
+    };
+
+    const drawWinner = (caller, { raffleId }) => {
+        requireCaller(caller, 'draw a winner');
+        const raffle = raffleOrThrow(raffleId);
+        requireCreator(raffle, caller, 'draw a winner');
+        if (raffle.liveDraw?.pending) throw new BackendError('failed-precondition', 'A live draw is scheduled for this raffle; cancel it to draw now.');
+        return performDraw(raffleId, caller.uid);
+    };
+
+    // Raffles with entries are cancelled and refunded rather than deleted, as functions/src/cancellation.js.
+    const deleteRaffle = (caller, { raffleId }) => {
+        requireCaller(caller, 'delete a raffle');
+        const raffle = raffleOrThrow(raffleId);
+        requireCreator(raffle, caller, 'delete a raffle');
+        const status = raffleStatus(raffle);
+        if (status === RAFFLE_STATUS.DRAWN) throw new BackendError('failed-precondition', 'A drawn raffle can no longer be cancelled.');
+        if (status === RAFFLE_STATUS.CANCELLED) return { outcome: 'cancelled' };
+
+        if (!store.list(paths.entries(raffleId)).length) {
+            store.remove(paths.raffle(raffleId));
+            store.remove(paths.drawSeed(raffleId));
+            return { outcome: 'deleted' };
+        }
+        store.update(paths.raffle(raffleId), { status: RAFFLE_STATUS.CANCELLED, cancelledAt: timestamp(), cancelledBy: caller.uid });
+        notifyEntrants(raffleId, () => cancelledNotification(raffleId, raffle));
+        refundCancelledRaffle(raffleId);
+        return { outcome: 'cancelled' };
+    };
+
+    const scheduleLiveDraw = (caller, { raffleId, startsAt }) => {
+        requireCaller(caller, 'schedule a live draw');
+        if (startsAt !== null && !Number.isInteger(startsAt)) throw new BackendError('invalid-argument', 'startsAt must be a time in milliseconds, or null to cancel.');
+        const raffle = raffleOrThrow(raffleId);
+        requireCreator(raffle, caller, 'schedule a live draw');
+
+        if (startsAt === null) {
+            if (!raffle.liveDraw?.pending) throw new BackendError('failed-precondition', 'No live draw is scheduled.');
+            if (toMillis(raffle.liveDraw.startsAt) <= now()) throw new BackendError('failed-precondition', 'The live draw has already started.');
+            store.update(paths.raffle(raffleId), { liveDraw: undefined });
+            return { startsAt: null };
+        }
+        const problem = liveDrawScheduleProblem(raffle, startsAt, now());
+        if (problem) throw new BackendError('failed-precondition', problem);
+        store.update(paths.raffle(raffleId), { liveDraw: { startsAt: new Date(startsAt), pending: true, scheduledBy: caller.uid, scheduledAt: timestamp() } });
+        return { startsAt };
+    };
+
+    // --- Scheduled Jobs ---
+    // What advanceRaffleLifecycle, runLiveDraws and startLiveDraw do on their schedules, and the retries
+    // of refunds that failed.
+    const runScheduledJobs = async () => {
+        const time = now();
+        const raffles = store.list(paths.raffles);
+        const due = (raffle, field) => raffle[field] && toMillis(raffle[field]) <= time;
+
+        raffles.filter((raffle) => raffle.status === RAFFLE_STATUS.DRAFT && due(raffle, 'startsAt'))
+            .forEach((raffle) => store.update(paths.raffle(raffle.id), { status: RAFFLE_STATUS.OPEN, openedAt: timestamp() }));
+
+        raffles.filter((raffle) => needsEndingSoonReminder(raffle, time)).forEach((raffle) => {
+            store.update(paths.raffle(raffle.id), { endingSoonNotifiedAt: timestamp() });
+            notifyEntrants(raffle.id, () => endingSoonNotification(raffle.id, raffle));
+        });
+
+        for (const raffle of raffles.filter((candidate) => [RAFFLE_STATUS.OPEN, RAFFLE_STATUS.SOLD_OUT].includes(candidate.status) && due(candidate, 'endsAt'))) {
+            store.update(paths.raffle(raffle.id), { status: RAFFLE_STATUS.CLOSED, closedAt: timestamp() });
+            await ensureSeedCommitment(raffle.id);
+        }
+
+        store.list(paths.raffles)
+            .filter((raffle) => raffle.status === RAFFLE_STATUS.CANCELLED && !raffle.refundsIssuedAt)
+            .forEach((raffle) => refundCancelledRaffle(raffle.id));
+
+        for (const raffle of store.list(paths.raffles)) {
+            const liveDrawDue = raffle.liveDraw?.pending && due(raffle.liveDraw, 'startsAt');
+            const autoDraw = raffle.status === RAFFLE_STATUS.CLOSED && raffle.entryCount > 0 && !raffle.liveDraw?.pending;
+            if (!liveDrawDue && !autoDraw) continue;
+            try {
+                await performDraw(raffle.id, liveDrawDue ? raffle.liveDraw.scheduledBy : 'system');
+            } catch (error) {
+                console.error("Error running scheduled draw: ", error);
+                if (liveDrawDue && error instanceof BackendError) store.update(paths.raffle(raffle.id), { 'liveDraw.pending': false, 'liveDraw.error': error.message });
+            }
+        }
+    };
+
+    return { createRaffle, createTicketPaymentIntent, enterForFree, drawWinner, deleteRaffle, scheduleLiveDraw, runScheduledJobs };
+};
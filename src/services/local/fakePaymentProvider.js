@@ -0,0 +1,69 @@
+// --- Fake Payment Provider ---
+// Stands in for Stripe in the local backend. It keeps PaymentIntents and refunds in memory, charges
+// nothing, and reports each outcome to the backend's event handler a moment after the buyer confirms,
+// the way Stripe calls the webhook. Which test card the buyer picks decides whether a payment goes through.
+import { newId } from './memoryStore';
+
+export const TEST_CARDS = {
+    success: { label: 'Test card: payment succeeds' },
+    declined: { label: 'Test card: card declined', declineMessage: 'Your card was declined.' },
+    refundFailsOnce: { label: 'Test card: payment succeeds, first refund fails', failsFirstRefund: true },
+};
+
+export const createFakePaymentProvider = ({ eventDelayMs = 0 } = {}) => {
+    const intents = new Map();
+    const intentIdsByKey = new Map();
+    const refundsByKey = new Map();
+    let handleEvent = async () => {};
+
+    const deliver = (type, intent) => setTimeout(() => {
+        handleEvent({ type, data: { object: { ...intent } } }).catch((error) => console.error("Error handling payment event: ", error));
+    }, eventDelayMs);
+
+    // `handler(event)` receives { type, data: { object } } events, as a Stripe webhook does.
+    const onEvent = (handler) => {
+        handleEvent = handler;
+    };
+
+    // Creating twice with the same idempotency key returns the first PaymentIntent.
+    const createPaymentIntent = ({ amount, currency, description, metadata }, { idempotencyKey }) => {
+        if (!intentIdsByKey.has(idempotencyKey)) {
+            const id = `pi_local_${newId()}`;
+            intents.set(id, { id, client_secret: `${id}_secret_${newId()}`, amount, currency, description, metadata, status: 'requires_payment_method' });
+            intentIdsByKey.set(idempotencyKey, id);
+        }
+        return { ...intents.get(intentIdsByKey.get(idempotencyKey)) };
+    };
+
+    // Like stripe.confirmCardPayment: resolves to { paymentIntent } or { error }.
+    const confirmCardPayment = async (clientSecret, card = 'success') => {
+        const intent = [...intents.values()].find((candidate) => candidate.client_secret === clientSecret);
+        if (!intent) return { error: { message: 'This payment could not be found.' } };
+        if (intent.status === 'succeeded') return { paymentIntent: { ...intent } };
+        const { declineMessage } = TEST_CARDS[card] || TEST_CARDS.success;
+        if (declineMessage) {
+            intent.last_payment_error = { message: declineMessage };
+            deliver('payment_intent.payment_failed', intent);
+            return { error: { message: declineMessage } };
+        }
+        intent.status = 'succeeded';
+        intent.card = card;
+        deliver('payment_intent.succeeded', intent);
+        return { paymentIntent: { ...intent } };
+    };
+
+    // Refunds go through at once, except the first one for a card that fails it. Refunding again with
+    // the same idempotency key returns the first refund.
+    const createRefund = ({ payment_intent: paymentIntentId, metadata }, { idempotencyKey }) => {
+        const intent = intents.get(paymentIntentId);
+        if (!intent) throw new Error(`No such PaymentIntent: ${paymentIntentId}`);
+        if (!refundsByKey.has(idempotencyKey)) {
+            const firstRefund = ![...refundsByKey.values()].some((refund) => refund.payment_intent === paymentIntentId);
+            const status = firstRefund && TEST_CARDS[intent.card]?.failsFirstRefund ? 'failed' : 'succeeded';
+            refundsByKey.set(idempotencyKey, { id: `re_local_${newId()}`, payment_intent: paymentIntentId, amount: intent.amount, status, metadata });
+        }
+        return { ...refundsByKey.get(idempotencyKey) };
+    };
+
+    return { onEvent, createPaymentIntent, confirmCardPayment, createRefund };
+};
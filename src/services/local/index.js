@@ -0,0 +1,269 @@
+// --- Local Services ---
+// The services (see ../index.js) without any network: data lives in a memory store for as long as
+// the page is open, the local backend stands in for Cloud Functions and the fake payment provider for
+// Stripe. Direct writes are checked for ownership the way firestore.rules does; the field validation
+// the rules also do is left to the Firebase backend. Accounts, passwords included, never leave memory.
+import { createContext, useContext, useState } from 'react';
+import { maskEmail } from '../../shared/privacy';
+import { BackendError, LOCAL_PATHS as paths, createLocalBackend } from './backend';
+import { TEST_CARDS, createFakePaymentProvider } from './fakePaymentProvider';
+import { createMemoryStore, newId } from './memoryStore';
+
+// How often drafts open, ended raffles close and draw, and live draws start.
+const SCHEDULER_INTERVAL_MS = 5 * 1000;
+// How long the fake provider takes to report a payment, so checkout shows its confirming step.
+const PAYMENT_EVENT_DELAY_MS = 1000;
+
+const EMAIL_PATTERN = /^[^@\s]+@[^@\s]+\.[^@\s]+$/;
+
+const sortValue = (value) => (value instanceof Date ? value.getTime() : value);
+
+// Orders like a Firestore query: by `field`, then by document id.
+const compareBy = (field, direction = 'asc') => (a, b) => {
+    const [x, y] = [sortValue(a[field]), sortValue(b[field])];
+    const order = x < y ? -1 : x > y ? 1 : (a.id < b.id ? -1 : a.id > b.id ? 1 : 0);
+    return direction === 'desc' ? -order : order;
+};
+
+// The page after `cursor`, the id of the last document of the previous page.
+const pageAfter = (docs, cursor, pageSize) => {
+    const start = cursor ? docs.findIndex((candidate) => candidate.id === cursor) + 1 : 0;
+    const page = docs.slice(start, start + pageSize);
+    return { page, cursor: page.length ? page[page.length - 1].id : cursor };
+};
+
+const readAsDataUrl = (file) => new Promise((resolve, reject) => {
+    const reader = new FileReader();
+    reader.onload = () => resolve(reader.result);
+    reader.onerror = () => reject(reader.error);
+    reader.readAsDataURL(file);
+});
+
+export const createLocalServices = ({
+    now = () => Date.now(),
+    schedulerIntervalMs = SCHEDULER_INTERVAL_MS,
+    paymentEventDelayMs = PAYMENT_EVENT_DELAY_MS,
+} = {}) => {
+    const store = createMemoryStore();
+    const paymentProvider = createFakePaymentProvider({ eventDelayMs: paymentEventDelayMs });
+    const backend = createLocalBackend(store, paymentProvider, { now });
+    const timestamp = () => new Date(now());
+
+    // --- Auth ---
+    const accounts = new Map();
+    const authListeners = new Set();
+    let currentUser = null;
+
+    const authError = (code, message) => Object.assign(new Error(message), { code });
+
+    const setCurrentUser = (account) => {
+        currentUser = account && { uid: account.uid, email: account.email };
+        authListeners.forEach((onUser) => onUser(currentUser));
+        return { user: currentUser };
+    };
+
+    const requireUser = (uid) => {
+        if (!currentUser || currentUser.uid !== uid) throw new BackendError('permission-denied', 'Missing or insufficient permissions.');
+    };
+
+    const auth = {
+        onChange: (onUser) => {
+            authListeners.add(onUser);
+            Promise.resolve().then(() => authListeners.has(onUser) && onUser(currentUser));
+            return () => authListeners.delete(onUser);
+        },
+        signUp: async (email, password) => {
+            const key = email.trim().toLowerCase();
+            if (!EMAIL_PATTERN.test(key)) throw authError('auth/invalid-email', 'Please enter a valid email address.');
+            if (password.length < 6) throw authError('auth/weak-password', 'Password should be at least 6 characters.');
+            if (accounts.has(key)) throw authError('auth/email-already-in-use', 'An account already exists for this email.');
+            const account = { uid: newId(), email: key, password };
+            accounts.set(key, account);
+            return setCurrentUser(account);
+        },
+        signIn: async (email, password) => {
+            const account = accounts.get(email.trim().toLowerCase());
+            if (!account || account.password !== password) throw authError('auth/invalid-credential', 'Incorrect email or password.');
+            return setCurrentUser(account);
+        },
+        signOut: async () => {
+            setCurrentUser(null);
+        },
+    };
+
+    // A document as { id, ...fields }, or null when missing.
+    const docAt = (path) => {
+        const data = store.get(path);
+        return data ? { id: path.split('/').pop(), ...data } : null;
+    };
+
+    const watchDoc = (path, onData, onError) => store.watch(() => docAt(path), onData, onError);
+
+    // Only `uid` may watch their own private documents.
+    const watchOwn = (uid, read, onData, onError) => store.watch(() => {
+        requireUser(uid);
+        return read();
+    }, onData, onError);
+
+    // --- Profiles ---
+    // Clients may not write a profile's handle; the server fills it in from the account's email
+    // (functions/src/profiles.js).
+    const withHandle = (uid, fields) => {
+        requireUser(uid);
+        if ('handle' in fields) throw new BackendError('permission-denied', 'Missing or insufficient permissions.');
+        const handle = maskEmail(currentUser.email);
+        return handle ? { ...fields, handle } : fields;
+    };
+
+    const profiles = {
+        get: async (uid) => docAt(paths.profile(uid)),
+        watch: (uid, onData, onError) => watchDoc(paths.profile(uid), onData, onError),
+        create: async (uid, profile) => store.set(paths.profile(uid), withHandle(uid, profile)),
+        update: async (uid, changes) => store.update(paths.profile(uid), withHandle(uid, changes)),
+        watchStats: (uid, onData, onError) => watchDoc(paths.creatorStats(uid), onData, onError),
+    };
+
+    // --- Raffles ---
+    const raffleMatches = ({ searchTerm, status, creatorId, currency, minPriceCents, maxPriceCents, sortField }) => (raffle) => (!searchTerm || (raffle.searchTerms || []).includes(searchTerm))
+        && (!status || raffle.status === status)
+        && (!creatorId || raffle.creatorId === creatorId)
+        && (!currency || raffle.currency === currency)
+        && (minPriceCents === null || raffle.ticketPriceCents >= minPriceCents)
+        && (maxPriceCents === null || raffle.ticketPriceCents <= maxPriceCents)
+        // Firestore leaves documents without the sort field out of the results.
+        && raffle[sortField] !== undefined;
+
+    const entrants = (creatorId, raffleId) => {
+        requireUser(creatorId);
+        return store.list(paths.entrants(creatorId, raffleId));
+    };
+
+    const raffles = {
+        watch: (raffleId, onData, onError) => watchDoc(paths.raffle(raffleId), onData, onError),
+        list: async (filters, cursor) => {
+            const matches = store.list(paths.raffles).filter(raffleMatches(filters)).sort(compareBy(filters.sortField, filters.sortDirection));
+            const { page, cursor: nextCursor } = pageAfter(matches, cursor, filters.pageSize);
+            return { raffles: page, cursor: nextCursor };
+        },
+        watchByCreator: (creatorId, count, onData, onError) => store.watch(() => store.list(paths.raffles)
+            .filter((raffle) => raffle.creatorId === creatorId).sort(compareBy('createdAt', 'desc')).slice(0, count), onData, onError),
+        countByCreator: async (creatorId, status) => store.list(paths.raffles).filter((raffle) => raffle.creatorId === creatorId && raffle.status === status).length,
+        getMany: async (raffleIds) => Object.fromEntries(raffleIds.map((raffleId) => [raffleId, docAt(paths.raffle(raffleId))])),
+        create: async (raffle) => backend.createRaffle(currentUser, raffle),
+        listEntries: async (raffleId, cursor, pageSize) => {
+            const { page, cursor: nextCursor } = pageAfter(store.list(paths.entries(raffleId)).sort(compareBy('createdAt')), cursor, pageSize);
+            return { entries: page, cursor: nextCursor };
+        },
+        allEntries: async (raffleId) => store.list(paths.entries(raffleId)).sort(compareBy('id')),
+        getDrawAudit: async (raffleId, drawId) => docAt(`${paths.draws(raffleId)}/${drawId}`),
+        watchEntrants: (creatorId, raffleId, onData, onError) => store.watch(() => entrants(creatorId, raffleId), onData, onError),
+        getEntrants: async (creatorId, raffleId) => entrants(creatorId, raffleId),
+        checkInViewer: async (raffleId, viewerId) => {
+            store.set(`${paths.viewers(raffleId)}/${viewerId}`, { lastSeenAt: timestamp() });
+            return now();
+        },
+        countViewers: async (raffleId, sinceMs) => store.list(paths.viewers(raffleId)).filter((viewer) => viewer.lastSeenAt.getTime() > sinceMs).length,
+        draw: async (raffleId) => backend.drawWinner(currentUser, { raffleId }),
+        remove: async (raffleId) => backend.deleteRaffle(currentUser, { raffleId }),
+        scheduleLiveDraw: async (raffleId, startsAt) => backend.scheduleLiveDraw(currentUser, { raffleId, startsAt }),
+        enterForFree: async (raffleId, acceptedRules) => backend.enterForFree(currentUser, { raffleId, acceptedRules }),
+        watchConfig: (name, onData, onError) => watchDoc(paths.config(name), onData, onError),
+    };
+
+    // --- Account ---
+    const notifications = (uid) => store.list(paths.notifications(uid)).sort(compareBy('createdAt', 'desc'));
+
+    const account = {
+        watchPurchases: (uid, pageLimit, onData, onError) => watchOwn(uid, () => store.list(paths.purchases(uid)).sort(compareBy('createdAt', 'desc')).slice(0, pageLimit), onData, onError),
+        watchPurchase: (uid, purchaseId, onData, onError) => watchOwn(uid, () => store.list(paths.purchases(uid)).find((purchase) => purchase.id === purchaseId) || null, onData, onError),
+        watchNotifications: (uid, pageLimit, onData, onError) => watchOwn(uid, () => notifications(uid).slice(0, pageLimit), onData, onError),
+        watchUnreadCount: (uid, max, onData, onError) => watchOwn(uid, () => Math.min(notifications(uid).filter((notification) => !notification.read).length, max), onData, onError),
+        markNotificationsRead: async (uid, notificationIds) => {
+            requireUser(uid);
+            notificationIds.forEach((notificationId) => store.update(`${paths.notifications(uid)}/${notificationId}`, { read: true }));
+        },
+        watchNotificationPrefs: (uid, onData, onError) => watchOwn(uid, () => docAt(paths.settings(uid, 'notifications')), onData, onError),
+        saveNotificationPrefs: async (uid, changes) => {
+            requireUser(uid);
+            store.set(paths.settings(uid, 'notifications'), changes, { merge: true });
+        },
+        watchEligibility: (uid, onData, onError) => watchOwn(uid, () => docAt(paths.settings(uid, 'eligibility')), onData, onError),
+        saveEligibility: async (uid, eligibility) => {
+            requireUser(uid);
+            store.set(paths.settings(uid, 'eligibility'), eligibility);
+        },
+        watchRaffleSales: (uid, onData, onError) => watchOwn(uid, () => Object.fromEntries(store.list(paths.raffleSales(uid)).map(({ id, ...sales }) => [id, sales])), onData, onError),
+        watchLedger: (uid, since, onData, onError) => watchOwn(uid, () => store.list(paths.ledger(uid)).filter((line) => line.createdAt >= since).sort(compareBy('createdAt')), onData, onError),
+    };
+
+    // --- Storage ---
+    // There is no resizing pipeline here: every variant is the original, kept inline as a data URL.
+    const storage = {
+        uploadImage: async (userId, file) => {
+            requireUser(userId);
+            const url = await readAsDataUrl(file);
+            return { id: newId(), thumbUrl: url, cardUrl: url, fullUrl: url };
+        },
+    };
+
+    // --- Payments ---
+    // The card input picks a test card instead of taking card details.
+    const TestCardContext = createContext(['success', () => {}]);
+
+    const Provider = ({ children }) => {
+        const testCard = useState('success');
+        return <TestCardContext.Provider value={testCard}>{children}</TestCardContext.Provider>;
+    };
+
+    const CardInput = () => {
+        const [card, setCard] = useContext(TestCardContext);
+        return (
+            <div className="space-y-2">
+                <select value={card} onChange={(e) => setCard(e.target.value)} aria-label="Test card" className="w-full bg-gray-600 p-2 rounded-lg text-white">
+                    {Object.entries(TEST_CARDS).map(([id, { label }]) => <option key={id} value={id}>{label}</option>)}
+                </select>
+                <p className="text-xs text-gray-400">Local demo: no card is charged.</p>
+            </div>
+        );
+    };
+
+    // `card` is one of TEST_CARDS. Resolves to { paymentId } or { error }.
+    const confirmPayment = async ({ clientSecret }, card = 'success') => {
+        const { error, paymentIntent } = await paymentProvider.confirmCardPayment(clientSecret, card);
+        return error ? { error } : { paymentId: paymentIntent.id };
+    };
+
+    const useConfirmPayment = () => {
+        const [card] = useContext(TestCardContext);
+        return (checkout) => confirmPayment(checkout, card);
+    };
+
+    const payments = {
+        enabled: true,
+        Provider,
+        CardInput,
+        useConfirmPayment,
+        confirmPayment,
+        createCheckout: async ({ raffleId, quantity, idempotencyKey, acceptedRules }) => {
+            const { paymentIntentId, clientSecret } = backend.createTicketPaymentIntent(currentUser, { raffleId, quantity, idempotencyKey, acceptedRules });
+            return { paymentId: paymentIntentId, clientSecret };
+        },
+    };
+
+    // --- Scheduler ---
+    const runScheduledJobs = () => backend.runScheduledJobs().catch((error) => console.error("Error running scheduled jobs: ", error));
+    const scheduler = schedulerIntervalMs ? setInterval(runScheduledJobs, schedulerIntervalMs) : null;
+
+    return {
+        name: 'local',
+        auth,
+        profiles,
+        raffles,
+        account,
+        storage,
+        payments,
+        // For tests: run the scheduled jobs now, and stop the timer when done.
+        runScheduledJobs,
+        stop: () => clearInterval(scheduler),
+    };
+};
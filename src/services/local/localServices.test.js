@@ -0,0 +1,220 @@
+// The whole buy → draw flow on the local services: no Firebase, no Stripe, no network.
+import { verifyDraw } from '../../shared/fairDraw';
+import { endingSoonNotification, receiptNotification } from '../../shared/notifications';
+import { prizesFor } from '../../shared/prizes';
+import { RAFFLE_STATUS } from '../../shared/raffleLifecycle';
+import { searchTermsFor } from '../../shared/raffleSearch';
+import { createLocalServices } from '.';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const newRaffle = (creatorId, fields = {}) => ({
+    name: 'Local Raffle',
+    description: 'A raffle that never leaves memory.',
+    images: [],
+    ticketPriceCents: 500,
+    currency: 'USD',
+    searchTerms: searchTermsFor('Local Raffle'),
+    status: RAFFLE_STATUS.OPEN,
+    startsAt: new Date(),
+    endsAt: new Date(Date.now() + DAY_MS),
+    maxTickets: null,
+    maxTicketsPerUser: null,
+    bundles: [],
+    prizes: prizesFor({ name: 'Local Raffle' }),
+    allowMultipleWins: false,
+    officialRules: 'One winner, drawn at random.',
+    eligibility: { minAge: null, regions: [] },
+    entryCount: 0,
+    ticketsSold: 0,
+    winners: [],
+    creatorId,
+    ...fields,
+});
+
+// Resolves to the first value a watch reports that `matches`.
+const waitFor = (watch, matches) => new Promise((resolve, reject) => {
+    const stop = watch((value) => {
+        if (!matches(value)) return;
+        stop();
+        resolve(value);
+    }, reject);
+});
+
+// Notifications are stored under their id rather than with it.
+const omitId = ({ id, ...notification }) => notification;
+
+const signUp = async (services, email) => (await services.auth.signUp(email, 'password123')).user;
+
+const buyTickets = async (services, raffleId, quantity, card) => {
+    const checkout = await services.payments.createCheckout({ raffleId, quantity, idempotencyKey: `${raffleId}-${quantity}-${card}`, acceptedRules: true });
+    return services.payments.confirmPayment(checkout, card);
+};
+
+describe('local services', () => {
+    let services;
+
+    beforeEach(() => {
+        services = createLocalServices({ schedulerIntervalMs: 0, paymentEventDelayMs: 0 });
+    });
+
+    afterEach(() => services.stop());
+
+    it('runs a raffle from ticket sales to a verifiable draw', async () => {
+        const creator = await signUp(services, 'creator@example.com');
+        const raffleId = await services.raffles.create(newRaffle(creator.uid));
+        await services.auth.signOut();
+
+        const buyer = await signUp(services, 'buyer@example.com');
+        const { paymentId, error } = await buyTickets(services, raffleId, 3, 'success');
+        expect(error).toBeUndefined();
+        const purchase = await waitFor((onData, onError) => services.account.watchPurchase(buyer.uid, paymentId, onData, onError),
+            (value) => value?.status === 'succeeded');
+        expect(purchase).toMatchObject({ quantity: 3, subtotalCents: 1500, status: 'succeeded' });
+        expect(purchase.entryIds).toHaveLength(3);
+        await services.auth.signOut();
+
+        await services.auth.signIn('creator@example.com', 'password123');
+        const { drawId, winners } = await services.raffles.draw(raffleId);
+        expect(winners).toEqual([expect.objectContaining({ userId: buyer.uid, prizeIndex: 0 })]);
+
+        const raffle = await waitFor((onData, onError) => services.raffles.watch(raffleId, onData, onError), (value) => value.status === RAFFLE_STATUS.DRAWN);
+        expect(raffle).toMatchObject({ entryCount: 3, drawId });
+        const audit = await services.raffles.getDrawAudit(raffleId, drawId);
+        const verification = await verifyDraw(audit, await services.raffles.allEntries(raffleId));
+        expect(verification.checks.filter((check) => !check.ok)).toEqual([]);
+        expect(verification.valid).toBe(true);
+
+        const sales = await waitFor((onData, onError) => services.account.watchRaffleSales(creator.uid, onData, onError), (value) => value[raffleId]);
+        expect(sales[raffleId]).toMatchObject({ ticketsSold: 3, grossCents: purchase.totalCents, netCents: 1500 });
+        const roster = await services.raffles.getEntrants(creator.uid, raffleId);
+        expect(roster).toEqual([expect.objectContaining({ userId: buyer.uid, email: 'buyer@example.com', tickets: 3 })]);
+
+        await services.auth.signOut();
+        await services.auth.signIn('buyer@example.com', 'password123');
+        const notifications = await waitFor((onData, onError) => services.account.watchNotifications(buyer.uid, 10, onData, onError), (value) => value.length === 2);
+        expect(notifications.map((notification) => notification.type).sort()).toEqual(['drawn', 'receipt']);
+    });
+
+    it('records a declined card as a failed purchase without entering the buyer', async () => {
+        const creator = await signUp(services, 'creator@example.com');
+        const raffleId = await services.raffles.create(newRaffle(creator.uid));
+        const buyer = await signUp(services, 'buyer@example.com');
+
+        const { error } = await buyTickets(services, raffleId, 1, 'declined');
+        expect(error.message).toBe('Your card was declined.');
+        const [purchase] = await waitFor((onData, onError) => services.account.watchPurchases(buyer.uid, 10, onData, onError),
+            (value) => value[0]?.status === 'failed');
+        expect(purchase.failureMessage).toBe('Your card was declined.');
+        expect((await services.raffles.listEntries(raffleId, null, 25)).entries).toEqual([]);
+    });
+
+    it('turns away entries whose buyer has not accepted the official rules', async () => {
+        const creator = await signUp(services, 'creator@example.com');
+        const raffleId = await services.raffles.create(newRaffle(creator.uid));
+        await signUp(services, 'buyer@example.com');
+
+        await expect(services.payments.createCheckout({ raffleId, quantity: 1, idempotencyKey: 'no-rules', acceptedRules: false }))
+            .rejects.toMatchObject({ code: 'failed-precondition' });
+        await expect(services.raffles.enterForFree(raffleId, false)).rejects.toMatchObject({ code: 'failed-precondition' });
+        expect((await services.raffles.listEntries(raffleId, null, 25)).entries).toEqual([]);
+    });
+
+    it('retries a cancelled raffle\'s failed refund on the next run', async () => {
+        const creator = await signUp(services, 'creator@example.com');
+        const raffleId = await services.raffles.create(newRaffle(creator.uid));
+        await services.auth.signOut();
+        const buyer = await signUp(services, 'buyer@example.com');
+        const { paymentId } = await buyTickets(services, raffleId, 2, 'refundFailsOnce');
+        await waitFor((onData, onError) => services.account.watchPurchase(buyer.uid, paymentId, onData, onError), (value) => value?.status === 'succeeded');
+        await services.auth.signOut();
+
+        await services.auth.signIn('creator@example.com', 'password123');
+        await services.raffles.remove(raffleId);
+        const cancelled = await waitFor((onData, onError) => services.raffles.watch(raffleId, onData, onError), (value) => value.status === RAFFLE_STATUS.CANCELLED);
+        expect(cancelled.refundsIssuedAt).toBeUndefined();
+        const [failedEntry] = (await services.raffles.listEntries(raffleId, null, 25)).entries;
+        expect(failedEntry).toMatchObject({ refundStatus: 'failed', refundAttempt: 0 });
+
+        await services.runScheduledJobs();
+        const refunded = await waitFor((onData, onError) => services.raffles.watch(raffleId, onData, onError), (value) => Boolean(value.refundsIssuedAt));
+        expect(refunded.status).toBe(RAFFLE_STATUS.CANCELLED);
+        const entries = (await services.raffles.listEntries(raffleId, null, 25)).entries;
+        expect(entries.map((entry) => [entry.refundStatus, entry.refundAttempt])).toEqual([['succeeded', 1], ['succeeded', 1]]);
+        const sales = await waitFor((onData, onError) => services.account.watchRaffleSales(creator.uid, onData, onError), (value) => value[raffleId]);
+        expect(sales[raffleId]).toMatchObject({ ticketsSold: 0, refundCount: 1 });
+    });
+
+    it('reminds entrants a day before a raffle ends, in the same words as the functions', async () => {
+        const creator = await signUp(services, 'creator@example.com');
+        const endsAt = new Date(Date.now() + DAY_MS / 2);
+        const raffleId = await services.raffles.create(newRaffle(creator.uid, { endsAt }));
+        await services.auth.signOut();
+        const buyer = await signUp(services, 'buyer@example.com');
+        const { paymentId } = await buyTickets(services, raffleId, 1, 'success');
+        const purchase = await waitFor((onData, onError) => services.account.watchPurchase(buyer.uid, paymentId, onData, onError), (value) => value?.status === 'succeeded');
+
+        await services.runScheduledJobs();
+        await services.runScheduledJobs();
+        const notifications = await waitFor((onData, onError) => services.account.watchNotifications(buyer.uid, 10, onData, onError), (value) => value.length === 2);
+        const raffle = await waitFor((onData, onError) => services.raffles.watch(raffleId, onData, onError), (value) => Boolean(value));
+        expect(notifications).toEqual(expect.arrayContaining([
+            expect.objectContaining(omitId(endingSoonNotification(raffleId, raffle))),
+            expect.objectContaining(omitId(receiptNotification(paymentId, purchase))),
+        ]));
+    });
+
+    it('keeps private documents to their owner', async () => {
+        const creator = await signUp(services, 'creator@example.com');
+        const raffleId = await services.raffles.create(newRaffle(creator.uid));
+        await signUp(services, 'someone@example.com');
+
+        await expect(services.raffles.getEntrants(creator.uid, raffleId)).rejects.toMatchObject({ code: 'permission-denied' });
+        await expect(services.profiles.update(creator.uid, { bio: 'Not yours.' })).rejects.toMatchObject({ code: 'permission-denied' });
+        await expect(services.raffles.draw(raffleId)).rejects.toMatchObject({ code: 'permission-denied' });
+    });
+
+    it('gives a profile the handle of its own email, whatever the client sends', async () => {
+        const user = await signUp(services, 'jane.doe@example.com');
+
+        await expect(services.profiles.create(user.uid, { displayName: 'Jane', bio: '', handle: 'a***@example' })).rejects.toMatchObject({ code: 'permission-denied' });
+        await services.profiles.create(user.uid, { displayName: 'Jane', bio: '', publicNameMode: 'handle' });
+        await expect(services.profiles.get(user.uid)).resolves.toMatchObject({ handle: 'j***@example' });
+    });
+
+    it('pages through filtered, sorted raffles', async () => {
+        const creator = await signUp(services, 'creator@example.com');
+        for (const priceCents of [300, 100, 200]) {
+            await services.raffles.create(newRaffle(creator.uid, { ticketPriceCents: priceCents }));
+        }
+        await services.raffles.create(newRaffle(creator.uid, { ticketPriceCents: 250, currency: 'EUR' }));
+        const filters = { searchTerm: '', status: '', creatorId: '', currency: 'USD', minPriceCents: 150, maxPriceCents: null, sortField: 'ticketPriceCents', sortDirection: 'asc', pageSize: 1 };
+
+        const first = await services.raffles.list(filters, null);
+        const second = await services.raffles.list(filters, first.cursor);
+        const third = await services.raffles.list(filters, second.cursor);
+        expect([...first.raffles, ...second.raffles].map((raffle) => raffle.ticketPriceCents)).toEqual([200, 300]);
+        expect(third.raffles).toEqual([]);
+    });
+
+    it("watches a page of a creator's raffles and counts all of them", async () => {
+        const creator = await signUp(services, 'creator@example.com');
+        for (const status of [RAFFLE_STATUS.OPEN, RAFFLE_STATUS.OPEN, RAFFLE_STATUS.DRAWN]) {
+            await services.raffles.create(newRaffle(creator.uid, { status }));
+        }
+
+        const page = await waitFor((onData, onError) => services.raffles.watchByCreator(creator.uid, 2, onData, onError), () => true);
+        expect(page).toHaveLength(2);
+        await expect(services.raffles.countByCreator(creator.uid, RAFFLE_STATUS.OPEN)).resolves.toBe(2);
+        await expect(services.raffles.countByCreator(creator.uid, RAFFLE_STATUS.DRAWN)).resolves.toBe(1);
+    });
+
+    it('reads several raffles at once, with null for deleted ones', async () => {
+        const creator = await signUp(services, 'creator@example.com');
+        const raffleId = await services.raffles.create(newRaffle(creator.uid));
+
+        const raffles = await services.raffles.getMany([raffleId, 'deleted-raffle']);
+        expect(raffles[raffleId]).toMatchObject({ id: raffleId, name: 'Local Raffle' });
+        expect(raffles['deleted-raffle']).toBeNull();
+    });
+});
@@ -0,0 +1,109 @@
+// --- In-Memory Document Store ---
+// The local backend's database: documents keyed by slash-separated path ('raffles/r1/entries/e1'),
+// like Firestore's, held in a Map for the life of the page. Reads hand out copies, so callers can't
+// change stored data behind the store's back. Everything runs on one thread, so a sequence of reads
+// and writes with no `await` in between is as good as a transaction.
+
+// Deep copy that keeps Dates, which stand in for Firestore Timestamps.
+const copy = (value) => {
+    if (value instanceof Date) return new Date(value.getTime());
+    if (Array.isArray(value)) return value.map(copy);
+    if (value && typeof value === 'object') return Object.fromEntries(Object.entries(value).map(([key, field]) => [key, copy(field)]));
+    return value;
+};
+
+const isPlainObject = (value) => Boolean(value) && typeof value === 'object' && !Array.isArray(value) && !(value instanceof Date);
+
+// Nested objects are merged field by field, as with Firestore's `{ merge: true }`.
+const deepMerge = (target, changes) => {
+    const merged = { ...target };
+    Object.entries(changes).forEach(([key, value]) => {
+        merged[key] = isPlainObject(value) && isPlainObject(merged[key]) ? deepMerge(merged[key], value) : value;
+    });
+    return merged;
+};
+
+// 'liveDraw.pending' updates one field of a nested object; `undefined` deletes the field.
+const applyUpdate = (data, changes) => {
+    const updated = copy(data);
+    Object.entries(changes).forEach(([fieldPath, value]) => {
+        const keys = fieldPath.split('.');
+        const last = keys.pop();
+        const parent = keys.reduce((object, key) => {
+            if (!isPlainObject(object[key])) object[key] = {};
+            return object[key];
+        }, updated);
+        if (value === undefined) delete parent[last];
+        else parent[last] = copy(value);
+    });
+    return updated;
+};
+
+const parentOf = (path) => path.slice(0, path.lastIndexOf('/'));
+const idOf = (path) => path.slice(path.lastIndexOf('/') + 1);
+
+// Firestore-style auto ids: 20 letters and digits.
+const ID_ALPHABET = 'ABCDEFGHIJKLMNOPQRSTUVWXYZabcdefghijklmnopqrstuvwxyz0123456789';
+export const newId = () => Array.from({ length: 20 }, () => ID_ALPHABET.charAt(Math.floor(Math.random() * ID_ALPHABET.length))).join('');
+
+export const createMemoryStore = () => {
+    const docs = new Map();
+    const watchers = new Set();
+    let notifyQueued = false;
+
+    // Watchers rerun once after each burst of writes and hear back only when their result changed.
+    const notify = () => {
+        if (notifyQueued) return;
+        notifyQueued = true;
+        Promise.resolve().then(() => {
+            notifyQueued = false;
+            watchers.forEach((watcher) => watcher.run());
+        });
+    };
+
+    const get = (path) => (docs.has(path) ? copy(docs.get(path)) : null);
+
+    const set = (path, data, { merge = false } = {}) => {
+        docs.set(path, copy(merge && docs.has(path) ? deepMerge(docs.get(path), data) : data));
+        notify();
+    };
+
+    const update = (path, changes) => {
+        if (!docs.has(path)) throw new Error(`No document to update at ${path}.`);
+        docs.set(path, applyUpdate(docs.get(path), changes));
+        notify();
+    };
+
+    const remove = (path) => {
+        docs.delete(path);
+        notify();
+    };
+
+    // The documents directly inside a collection, as [{ id, ...data }].
+    const list = (collectionPath) => [...docs.entries()]
+        .filter(([path]) => parentOf(path) === collectionPath)
+        .map(([path, data]) => ({ id: idOf(path), ...copy(data) }));
+
+    // Calls `onData(read())` now and whenever a write changes what `read` returns. Returns the unsubscribe.
+    const watch = (read, onData, onError = (error) => console.error('Error in local watcher: ', error)) => {
+        let last;
+        const watcher = {
+            run: () => {
+                try {
+                    const result = read();
+                    const serialized = JSON.stringify(result);
+                    if (serialized === last) return;
+                    last = serialized;
+                    onData(result);
+                } catch (error) {
+                    onError(error);
+                }
+            },
+        };
+        watchers.add(watcher);
+        Promise.resolve().then(() => watchers.has(watcher) && watcher.run());
+        return () => watchers.delete(watcher);
+    };
+
+    return { get, set, update, remove, list, watch };
+};
@@ -0,0 +1,43 @@
+// --- Stripe Payments ---
+// Checkout on Stripe: createTicketPaymentIntent (functions/src/payments.js) prices the tickets and
+// creates the PaymentIntent, Stripe Elements takes the card, and the webhook settles the purchase.
+import { loadStripe } from '@stripe/stripe-js';
+import { CardElement, Elements, useElements, useStripe } from '@stripe/react-stripe-js';
+
+const CARD_STYLE = {
+    base: { color: '#FFFFFF', fontFamily: '"Helvetica Neue", Helvetica, sans-serif', '::placeholder': { color: '#aab7c4' } },
+    invalid: { color: '#fa755a', iconColor: '#fa755a' },
+};
+
+// `call(name, data)` calls a callable Cloud Function and resolves to its result.
+export const createStripePayments = ({ publishableKey, call }) => {
+    // Stripe.js itself always comes from js.stripe.com; it is fetched the first time checkout opens.
+    let stripePromise = null;
+
+    const Provider = ({ children }) => {
+        stripePromise = stripePromise || loadStripe(publishableKey);
+        return <Elements stripe={stripePromise}>{children}</Elements>;
+    };
+
+    const CardInput = () => <CardElement options={{ style: CARD_STYLE }} />;
+
+    // Null until Stripe has loaded.
+    const useConfirmPayment = () => {
+        const stripe = useStripe();
+        const elements = useElements();
+        if (!stripe || !elements) return null;
+        return async ({ clientSecret }) => {
+            const { error, paymentIntent } = await stripe.confirmCardPayment(clientSecret, {
+                payment_method: { card: elements.getElement(CardElement) },
+            });
+            return error ? { error } : { paymentId: paymentIntent.id };
+        };
+    };
+
+    const createCheckout = async ({ raffleId, quantity, idempotencyKey, acceptedRules }) => {
+        const { paymentIntentId, clientSecret } = await call('createTicketPaymentIntent', { raffleId, idempotencyKey, quantity, acceptedRules });
+        return { paymentId: paymentIntentId, clientSecret };
+    };
+
+    return { enabled: Boolean(publishableKey), Provider, CardInput, useConfirmPayment, createCheckout };
+};
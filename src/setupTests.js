@@ -0,0 +1,10 @@
+// Jest runs in jsdom, which leaves out some of the browser's own APIs that the draw code and the
+// Firebase SDK rely on: Web Crypto, TextEncoder and ReadableStream. Node's implementations of the same
+// standards stand in for them.
+import { webcrypto } from 'crypto';
+import { ReadableStream } from 'stream/web';
+import { TextDecoder, TextEncoder } from 'util';
+
+if (!global.crypto?.subtle) Object.defineProperty(global, 'crypto', { value: webcrypto, configurable: true });
+if (!global.TextEncoder) Object.assign(global, { TextEncoder, TextDecoder });
+if (!global.ReadableStream) Object.assign(global, { ReadableStream });
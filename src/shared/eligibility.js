@@ -0,0 +1,58 @@
+// --- Eligibility ---
+// Creators publish official rules with each raffle and may limit entry by minimum age and region.
+// Entrants declare their date of birth and region once (artifacts/{appId}/users/{uid}/settings/eligibility)
+// and accept a raffle's rules before each entry, paid or free. Shared so the raffle page explains
+// exactly what the server checks at entry and again for each winner at the draw.
+
+export const MAX_OFFICIAL_RULES_LENGTH = 20000;
+export const MAX_ELIGIBLE_REGIONS = 50;
+
+// ISO 3166 codes: a country ('US') or one of its subdivisions ('US-CA'). A country allows all of
+// its subdivisions.
+export const REGION_PATTERN = /^[A-Z]{2}(-[A-Z0-9]{1,3})?$/;
+
+// The free "no purchase necessary" entry: one per person per raffle in each window.
+export const FREE_ENTRY_INTERVAL_MS = 24 * 60 * 60 * 1000;
+
+export const freeEntryWindow = (now = Date.now()) => Math.floor(now / FREE_ENTRY_INTERVAL_MS);
+
+export const nextFreeEntryAt = (now = Date.now()) => (freeEntryWindow(now) + 1) * FREE_ENTRY_INTERVAL_MS;
+
+// 'us-ca, GB' -> ['US-CA', 'GB']; anything that isn't a region code is dropped.
+export const parseRegions = (text) => [...new Set(String(text || '')
+    .split(/[\s,]+/)
+    .map((code) => code.trim().toUpperCase())
+    .filter((code) => REGION_PATTERN.test(code)))];
+
+// Whole years between a 'YYYY-MM-DD' birth date and `now`.
+export const ageOn = (birthDate, now = Date.now()) => {
+    const [year, month, day] = birthDate.split('-').map(Number);
+    const today = new Date(now);
+    const hadBirthday = today.getUTCMonth() + 1 > month || (today.getUTCMonth() + 1 === month && today.getUTCDate() >= day);
+    return today.getUTCFullYear() - year - (hadBirthday ? 0 : 1);
+};
+
+export const regionAllowed = (region, allowedRegions) => !allowedRegions?.length
+    || allowedRegions.some((allowed) => region === allowed || region.startsWith(`${allowed}-`));
+
+export const hasEligibilityRules = (raffle) => Boolean(raffle.eligibility?.minAge || raffle.eligibility?.regions?.length);
+
+export const describeEligibility = (raffle) => {
+    const { minAge, regions } = raffle.eligibility || {};
+    const parts = [
+        minAge && `${minAge} or older`,
+        regions?.length && `living in ${regions.join(', ')}`,
+    ].filter(Boolean);
+    return parts.length ? `Open to entrants ${parts.join(' and ')}.` : 'Open to all entrants.';
+};
+
+// Why the person who declared `eligibility` ({ birthDate, region }, or null if they haven't) can't
+// enter or win `raffle`, or null if they can.
+export const eligibilityProblem = (raffle, eligibility, now = Date.now()) => {
+    if (!hasEligibilityRules(raffle)) return null;
+    const { minAge, regions } = raffle.eligibility;
+    if (!eligibility?.birthDate || !eligibility?.region) return 'Add your date of birth and region to enter this raffle.';
+    if (minAge && ageOn(eligibility.birthDate, now) < minAge) return `You must be ${minAge} or older to enter this raffle.`;
+    if (!regionAllowed(eligibility.region, regions)) return `This raffle is only open to entrants in ${regions.join(', ')}.`;
+    return null;
+};
@@ -0,0 +1,103 @@
+// --- Provably Fair Draw ---
+// Commit–reveal draw shared by the browser (to verify) and Cloud Functions (to draw).
+// The server commits to sha256(seed) before the draw, reveals the seed when drawing, and
+// every winner index is derived from the seed plus a hash of the frozen entry list, so anyone
+// can recompute the result from the published audit record.
+//
+// v1 drew a single winner. v2 draws each prize tier in order, without replacement: pick n uses
+// sha256(`${seed}:${entriesHash}:${n}`) over the entries still in the pool. A pick that lands on an
+// entry disqualified at the draw (its holder failed the eligibility rules) is recorded as passed
+// over, the holder leaves the pool and the next pick fills the slot.
+import { toMillis } from './raffleLifecycle.js';
+
+export const DRAW_ALGORITHM_V1 = 'sha256-commit-reveal-v1';
+export const DRAW_ALGORITHM = 'sha256-commit-reveal-v2';
+
+const encoder = new TextEncoder();
+
+export const sha256Hex = async (text) => {
+    const digest = await crypto.subtle.digest('SHA-256', encoder.encode(text));
+    return Array.from(new Uint8Array(digest), (byte) => byte.toString(16).padStart(2, '0')).join('');
+};
+
+// Entries are hashed in id order so the result doesn't depend on how they were read.
+const sortById = (entries) => [...entries].sort((a, b) => (a.id < b.id ? -1 : a.id > b.id ? 1 : 0));
+
+export const canonicalEntryIds = (entries) => sortById(entries).map((entry) => entry.id);
+
+export const hashEntryIds = (entryIds) => sha256Hex(entryIds.join('\n'));
+
+// The 256-bit digest reduced modulo `count`, one hex digit at a time so it stays exact
+// without BigInt. The modulo bias is negligible for any real raffle.
+const digestModulo = (digest, count) => [...digest].reduce((acc, hexDigit) => (acc * 16 + parseInt(hexDigit, 16)) % count, 0);
+
+export const winnerIndexFor = async (seed, entriesHash, entryCount) => digestModulo(await sha256Hex(`${seed}:${entriesHash}`), entryCount);
+
+const pickIndexFor = async (seed, entriesHash, pick, poolSize) => digestModulo(await sha256Hex(`${seed}:${entriesHash}:${pick}`), poolSize);
+
+// Draws `prizes` ([{ winnerCount }], in order) from `entries` ([{ id, userId }]). Unless
+// `allowMultipleWins`, a winner's other entries leave the pool too, so nobody wins twice.
+// A tier gets fewer winners than it asked for only when the pool runs out. Without
+// `disqualifiedEntryIds`, pick n is always the nth winner, as before disqualification existed.
+export const drawPrizesFromSeed = async (seed, entries, prizes, { allowMultipleWins = false, disqualifiedEntryIds = [] } = {}) => {
+    if (!entries.length) throw new Error('Cannot draw a raffle with no entries.');
+    const sorted = sortById(entries);
+    const entriesHash = await hashEntryIds(sorted.map((entry) => entry.id));
+    const disqualified = new Set(disqualifiedEntryIds);
+
+    let pool = sorted;
+    let pick = 0;
+    const winners = [];
+    const passedOver = [];
+    for (const [prizeIndex, prize] of prizes.entries()) {
+        let filled = 0;
+        while (filled < prize.winnerCount && pool.length) {
+            const poolIndex = await pickIndexFor(seed, entriesHash, pick, pool.length);
+            pick += 1;
+            const picked = pool[poolIndex];
+            if (disqualified.has(picked.id)) {
+                passedOver.push({ prizeIndex, entryId: picked.id, poolIndex });
+                pool = pool.filter((entry) => entry.id !== picked.id && entry.userId !== picked.userId);
+                continue;
+            }
+            winners.push({ prizeIndex, entryId: picked.id, poolIndex });
+            filled += 1;
+            pool = pool.filter((entry) => entry.id !== picked.id && (allowMultipleWins || entry.userId !== picked.userId));
+        }
+    }
+    return { entryIds: sorted.map((entry) => entry.id), entriesHash, winners, passedOver };
+};
+
+// Recomputes every step of a draw from its audit record. `entries` is the raffle's full entry
+// list as currently published; hashing it must reproduce the hash the draw was computed over.
+export const verifyDraw = async (audit, entries) => {
+    const checks = [];
+    const check = (label, ok) => checks.push({ label, ok: Boolean(ok) });
+
+    check('Algorithm is supported', [DRAW_ALGORITHM_V1, DRAW_ALGORITHM].includes(audit.algorithm));
+    check('Revealed seed matches the committed hash', (await sha256Hex(audit.seed)) === audit.seedHash);
+    check('Seed was committed before the draw', audit.committedAt && audit.drawnAt && toMillis(audit.committedAt) <= toMillis(audit.drawnAt));
+
+    const entryIds = canonicalEntryIds(entries);
+    check('Published entry count matches the draw', entryIds.length === audit.entryCount);
+    const entriesHash = await hashEntryIds(entryIds);
+    check('Published entries hash to the drawn entry list', entriesHash === audit.entriesHash);
+
+    if (audit.algorithm === DRAW_ALGORITHM_V1) {
+        const winnerIndex = entryIds.length ? await winnerIndexFor(audit.seed, entriesHash, entryIds.length) : -1;
+        check('Recomputed winner matches the recorded winner',
+            winnerIndex === audit.winnerIndex && entryIds[winnerIndex] === audit.winnerEntryId);
+        return { valid: checks.every((c) => c.ok), checks, winners: [{ prizeIndex: 0, entryId: entryIds[winnerIndex] }] };
+    }
+
+    const { winners } = entries.length
+        ? await drawPrizesFromSeed(audit.seed, entries, audit.prizes, {
+            allowMultipleWins: audit.allowMultipleWins,
+            disqualifiedEntryIds: audit.disqualifiedEntryIds || [],
+        })
+        : { winners: [] };
+    check('Recomputed winners match the recorded winners, prize by prize',
+        winners.length === audit.winners.length
+        && winners.every((w, i) => w.prizeIndex === audit.winners[i].prizeIndex && w.entryId === audit.winners[i].entryId));
+    return { valid: checks.every((c) => c.ok), checks, winners };
+};
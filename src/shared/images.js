@@ -0,0 +1,29 @@
+// --- Images ---
+// The browser uploads originals to uploads/{appId}/{uid}/{uploadId}. functions/src/images.js checks
+// each one, strips its metadata, writes resized WebP variants and reports back in the uploader's
+// artifacts/{appId}/users/{uid}/imageUploads/{uploadId}. Shared so the browser turns away the same
+// files the pipeline would.
+
+export const ACCEPTED_IMAGE_TYPES = ['image/jpeg', 'image/png', 'image/webp'];
+export const MAX_IMAGE_BYTES = 5 * 1024 * 1024;
+export const MAX_RAFFLE_IMAGES = 8;
+
+// Longest edge in pixels: `thumb` for list cards and gallery strips, `card` for the detail page,
+// `full` for viewing an image on its own.
+export const IMAGE_VARIANTS = {
+    thumb: 480,
+    card: 1024,
+    full: 2048,
+};
+
+export const imageFileProblem = (file) => {
+    if (!ACCEPTED_IMAGE_TYPES.includes(file.type)) return `"${file.name}" is not a JPEG, PNG or WebP image.`;
+    if (file.size > MAX_IMAGE_BYTES) return `"${file.name}" is larger than ${MAX_IMAGE_BYTES / 1024 / 1024} MB.`;
+    return null;
+};
+
+// Raffles from before the pipeline have a single full-size `imageUrl`.
+export const raffleImages = (raffle) => {
+    if (raffle.images?.length) return raffle.images;
+    return raffle.imageUrl ? [{ id: 'original', thumbUrl: raffle.imageUrl, cardUrl: raffle.imageUrl, fullUrl: raffle.imageUrl }] : [];
+};
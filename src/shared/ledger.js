@@ -0,0 +1,27 @@
+// --- Creator Sales Ledger ---
+// What a sale or a refund books against the creator: the ledger line's amounts, and what it adds to
+// the raffle's running sales totals and to the creator's public track record. Amounts are minor units
+// of the raffle's `currency`: `grossCents` is what the buyer paid, `feeCents` the platform fee added
+// at checkout and `netCents` the creator's payout. Refunds carry the same fields negated.
+import { DEFAULT_CURRENCY } from './ticketPricing.js';
+
+// `sign` is 1 for a sale and -1 for its refund.
+export const ledgerAmounts = (purchase, sign) => ({
+    currency: (purchase.currency || DEFAULT_CURRENCY).toUpperCase(),
+    quantity: sign * (purchase.quantity || 1),
+    grossCents: sign * (purchase.totalCents || 0),
+    feeCents: sign * (purchase.feeCents || 0),
+    netCents: sign * (purchase.subtotalCents || 0),
+});
+
+// { field: amount to add } for the raffle's sales totals.
+export const salesTotalsChange = (type, amounts) => ({
+    ticketsSold: amounts.quantity,
+    grossCents: amounts.grossCents,
+    feeCents: amounts.feeCents,
+    netCents: amounts.netCents,
+    ...(type === 'refund' && { refundedCents: -amounts.grossCents, refundCount: 1 }),
+});
+
+// { field: amount to add } for the creator's track record.
+export const creatorStatsChange = (type, amounts) => ({ [type === 'refund' ? 'ticketsRefunded' : 'ticketsSold']: Math.abs(amounts.quantity) });
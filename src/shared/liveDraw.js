@@ -0,0 +1,73 @@
+// --- Live Draws ---
+// A creator may schedule a raffle's draw for a set time so entrants can watch it together. The raffle
+// carries `liveDraw: { startsAt, pending, scheduledBy }` until the server draws it at that time; the
+// countdown and the reveal that follows are computed from server timestamps alone (`liveDraw.startsAt`,
+// then `drawnAt`), so every viewer sees each step at the same moment. Shared with the functions, which
+// validate the schedule.
+import { prizesFor, winnersFor } from './prizes.js';
+import { RAFFLE_STATUS, raffleStatus, toMillis } from './raffleLifecycle.js';
+
+// Long enough for entrants to see the announcement and gather.
+export const LIVE_DRAW_MIN_LEAD_MS = 2 * 60 * 1000;
+export const LIVE_DRAW_MAX_LEAD_MS = 30 * 24 * 60 * 60 * 1000;
+
+// From the draw being recorded to the first reveal, then between reveals.
+export const REVEAL_DELAY_MS = 5000;
+export const REVEAL_STEP_MS = 4000;
+
+// A viewer counts as watching while their page has checked in within this window.
+export const VIEWER_HEARTBEAT_MS = 20 * 1000;
+export const VIEWER_TIMEOUT_MS = 3 * VIEWER_HEARTBEAT_MS;
+
+export const LIVE_DRAW_PHASE = {
+    SCHEDULED: 'scheduled',
+    DRAWING: 'drawing',
+    REVEALING: 'revealing',
+    DONE: 'done',
+    FAILED: 'failed',
+};
+
+// Why `raffle` can't have a live draw at `startsAt` (ms), or null if it can.
+export const liveDrawScheduleProblem = (raffle, startsAt, now = Date.now()) => {
+    const status = raffleStatus(raffle);
+    if (status === RAFFLE_STATUS.DRAWN) return 'This raffle has already been drawn.';
+    if (status === RAFFLE_STATUS.CANCELLED) return 'This raffle was cancelled.';
+    if (raffle.liveDraw?.pending && toMillis(raffle.liveDraw.startsAt) <= now) return 'The live draw has already started.';
+    if (!Number.isFinite(startsAt) || startsAt < now + LIVE_DRAW_MIN_LEAD_MS) return 'Schedule the live draw at least 2 minutes from now.';
+    if (startsAt > now + LIVE_DRAW_MAX_LEAD_MS) return 'Schedule the live draw within the next 30 days.';
+    return null;
+};
+
+// Winners in the order they are revealed, the lowest prize first and the top prize last, each with
+// the time it is revealed: [{ ...winner, prize, revealAt }]. `startAt` defaults to the synchronized
+// start; a replay passes its own.
+export const revealTimeline = (raffle, startAt = toMillis(raffle.drawnAt) + REVEAL_DELAY_MS) => {
+    const prizes = prizesFor(raffle);
+    const winners = winnersFor(raffle);
+    return prizes
+        .map((prize, prizeIndex) => winners.filter((winner) => winner.prizeIndex === prizeIndex).map((winner) => ({ ...winner, prize })))
+        .reverse()
+        .flat()
+        .map((winner, index) => ({ ...winner, revealAt: startAt + index * REVEAL_STEP_MS }));
+};
+
+// The last winner stays on stage for one more step before the reveal is over.
+export const revealEndsAt = (raffle, startAt) => {
+    const timeline = revealTimeline(raffle, startAt);
+    return timeline.length ? timeline[timeline.length - 1].revealAt + REVEAL_STEP_MS : toMillis(raffle.drawnAt);
+};
+
+export const liveDrawPhase = (raffle, now = Date.now()) => {
+    if (raffle.drawnAt && winnersFor(raffle).length) return now < revealEndsAt(raffle) ? LIVE_DRAW_PHASE.REVEALING : LIVE_DRAW_PHASE.DONE;
+    if (raffle.liveDraw?.error) return LIVE_DRAW_PHASE.FAILED;
+    return now < toMillis(raffle.liveDraw?.startsAt) ? LIVE_DRAW_PHASE.SCHEDULED : LIVE_DRAW_PHASE.DRAWING;
+};
+
+// 3725000 -> '1:02:05', 65000 -> '1:05'.
+export const formatCountdown = (ms) => {
+    const seconds = Math.max(0, Math.ceil(ms / 1000));
+    const hours = Math.floor(seconds / 3600);
+    const minutes = Math.floor((seconds % 3600) / 60);
+    const pad = (value) => String(value).padStart(2, '0');
+    return hours ? `${hours}:${pad(minutes)}:${pad(seconds % 60)}` : `${minutes}:${pad(seconds % 60)}`;
+};
@@ -0,0 +1,84 @@
+// --- Notifications ---
+// Which notifications a user gets, and where. Preferences live in
+// artifacts/{appId}/users/{uid}/settings/notifications as { [type]: { inApp, email } }; anything
+// the user hasn't turned off is on. The messages themselves are here too, so the local backend sends
+// the same ones as the functions.
+import { prizesFor, winnersFor } from './prizes.js';
+import { RAFFLE_STATUS, toMillis } from './raffleLifecycle.js';
+import { formatMoney } from './ticketPricing.js';
+
+export const NOTIFICATION_TYPES = {
+    receipt: 'Ticket purchase receipts',
+    ending_soon: 'A raffle I entered is ending soon',
+    drawn: 'Draw results',
+    refund: 'Cancellations and refunds',
+};
+
+export const NOTIFICATION_CHANNELS = {
+    inApp: 'In-app',
+    email: 'Email',
+};
+
+export const ENDING_SOON_WINDOW_MS = 24 * 60 * 60 * 1000;
+
+export const notificationChannels = (prefs, type) => ({
+    inApp: prefs?.[type]?.inApp !== false,
+    email: prefs?.[type]?.email !== false,
+});
+
+// Open raffles with entrants get one reminder within ENDING_SOON_WINDOW_MS of closing.
+export const needsEndingSoonReminder = (raffle, now = Date.now()) => raffle.status === RAFFLE_STATUS.OPEN
+    && toMillis(raffle.endsAt) > now && toMillis(raffle.endsAt) <= now + ENDING_SOON_WINDOW_MS
+    && raffle.entryCount > 0 && !raffle.endingSoonNotifiedAt;
+
+// Everyone holding a ticket that hasn't been refunded, once each however many tickets they hold.
+export const entrantIdsToNotify = (entries) => [...new Set(entries.filter((entry) => entry.refundStatus !== 'succeeded').map((entry) => entry.userId))];
+
+// --- Messages ---
+// What each notification says, as { id, type, title, body, link } with `link` a path within the app.
+// Ids are deterministic, so a retried trigger or job never notifies twice.
+
+const formatTime = (time) => `${new Date(toMillis(time)).toLocaleString('en-US', { timeZone: 'UTC', dateStyle: 'medium', timeStyle: 'short' })} UTC`;
+
+export const receiptNotification = (paymentIntentId, purchase) => {
+    const quantity = purchase.quantity || 1;
+    return {
+        id: `receipt-${paymentIntentId}`,
+        type: 'receipt',
+        title: `Receipt: ${quantity} ticket${quantity === 1 ? '' : 's'} for "${purchase.raffleName}"`,
+        body: `You paid ${formatMoney(purchase.totalCents, purchase.currency)}: ${formatMoney(purchase.subtotalCents, purchase.currency)} for tickets and a ${formatMoney(purchase.feeCents, purchase.currency)} platform fee. Payment reference ${paymentIntentId}. Good luck!`,
+        link: '/tickets',
+    };
+};
+
+export const refundNotification = (paymentIntentId, purchase) => ({
+    id: `refund-${paymentIntentId}`,
+    type: 'refund',
+    title: `Refund issued for "${purchase.raffleName}"`,
+    body: `${formatMoney(purchase.totalCents, purchase.currency)} is on its way back to your card; it can take 5-10 business days to appear.${purchase.rejectionReason ? ` ${purchase.rejectionReason}` : ''}`,
+    link: '/tickets',
+});
+
+export const endingSoonNotification = (raffleId, raffle) => ({
+    id: `ending-${raffleId}`,
+    type: 'ending_soon',
+    title: `"${raffle.name}" ends soon`,
+    body: `Entries close ${formatTime(raffle.endsAt)}, and the winners are drawn right after.`,
+    link: `/raffles/${raffleId}`,
+});
+
+export const drawnNotification = (raffleId, raffle, userId) => {
+    const prizes = prizesFor(raffle);
+    const won = winnersFor(raffle).filter((winner) => winner.userId === userId).map((winner) => winner.prizeName || prizes[winner.prizeIndex]?.name);
+    return won.length
+        ? { id: `drawn-${raffleId}`, type: 'drawn', title: `You won ${won.join(' and ')}!`, body: `You're a winner in "${raffle.name}". The creator will be in touch about your prize.`, link: `/raffles/${raffleId}` }
+        : { id: `drawn-${raffleId}`, type: 'drawn', title: `"${raffle.name}" has been drawn`, body: 'Thanks for entering. You didn\'t win this time.', link: `/raffles/${raffleId}` };
+};
+
+export const cancelledNotification = (raffleId, raffle) => ({
+    id: `cancelled-${raffleId}`,
+    type: 'refund',
+    title: `"${raffle.name}" was cancelled`,
+    body: 'The creator cancelled this raffle. Every ticket is being refunded to the card it was paid with.',
+    link: `/raffles/${raffleId}`,
+});
@@ -0,0 +1,42 @@
+// --- Entrant Privacy ---
+// Entries and winners in the public raffle tree carry only the entrant's uid. How each person is
+// named there is their own choice, kept on their public profile (artifacts/{appId}/public/data/profiles/{uid}):
+// their display name, a masked handle derived from their email ("j***@gmail"), or nothing at all.
+// Creators see buyers' emails only in their own roster of each raffle's entrants
+// (artifacts/{appId}/users/{creatorId}/raffleSales/{raffleId}/entrants/{uid}), which only they can read.
+
+export const PUBLIC_NAME_MODES = ['displayName', 'handle', 'anonymous'];
+export const DEFAULT_PUBLIC_NAME_MODE = 'handle';
+
+export const PUBLIC_NAME_LABELS = {
+    displayName: 'My display name',
+    handle: 'A masked handle',
+    anonymous: 'Anonymous',
+};
+
+export const ANONYMOUS_NAME = 'Anonymous entrant';
+
+// The same shape firestore.rules accepts for a profile's `handle`.
+export const HANDLE_PATTERN = /^[^@*\s][*]{3}@[^.@\s]+$/;
+
+export const looksLikeEmail = (text) => typeof text === 'string' && /^[^@\s]+@[^@\s]+\.[^@\s]+$/.test(text.trim());
+
+// 'jane.doe@gmail.com' -> 'j***@gmail'. Only the first letter and the domain's first label survive.
+export const maskEmail = (email) => {
+    if (!looksLikeEmail(email)) return null;
+    const [local, domain] = email.trim().toLowerCase().split('@');
+    return `${local[0]}***@${domain.split('.')[0]}`;
+};
+
+// The name an entrant appears under in entry lists and winner announcements. Profiles from before
+// the choice existed, and people without a profile, are shown anonymously rather than guessed at.
+export const publicNameFor = (profile) => {
+    switch (profile?.publicNameMode) {
+        case 'displayName':
+            return profile.displayName?.trim() && !looksLikeEmail(profile.displayName) ? profile.displayName.trim() : ANONYMOUS_NAME;
+        case 'handle':
+            return profile.handle || ANONYMOUS_NAME;
+        default:
+            return ANONYMOUS_NAME;
+    }
+};
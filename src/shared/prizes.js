@@ -0,0 +1,20 @@
+// --- Prizes ---
+// A raffle carries an ordered list of prizes, grand prize first. Raffles from before prize tiers
+// have a single implicit prize and a single `winner`; these helpers read both shapes.
+
+export const MAX_PRIZES = 20;
+export const MAX_WINNERS_PER_PRIZE = 100;
+
+export const prizesFor = (raffle) => (raffle.prizes?.length
+    ? raffle.prizes
+    : [{ name: raffle.name, imageUrl: raffle.imageUrl || null, winnerCount: 1 }]);
+
+export const totalWinnerCount = (raffle) => prizesFor(raffle).reduce((sum, prize) => sum + prize.winnerCount, 0);
+
+export const winnersFor = (raffle) => raffle.winners || (raffle.winner ? [{ prizeIndex: 0, entryId: raffle.winner.id, ...raffle.winner }] : []);
+
+// [{ prize, winners }] in prize order, for display.
+export const winnersByPrize = (raffle) => {
+    const winners = winnersFor(raffle);
+    return prizesFor(raffle).map((prize, prizeIndex) => ({ prize, winners: winners.filter((w) => w.prizeIndex === prizeIndex) }));
+};
@@ -0,0 +1,57 @@
+// --- Raffle Lifecycle ---
+// draft → open → (sold_out) → closed → drawn, with cancelled reachable from any state before drawn.
+// Shared by the client (to explain why a raffle can't be entered) and Cloud Functions (to enforce it).
+
+export const RAFFLE_STATUS = {
+    DRAFT: 'draft',
+    OPEN: 'open',
+    SOLD_OUT: 'sold_out',
+    CLOSED: 'closed',
+    DRAWN: 'drawn',
+    CANCELLED: 'cancelled',
+};
+
+export const STATUS_LABELS = {
+    draft: 'Starts Soon',
+    open: 'Open',
+    sold_out: 'Sold Out',
+    closed: 'Closed',
+    drawn: 'Drawn',
+    cancelled: 'Cancelled',
+};
+
+// Statuses a draw may run from; a draw closes the raffle if it is still open.
+export const DRAWABLE_STATUSES = [RAFFLE_STATUS.OPEN, RAFFLE_STATUS.SOLD_OUT, RAFFLE_STATUS.CLOSED];
+
+// Accepts Firestore Timestamps (client or admin SDK), Dates and millisecond numbers.
+export const toMillis = (time) => {
+    if (time === null || time === undefined) return null;
+    if (typeof time.toMillis === 'function') return time.toMillis();
+    return new Date(time).getTime();
+};
+
+// Raffles created before the lifecycle existed have no `status`.
+export const raffleStatus = (raffle) => raffle.status || (raffle.winner ? RAFFLE_STATUS.DRAWN : RAFFLE_STATUS.OPEN);
+
+export const ticketsRemaining = (raffle) => (raffle.maxTickets ? Math.max(raffle.maxTickets - (raffle.ticketsSold || 0), 0) : null);
+
+// Returns why `quantity` more tickets can't be bought right now, or null if they can.
+// `userTicketCount` is how many tickets the buyer already holds in this raffle.
+export const purchaseBlockReason = (raffle, { now = Date.now(), quantity = 1, userTicketCount = 0 } = {}) => {
+    const status = raffleStatus(raffle);
+    if (status !== RAFFLE_STATUS.OPEN) return `This raffle is ${STATUS_LABELS[status].toLowerCase()}.`;
+
+    const startsAt = toMillis(raffle.startsAt);
+    const endsAt = toMillis(raffle.endsAt);
+    if (startsAt && startsAt > now) return 'This raffle has not opened yet.';
+    if (endsAt && endsAt <= now) return 'This raffle has ended.';
+
+    const remaining = ticketsRemaining(raffle);
+    if (remaining !== null && quantity > remaining) {
+        return remaining === 0 ? 'This raffle is sold out.' : `Only ${remaining} ticket${remaining === 1 ? '' : 's'} left.`;
+    }
+    if (raffle.maxTicketsPerUser && userTicketCount + quantity > raffle.maxTicketsPerUser) {
+        return `Each person can hold at most ${raffle.maxTicketsPerUser} ticket${raffle.maxTicketsPerUser === 1 ? '' : 's'} in this raffle.`;
+    }
+    return null;
+};
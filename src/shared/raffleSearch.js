@@ -0,0 +1,23 @@
+// --- Raffle Search ---
+// Firestore has no full-text search, so each raffle stores `searchTerms`: every prefix of every word
+// in its name, and of the whole name. A search matches raffles whose terms contain the normalized query.
+
+export const MAX_SEARCH_TERM_LENGTH = 30;
+
+// Lowercase, accents stripped, punctuation collapsed to single spaces.
+export const normalizeSearch = (text) => (text || '')
+    .toLowerCase()
+    .normalize('NFKD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .replace(/[^\p{L}\p{N}]+/gu, ' ')
+    .trim()
+    .slice(0, MAX_SEARCH_TERM_LENGTH)
+    .trim();
+
+const prefixes = (text) => Array.from({ length: text.length }, (_, i) => text.slice(0, i + 1));
+
+export const searchTermsFor = (name) => {
+    const normalized = normalizeSearch(name);
+    const words = normalized.split(' ').filter(Boolean);
+    return [...new Set([normalized, ...words].flatMap(prefixes))].filter((term) => !term.endsWith(' '));
+};
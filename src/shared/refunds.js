@@ -0,0 +1,24 @@
+// --- Refunds ---
+// Which paid entries still need their money back, and the idempotency key to ask Stripe with.
+// Refunds are keyed by PaymentIntent, so asking twice returns the first refund; a refund that came
+// back `failed` or `canceled` is asked for again under the next attempt's key, since the same key
+// would only return the same failed refund. Purchases and entries carry `refundStatus` and
+// `refundAttempt` from the latest refund.
+
+// Refunds that went through, or are on their way.
+export const SETTLED_REFUND_STATUSES = ['succeeded', 'pending'];
+
+const RETRYABLE_REFUND_STATUSES = ['failed', 'canceled'];
+
+// `record` is a purchase or one of its entries.
+export const needsRefund = (record) => !SETTLED_REFUND_STATUSES.includes(record.refundStatus);
+
+export const refundAttemptFor = (purchase) => {
+    const attempt = purchase?.refundAttempt || 0;
+    return RETRYABLE_REFUND_STATUSES.includes(purchase?.refundStatus) ? attempt + 1 : attempt;
+};
+
+// The first attempt keeps the key refunds were always issued under.
+export const refundIdempotencyKey = (paymentIntentId, attempt = 0) => (attempt
+    ? `refund-${paymentIntentId}-${attempt}`
+    : `refund-${paymentIntentId}`);
@@ -0,0 +1,130 @@
+// --- Ticket Pricing ---
+// Quotes a purchase of N tickets, using the raffle's bundle tiers (e.g. 5 tickets for $20) wherever
+// they beat single tickets. Shared so the checkout shows exactly what the PaymentIntent charges.
+//
+// Amounts are integers in the minor unit of the raffle's currency: cents for USD, yen for JPY. The
+// `...Cents` field names predate multi-currency and are kept for the stored data and its indexes.
+
+export const MAX_TICKETS_PER_PURCHASE = 100;
+export const MAX_BUNDLES = 10;
+
+// ISO 4217 codes. Each is one Stripe charges in the same minor unit Intl formats in.
+export const SUPPORTED_CURRENCIES = ['USD', 'EUR', 'GBP', 'CAD', 'AUD', 'JPY'];
+export const DEFAULT_CURRENCY = 'USD';
+
+// Raffles from before currencies were stored are in US dollars.
+export const raffleCurrency = (raffle) => (raffle.currency || DEFAULT_CURRENCY).toUpperCase();
+
+// 2 for USD, 0 for JPY.
+export const minorUnitDigits = (currency) => new Intl.NumberFormat('en', { style: 'currency', currency }).resolvedOptions().maximumFractionDigits;
+
+// '12.5' dollars -> 1250 cents; '500' yen -> 500.
+export const toMinorUnits = (amount, currency = DEFAULT_CURRENCY) => Math.round(parseFloat(amount) * 10 ** minorUnitDigits(currency));
+
+export const fromMinorUnits = (amount, currency = DEFAULT_CURRENCY) => amount / 10 ** minorUnitDigits(currency);
+
+export const formatMoney = (amount, currency = DEFAULT_CURRENCY, locale = undefined) => new Intl.NumberFormat(locale, {
+    style: 'currency',
+    currency: currency.toUpperCase(),
+}).format(fromMinorUnits(amount || 0, currency.toUpperCase()));
+
+// Older raffles stored prices as decimal strings (`ticketPrice: '5.00'`, bundle `price: '20.00'`).
+export const ticketPriceCents = (raffle) => (Number.isInteger(raffle.ticketPriceCents)
+    ? raffle.ticketPriceCents
+    : toMinorUnits(raffle.ticketPrice || 0, raffleCurrency(raffle)));
+
+const bundlePriceCents = (raffle, bundle) => (Number.isInteger(bundle.priceCents)
+    ? bundle.priceCents
+    : toMinorUnits(bundle.price || 0, raffleCurrency(raffle)));
+
+// --- Platform Fee ---
+// The fee added on top of the tickets comes from artifacts/{appId}/public/data/config/pricing, a
+// document only operators write (see functions/scripts/set-platform-fee.js):
+//   { platformFee: { default: <rule>, JPY: <rule>, ... } }
+// A rule is { type: 'percentage', rate } or { type: 'fixed', amountCents }, either of which may add
+// `minCents` and `capCents` to bound the fee, with amounts in the minor unit of the currency it is
+// listed under. Currencies without their own rule use `default`, so one with fixed amounts in it
+// needs a rule per currency as well.
+export const DEFAULT_FEE_SCHEDULE = { default: { type: 'percentage', rate: 0.03 } };
+
+export const feeRuleFor = (feeSchedule, currency) => {
+    const schedule = feeSchedule || DEFAULT_FEE_SCHEDULE;
+    return schedule[currency] || schedule.default || DEFAULT_FEE_SCHEDULE.default;
+};
+
+export const platformFee = (subtotalCents, rule) => {
+    let feeCents = rule.type === 'fixed' ? rule.amountCents : Math.round(subtotalCents * rule.rate);
+    if (Number.isInteger(rule.minCents)) feeCents = Math.max(feeCents, rule.minCents);
+    if (Number.isInteger(rule.capCents)) feeCents = Math.min(feeCents, rule.capCents);
+    return feeCents;
+};
+
+const isAmount = (value) => Number.isInteger(value) && value >= 0;
+
+export const isValidFeeRule = (rule) => (rule?.type === 'fixed'
+    ? isAmount(rule.amountCents)
+    : rule?.type === 'percentage' && typeof rule.rate === 'number' && rule.rate >= 0 && rule.rate < 1)
+    && (rule.minCents == null || isAmount(rule.minCents))
+    && (rule.capCents == null || isAmount(rule.capCents))
+    && (rule.minCents == null || rule.capCents == null || rule.minCents <= rule.capCents);
+
+// "3%", "3% (min $0.30, max $5.00)" or "$0.50". A fixed fee is shown as the amount it comes to.
+export const describeFee = (rule, currency, locale = undefined) => {
+    if (rule.type === 'fixed') return formatMoney(platformFee(0, rule), currency, locale);
+    const limits = [
+        Number.isInteger(rule.minCents) && `min ${formatMoney(rule.minCents, currency, locale)}`,
+        Number.isInteger(rule.capCents) && `max ${formatMoney(rule.capCents, currency, locale)}`,
+    ].filter(Boolean);
+    const rate = `${Number((rule.rate * 100).toFixed(2))}%`;
+    return limits.length ? `${rate} (${limits.join(', ')})` : rate;
+};
+
+// --- Quotes ---
+
+// Cheapest way to make up exactly `quantity` tickets from singles and bundles, as
+// [{ size, cents, count }] with the largest bundles first.
+const cheapestCombination = (options, quantity) => {
+    const cost = [0];
+    const choice = [null];
+    for (let q = 1; q <= quantity; q += 1) {
+        cost[q] = Infinity;
+        options.forEach((option) => {
+            if (option.size <= q && cost[q - option.size] + option.cents < cost[q]) {
+                cost[q] = cost[q - option.size] + option.cents;
+                choice[q] = option;
+            }
+        });
+    }
+
+    const counts = new Map();
+    for (let q = quantity; q > 0; q -= choice[q].size) {
+        counts.set(choice[q], (counts.get(choice[q]) || 0) + 1);
+    }
+    return [...counts].map(([option, count]) => ({ ...option, count })).sort((a, b) => b.size - a.size);
+};
+
+export const bundleOptions = (raffle) => (raffle.bundles || [])
+    .map((bundle) => ({ size: bundle.quantity, cents: bundlePriceCents(raffle, bundle) }))
+    .filter((bundle) => bundle.size > 1 && bundle.cents > 0);
+
+// Returns { quantity, currency, lines, subtotalCents, feeCents, totalCents, savingsCents }. Each
+// line is one bundle size (or single tickets) with how many of it are bought. `feeSchedule` is the
+// `platformFee` map of the pricing config; without one the default fee applies.
+export const quoteTickets = (raffle, quantity, feeSchedule = DEFAULT_FEE_SCHEDULE) => {
+    const currency = raffleCurrency(raffle);
+    const ticketCents = ticketPriceCents(raffle);
+    const lines = cheapestCombination([{ size: 1, cents: ticketCents }, ...bundleOptions(raffle)], quantity);
+    const subtotalCents = lines.reduce((sum, line) => sum + line.cents * line.count, 0);
+    const feeCents = platformFee(subtotalCents, feeRuleFor(feeSchedule, currency));
+    return {
+        quantity,
+        currency,
+        lines,
+        subtotalCents,
+        feeCents,
+        totalCents: subtotalCents + feeCents,
+        savingsCents: ticketCents * quantity - subtotalCents,
+    };
+};
+
+export const isValidQuantity = (quantity) => Number.isInteger(quantity) && quantity >= 1 && quantity <= MAX_TICKETS_PER_PURCHASE;